@@ -0,0 +1,300 @@
+/**
+ * Alert log for the EASjs library
+ * @module AlertLog
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const decodeSame = require('../EASText/decodeSame.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, formatMessage } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Whether an alert was heard by the station or sent by it.
+ */
+const DIRECTIONS = ['received', 'sent'];
+
+/**
+ * The columns of a CSV export, in order.
+ */
+const CSV_COLUMNS = [
+    'id', 'loggedAt', 'direction', 'source', 'action', 'originator', 'event',
+    'locations', 'issued', 'expires', 'sender', 'duplicateOf', 'header'
+];
+
+/**
+ * Longest delay setTimeout() accepts, in milliseconds.
+ */
+const MAX_TIMER = 2 ** 31 - 1;
+
+/**
+ * A log of alerts received and sent, kept in a JSON Lines file.
+ *
+ * Every alert is decoded with decodeSame() and appended to the file as soon as it
+ * is recorded, so the log survives restarts. The same alert heard again (same
+ * originator, event, locations and issue time) is still logged, but marked with
+ * the entry it duplicates. The log emits:
+ * - `record` with every new entry,
+ * - `duplicate` with an entry and the earlier one it repeats,
+ * - `expired` when an active alert reaches its purge time.
+ *
+ * Leave `file` out to keep the log in memory only.
+ *
+ * @extends EventEmitter
+ */
+class AlertLog extends EventEmitter {
+    /**
+     * @param {Object} [options={}] - Log options.
+     * @param {string|null} [options.file=null] - The JSON Lines file to load and append to; created if missing.
+     * @param {string} [options.locale] - The locale headers are decoded and messages given in; defaults to the one set with setLocale().
+     * @param {string} [options.country='auto'] - Where location codes come from: US, CA or auto.
+     * @throws {EASError} If the file holds a line that is not a log entry.
+     */
+    constructor({ file = null, locale, country } = {}) {
+        super();
+        this.file = file === null ? null : path.resolve(file);
+        this.locale = locale;
+        this.country = country;
+        this.messages = resolveMessages(locals, locale);
+        this.log = [];
+        this.originals = new Map();
+        this.notified = new Set();
+        this.timer = null;
+        this.closed = false;
+
+        if (this.file && fs.existsSync(this.file)) this.load();
+        for (const entry of this.log) {
+            if (entry.expires && Date.parse(entry.expires) <= Date.now()) this.notified.add(entry.id);
+        }
+        this.scheduleExpiry();
+    }
+
+    /**
+     * Records an alert.
+     * @param {string} header - The SAME header.
+     * @param {Object} [details={}] - What happened to it.
+     * @param {string} [details.direction='received'] - received or sent.
+     * @param {string|null} [details.source=null] - Where it came from or went to. Example: WXR 162.550 or LP-1
+     * @param {string|null} [details.action=null] - What was done with it. Example: forward, manual or ignore
+     * @param {Date} [details.at=new Date()] - When it was received or sent.
+     * @returns {object} The entry, with the decoded originator, event, location codes, issue and expiry times,
+     * sender, and the id of the entry it duplicates (null if none). Fields that could not be decoded are null.
+     * @throws {EASError} If the header is empty or a detail is invalid.
+     */
+    record(header, { direction = 'received', source = null, action = null, at = new Date() } = {}) {
+        const { messages } = this;
+        if (!DIRECTIONS.includes(direction)) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.directioninvalid, { field: 'direction', value: direction });
+        }
+        if (!(at instanceof Date) || Number.isNaN(at.getTime())) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.dateinvalid, { field: 'at' });
+        }
+
+        const decoded = decodeSame(header, { structured: true, lenient: true, referenceDate: at, locale: this.locale, country: this.country });
+        const knownCode = (field, code) => (decoded.errors.some((error) => error.field === field) ? null : code);
+
+        const entry = {
+            id: this.log.length > 0 ? this.log[this.log.length - 1].id + 1 : 1,
+            loggedAt: at.toISOString(),
+            direction,
+            source: source === null ? null : String(source),
+            action: action === null ? null : String(action),
+            header: header.trim(),
+            originator: knownCode('originator', decoded.originator),
+            event: knownCode('event', decoded.event),
+            locations: decoded.locations.map((location) => location.code),
+            issued: decoded.start,
+            expires: decoded.end,
+            sender: decoded.sender.trim() || null,
+            duplicateOf: null
+        };
+
+        const key = duplicateKey(entry);
+        const original = key && this.originals.get(key);
+        if (original) {
+            entry.duplicateOf = original.id;
+        } else if (key) {
+            this.originals.set(key, entry);
+        }
+
+        if (this.file) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+        }
+        this.log.push(entry);
+        // Alerts logged after their purge time were never active here, so they do not expire.
+        if (entry.expires && Date.parse(entry.expires) <= Date.now()) this.notified.add(entry.id);
+
+        this.emit('record', entry);
+        if (original) this.emit('duplicate', entry, original);
+        this.scheduleExpiry();
+        return entry;
+    }
+
+    /**
+     * Checks whether a header repeats an alert already in the log.
+     * @param {string} header - The SAME header.
+     * @param {Date} [at=new Date()] - When it was heard, to resolve the issue year.
+     * @returns {object|null} The first entry for the same alert, or null.
+     */
+    findDuplicate(header, at = new Date()) {
+        const decoded = decodeSame(header, { structured: true, lenient: true, referenceDate: at, locale: this.locale, country: this.country });
+        if (decoded.errors.length > 0) return null;
+
+        const key = duplicateKey({
+            originator: decoded.originator,
+            event: decoded.event,
+            locations: decoded.locations.map((location) => location.code),
+            issued: decoded.start
+        });
+        return this.originals.get(key) ?? null;
+    }
+
+    /**
+     * Lists log entries, oldest first.
+     * @param {Object} [filter={}] - Which entries to list.
+     * @param {Date} [filter.from] - Only entries logged at or after this time.
+     * @param {Date} [filter.to] - Only entries logged before this time.
+     * @param {string} [filter.direction] - Only received or only sent entries.
+     * @param {boolean} [filter.duplicates=true] - Whether to include duplicates.
+     * @returns {object[]} The entries.
+     * @throws {EASError} If a filter is invalid.
+     */
+    entries({ from, to, direction, duplicates = true } = {}) {
+        const { messages } = this;
+        for (const [field, value] of [['from', from], ['to', to]]) {
+            if (value !== undefined && (!(value instanceof Date) || Number.isNaN(value.getTime()))) {
+                throw new EASError(ERROR_CODES.INVALID_OPTION, messages.dateinvalid, { field });
+            }
+        }
+        if (direction !== undefined && !DIRECTIONS.includes(direction)) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.directioninvalid, { field: 'direction', value: direction });
+        }
+
+        return this.log.filter((entry) => {
+            const loggedAt = Date.parse(entry.loggedAt);
+            return (from === undefined || loggedAt >= from.getTime())
+                && (to === undefined || loggedAt < to.getTime())
+                && (direction === undefined || entry.direction === direction)
+                && (duplicates || entry.duplicateOf === null);
+        });
+    }
+
+    /**
+     * Lists the alerts still in effect: issued, not yet past their purge time, and not duplicates.
+     * @param {Date} [at=new Date()] - The time to check against.
+     * @returns {object[]} The active entries, oldest first.
+     */
+    active(at = new Date()) {
+        const now = at.getTime();
+        return this.log.filter((entry) => entry.duplicateOf === null
+            && entry.issued !== null && entry.expires !== null
+            && Date.parse(entry.issued) <= now && Date.parse(entry.expires) > now);
+    }
+
+    /**
+     * Exports the log for a reporting period.
+     * @param {string} [format='csv'] - csv or json.
+     * @param {Object} [filter={}] - Which entries to export, as for entries().
+     * @returns {string} The CSV, with a header row and locations separated by spaces, or a JSON array.
+     * @throws {EASError} If the format or a filter is invalid.
+     */
+    export(format = 'csv', filter = {}) {
+        const entries = this.entries(filter);
+        if (format === 'json') return JSON.stringify(entries, null, 2);
+        if (format !== 'csv') {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, this.messages.formatinvalid, { field: 'format', value: format });
+        }
+
+        const cell = (value) => {
+            const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [CSV_COLUMNS, ...entries.map((entry) => CSV_COLUMNS.map((column) => entry[column]))]
+            .map((row) => row.map(cell).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Stops watching for expiring alerts. The log can still be read and recorded to.
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.closed = true;
+    }
+
+    /**
+     * Reads the entries from the log file.
+     * @throws {EASError} If a line is not a log entry.
+     */
+    load() {
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        lines.forEach((line, i) => {
+            if (line.trim() === '') return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                entry = null;
+            }
+            if (!entry || !Number.isInteger(entry.id) || typeof entry.header !== 'string') {
+                throw new EASError(ERROR_CODES.INVALID_LOG, formatMessage(this.messages.loginvalid, { line: i + 1 }), { field: 'file', position: i + 1 });
+            }
+
+            this.log.push(entry);
+            const key = duplicateKey(entry);
+            if (key && entry.duplicateOf === null && !this.originals.has(key)) this.originals.set(key, entry);
+        });
+    }
+
+    /**
+     * Sets a timer for the next active alert to expire, emitting `expired` for any already due.
+     */
+    scheduleExpiry() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.closed) return;
+
+        const now = Date.now();
+        let next = Infinity;
+        for (const entry of this.log) {
+            if (entry.duplicateOf !== null || entry.expires === null || this.notified.has(entry.id)) continue;
+            const expires = Date.parse(entry.expires);
+            if (expires <= now) {
+                this.notified.add(entry.id);
+                this.emit('expired', entry);
+            } else {
+                next = Math.min(next, expires);
+            }
+        }
+
+        if (next !== Infinity) {
+            this.timer = setTimeout(() => this.scheduleExpiry(), Math.min(next - now, MAX_TIMER));
+            // A pending expiry should not keep the process running.
+            this.timer.unref?.();
+        }
+    }
+}
+
+/**
+ * Identifies an alert for duplicate detection: its originator, event, locations (in any order) and issue time.
+ * @param {object} entry - The log entry.
+ * @returns {string|null} The key, or null if the alert could not be decoded well enough to compare.
+ */
+const duplicateKey = ({ originator, event, locations, issued }) => {
+    if (!originator || !event || !issued) return null;
+    return [originator, event, [...locations].sort().join(','), issued].join('|');
+};
+
+module.exports = {
+    AlertLog
+};
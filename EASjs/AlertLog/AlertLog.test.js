@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlertLog } = require('./AlertLog');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+// Issued December 9 2024 at 17:07 UTC, purged 30 minutes later.
+const TORNADO = 'ZCZC-WXR-TOR-029095-029047+0030-3441707-KEAX/NWS-';
+const ISSUED = new Date(Date.UTC(2024, 11, 9, 17, 7));
+const minutesAfter = (minutes) => new Date(ISSUED.getTime() + minutes * 60000);
+
+describe('AlertLog', () => {
+    let tempDir;
+    let file;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'easjs-log-'));
+        file = path.join(tempDir, 'logs', 'alerts.jsonl');
+        jest.useFakeTimers({ now: minutesAfter(1) });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should record decoded alerts with their details', () => {
+        const log = new AlertLog();
+        const entry = log.record(TORNADO, { source: 'WXR 162.550', action: 'forward', at: minutesAfter(1) });
+
+        expect(entry).toEqual({
+            id: 1,
+            loggedAt: minutesAfter(1).toISOString(),
+            direction: 'received',
+            source: 'WXR 162.550',
+            action: 'forward',
+            header: TORNADO,
+            originator: 'WXR',
+            event: 'TOR',
+            locations: ['029095', '029047'],
+            issued: ISSUED.toISOString(),
+            expires: minutesAfter(30).toISOString(),
+            sender: 'KEAX/NWS',
+            duplicateOf: null
+        });
+        log.close();
+    });
+
+    it('should append to the file and load it again', () => {
+        const log = new AlertLog({ file });
+        log.record(TORNADO, { at: minutesAfter(1) });
+        log.record(TORNADO.replace('TOR', 'SVR'), { direction: 'sent', at: minutesAfter(2) });
+        log.close();
+
+        expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(2);
+
+        const reopened = new AlertLog({ file });
+        expect(reopened.entries().map((entry) => entry.event)).toEqual(['TOR', 'SVR']);
+        expect(reopened.record(TORNADO, { at: minutesAfter(3) })).toEqual(expect.objectContaining({ id: 3, duplicateOf: 1 }));
+        reopened.close();
+    });
+
+    it('should detect the same alert heard from another source', () => {
+        const log = new AlertLog();
+        const duplicates = [];
+        log.on('duplicate', (entry, original) => duplicates.push([entry.id, original.id]));
+
+        log.record(TORNADO, { source: 'NWR', at: minutesAfter(1) });
+        // Same alert with the locations in another order, relayed by a station.
+        const relayed = log.record('ZCZC-WXR-TOR-029047-029095+0030-3441707-KXYZ/FM -', { source: 'LP-1', at: minutesAfter(2) });
+        const updated = log.record(TORNADO.replace('3441707', '3441715'), { source: 'NWR', at: minutesAfter(8) });
+
+        expect(relayed.duplicateOf).toBe(1);
+        expect(updated.duplicateOf).toBeNull();
+        expect(duplicates).toEqual([[2, 1]]);
+        expect(log.findDuplicate(TORNADO, minutesAfter(9))).toEqual(expect.objectContaining({ id: 1 }));
+        expect(log.findDuplicate(TORNADO.replace('TOR', 'SVR'), minutesAfter(9))).toBeNull();
+        log.close();
+    });
+
+    it('should track active alerts and emit when they expire', () => {
+        const log = new AlertLog();
+        const expired = [];
+        log.on('expired', (entry) => expired.push(entry.id));
+
+        log.record(TORNADO, { at: minutesAfter(1) });
+        log.record(TORNADO, { at: minutesAfter(2) });
+        log.record(TORNADO.replace('029047', '029037').replace('+0030', '+0100'), { at: minutesAfter(2) });
+
+        expect(log.active(minutesAfter(5)).map((entry) => entry.id)).toEqual([1, 3]);
+
+        jest.advanceTimersByTime(29 * 60000 - 1);
+        expect(expired).toEqual([]);
+        jest.advanceTimersByTime(1);
+        expect(expired).toEqual([1]);
+        expect(log.active().map((entry) => entry.id)).toEqual([3]);
+
+        jest.advanceTimersByTime(30 * 60000);
+        expect(expired).toEqual([1, 3]);
+        expect(log.active()).toEqual([]);
+        log.close();
+    });
+
+    it('should not emit expiry for alerts that had already expired', () => {
+        jest.setSystemTime(minutesAfter(90));
+        const log = new AlertLog();
+        const expired = jest.fn();
+        log.on('expired', expired);
+
+        log.record(TORNADO, { at: minutesAfter(1) });
+        jest.advanceTimersByTime(60 * 60000);
+        expect(expired).not.toHaveBeenCalled();
+        log.close();
+    });
+
+    it('should stop emitting once closed', () => {
+        const log = new AlertLog();
+        const expired = jest.fn();
+        log.on('expired', expired);
+
+        log.record(TORNADO, { at: minutesAfter(1) });
+        log.close();
+        jest.advanceTimersByTime(60 * 60000);
+        expect(expired).not.toHaveBeenCalled();
+    });
+
+    it('should export a reporting period as CSV or JSON', () => {
+        const log = new AlertLog();
+        log.record(TORNADO, { source: 'NWR, 162.550', at: minutesAfter(1) });
+        log.record(TORNADO.replace('TOR', 'SVR'), { direction: 'sent', action: 'forward', at: minutesAfter(20) });
+        log.record('ZCZC-CIV-CAE-029095+0100-3441800-KXYZ/FM -', { at: minutesAfter(60) });
+
+        const period = { from: minutesAfter(0), to: minutesAfter(30) };
+        const csv = log.export('csv', period).split('\r\n');
+        expect(csv[0]).toBe('id,loggedAt,direction,source,action,originator,event,locations,issued,expires,sender,duplicateOf,header');
+        expect(csv[1]).toBe(`1,${minutesAfter(1).toISOString()},received,"NWR, 162.550",,WXR,TOR,029095 029047,`
+            + `${ISSUED.toISOString()},${minutesAfter(30).toISOString()},KEAX/NWS,,${TORNADO}`);
+        expect(csv).toHaveLength(4);
+
+        const json = JSON.parse(log.export('json', { ...period, direction: 'sent' }));
+        expect(json).toEqual([expect.objectContaining({ id: 2, event: 'SVR', action: 'forward' })]);
+        log.close();
+    });
+
+    it('should log headers that cannot be fully decoded', () => {
+        const log = new AlertLog();
+        const entry = log.record('ZCZC-WXR-XYZ-029095+0030-3441707-KEAX/NWS-', { at: minutesAfter(1) });
+
+        expect(entry.event).toBeNull();
+        expect(entry.originator).toBe('WXR');
+        expect(log.record('ZCZC-WXR-XYZ-029095+0030-3441707-KEAX/NWS-', { at: minutesAfter(1) }).duplicateOf).toBeNull();
+        log.close();
+    });
+
+    it('should reject invalid details and unreadable files', () => {
+        const log = new AlertLog();
+        expect(() => log.record(TORNADO, { direction: 'relayed' })).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'direction' }));
+        expect(() => log.record(TORNADO, { at: new Date('never') })).toThrow(expect.objectContaining({ field: 'at' }));
+        expect(() => log.record('')).toThrow(expect.objectContaining({ code: ERROR_CODES.NO_DATA }));
+        expect(() => log.export('xml')).toThrow(expect.objectContaining({ field: 'format' }));
+        expect(() => log.entries({ from: 'yesterday' })).toThrow(expect.objectContaining({ field: 'from' }));
+        log.close();
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '{"id":1,"header":"ZCZC-"}\nnot json\n');
+        expect(() => new AlertLog({ file })).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_LOG, position: 2 }));
+    });
+});
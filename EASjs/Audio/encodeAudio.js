@@ -0,0 +1,90 @@
+/**
+ * Audio file encoder for the EASjs library
+ * @module encodeAudio
+ */
+
+const { Readable } = require('stream');
+const { runFfmpeg, streamFfmpeg } = require('./ffmpeg.js');
+const { encodePcm, encodeWav } = require('./wav.js');
+
+/**
+ * The codecs encodeAudio() can write. WAV and raw PCM are written directly;
+ * the others are encoded by ffmpeg from a WAV piped to stdin.
+ */
+const CODECS = {
+    wav: null,
+    raw: null,
+    mp3: ({ bitrate }) => ['-codec:a', 'libmp3lame', '-b:a', bitrate ?? '128k', '-f', 'mp3'],
+    // FLAC stores at most 24 bits, so 24-bit and float audio are both written as 24-bit.
+    flac: ({ bitDepth }) => ['-codec:a', 'flac', '-sample_fmt', bitDepth === '16' ? 's16' : 's32', '-bits_per_raw_sample', bitDepth === '16' ? '16' : '24', '-f', 'flac'],
+    // libvorbis only takes a bitrate it has tuned for the sample rate and channels (at most 90k for
+    // mono 24 kHz, none above 48 kHz), so without one it uses its default quality, which works at any rate.
+    ogg: ({ bitrate }) => ['-codec:a', 'libvorbis', ...(bitrate ? ['-b:a', bitrate] : []), '-f', 'ogg']
+};
+
+/**
+ * Encodes mono samples as an audio file.
+ * @param {Float32Array} samples - The mono samples, from -1 to 1.
+ * @param {Object} format - The audio format.
+ * @param {string} format.codec - wav, raw, mp3, flac or ogg.
+ * @param {number} format.sampleRate - The sample rate in Hz.
+ * @param {string} [format.bitDepth='16'] - 16, 24 or 32f; ignored by MP3 and OGG.
+ * @param {number} [format.channels=1] - The number of channels.
+ * @param {string|null} [format.bitrate=null] - The MP3 or OGG bitrate; MP3 defaults to 128k, OGG to libvorbis's default quality.
+ * @param {string} [message] - The message for the error raised if ffmpeg fails.
+ * @returns {Promise<Buffer>} The encoded file.
+ * @throws {EASError} If ffmpeg cannot encode the audio.
+ */
+const encodeAudio = async (samples, format, message) => {
+    const { codec, bitDepth = '16', channels = 1, bitrate = null } = format;
+    if (codec === 'raw') return toBuffer(encodePcm(samples, { bitDepth, channels }));
+
+    const wav = toBuffer(encodeWav(samples, format));
+    if (codec === 'wav') return wav;
+
+    return runFfmpeg(ffmpegArgs(codec, { bitDepth, bitrate }), { input: wav, message });
+};
+
+/**
+ * Encodes mono samples as an audio file, streaming ffmpeg's output as it is encoded.
+ * WAV and raw PCM are encoded up front and streamed from memory.
+ * @param {Float32Array} samples - The mono samples, from -1 to 1.
+ * @param {Object} format - The audio format, as for encodeAudio().
+ * @param {string} [message] - The message for the error raised if ffmpeg fails.
+ * @returns {import('stream').Readable} A byte stream of the encoded file. If ffmpeg fails, the stream is destroyed with an EASError.
+ */
+const encodeAudioStream = (samples, format, message) => {
+    const { codec, bitDepth = '16', channels = 1, bitrate = null } = format;
+    if (codec === 'raw') return Readable.from([toBuffer(encodePcm(samples, { bitDepth, channels }))], { objectMode: false });
+
+    const wav = toBuffer(encodeWav(samples, format));
+    if (codec === 'wav') return Readable.from([wav], { objectMode: false });
+
+    return streamFfmpeg(ffmpegArgs(codec, { bitDepth, bitrate }), { input: wav, message });
+};
+
+/**
+ * The ffmpeg arguments that encode a WAV on stdin to stdout.
+ * @param {string} codec - mp3, flac or ogg.
+ * @param {Object} options - The codec options: bitDepth and bitrate.
+ * @returns {string[]} The arguments.
+ */
+const ffmpegArgs = (codec, options) => [
+    '-f', 'wav',
+    '-i', 'pipe:0',
+    ...CODECS[codec](options),
+    'pipe:1'
+];
+
+/**
+ * Wraps encoded bytes in a Buffer without copying them.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {Buffer} A Buffer over the same memory.
+ */
+const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+
+module.exports = {
+    CODECS,
+    encodeAudio,
+    encodeAudioStream
+};
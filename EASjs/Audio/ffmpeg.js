@@ -0,0 +1,89 @@
+/**
+ * ffmpeg runner for the EASjs library
+ * @module ffmpeg
+ */
+
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const ffmpeg = require('ffmpeg-static');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+
+/**
+ * Runs ffmpeg, piping the input to stdin and streaming stdout as it is written.
+ * Nothing is written to disk unless the arguments name an output file.
+ * @param {string[]} args - The ffmpeg arguments, after -hide_banner and -loglevel.
+ * @param {Object} [options={}] - Options for running.
+ * @param {Buffer|import('stream').Readable|null} [options.input=null] - The data to pipe to stdin, for "-i pipe:0".
+ * @param {string} [options.message='ffmpeg failed.'] - The message for the error raised on failure; ffmpeg's own error is appended.
+ * @returns {import('stream').Readable} ffmpeg's stdout. It ends when ffmpeg exits cleanly; destroying it stops ffmpeg.
+ * If ffmpeg cannot be started, the input stream fails, or ffmpeg exits with an error, the stream is destroyed with an
+ * EASError (CONVERSION_FAILED).
+ */
+const streamFfmpeg = (args, options = {}) => {
+    const { input = null, message = 'ffmpeg failed.' } = options;
+    const output = new PassThrough();
+    let stderr = '';
+    let settled = false;
+
+    const fail = (reason) => {
+        if (settled) return;
+        settled = true;
+        child.kill();
+        output.destroy(new EASError(ERROR_CODES.CONVERSION_FAILED, `${message} (${reason})`));
+    };
+
+    const child = spawn(ffmpeg, ['-hide_banner', '-loglevel', 'error', ...args]);
+
+    child.stdout.pipe(output, { end: false });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', (error) => fail(error.message));
+    child.on('close', (code) => {
+        if (code !== 0) {
+            fail(stderr.trim() || `exit code ${code}`);
+            return;
+        }
+        if (settled) return;
+        settled = true;
+        output.end();
+    });
+    // A reader that stops early has no use for the rest of the output.
+    output.on('close', () => {
+        if (settled) return;
+        settled = true;
+        child.kill();
+    });
+
+    // ffmpeg may exit before reading all of stdin; its exit code reports the real problem.
+    child.stdin.on('error', () => {});
+    if (Buffer.isBuffer(input)) {
+        child.stdin.end(input);
+    } else if (input) {
+        input.on('error', (error) => fail(error.message));
+        input.pipe(child.stdin);
+    } else {
+        child.stdin.end();
+    }
+
+    return output;
+};
+
+/**
+ * Runs ffmpeg, piping the input to stdin and collecting stdout.
+ * Nothing is written to disk unless the arguments name an output file.
+ * @param {string[]} args - The ffmpeg arguments, after -hide_banner and -loglevel.
+ * @param {Object} [options={}] - Options for running, as for streamFfmpeg().
+ * @returns {Promise<Buffer>} Everything ffmpeg wrote to stdout.
+ * @throws {EASError} If ffmpeg cannot be started, the input stream fails, or ffmpeg exits with an error.
+ */
+const runFfmpeg = (args, options = {}) => new Promise((resolve, reject) => {
+    const chunks = [];
+    streamFfmpeg(args, options)
+        .on('data', (chunk) => chunks.push(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+module.exports = {
+    runFfmpeg,
+    streamFfmpeg
+};
@@ -0,0 +1,246 @@
+/**
+ * Message audio processing for the EASjs library
+ * @module processAudio
+ */
+
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+
+/**
+ * Loudness measurement blocks, per ITU-R BS.1770: 400 ms windows every 100 ms.
+ */
+const BLOCK_MS = 400;
+const STEP_MS = 100;
+
+/**
+ * Blocks quieter than this (LUFS), or this far (LU) below the ungated loudness, are not counted.
+ */
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+/**
+ * Highest peak loudness normalization may raise the audio to, in dBFS.
+ */
+const LOUDNESS_CEILING = -1;
+
+/**
+ * Fade applied when audio is cut short, in ms, so it does not end on a click.
+ */
+const TRUNCATE_FADE = 50;
+
+const toDB = (value) => 20 * Math.log10(value);
+const fromDB = (dB) => 10 ** (dB / 20);
+
+/**
+ * Applies a biquad filter, returning a new buffer.
+ * @param {Float32Array|Float64Array} input - The samples.
+ * @param {number[]} b - The numerator coefficients.
+ * @param {number[]} a - The denominator coefficients, with a[0] = 1.
+ * @returns {Float64Array} The filtered samples.
+ */
+const biquad = (input, [b0, b1, b2], [, a1, a2]) => {
+    const output = new Float64Array(input.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < input.length; i++) {
+        const x = input[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        output[i] = y;
+    }
+    return output;
+};
+
+/**
+ * Applies the BS.1770 K-weighting filter: a high shelf for the head's effect,
+ * then a high pass. The coefficients are derived for any sample rate, and match
+ * the published 48 kHz ones.
+ * @param {Float32Array} samples - The samples.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @returns {Float64Array} The weighted samples.
+ */
+const kWeight = (samples, sampleRate) => {
+    let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    let a0 = 1 + K / Q + K * K;
+    const shelf = biquad(
+        samples,
+        [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+        [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+    );
+
+    K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    return biquad(shelf, [1, -2, 1], [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]);
+};
+
+/**
+ * Measures integrated loudness, per ITU-R BS.1770 with gating.
+ * Audio shorter than one block is measured as a single block.
+ * @param {Float32Array} samples - The mono samples.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @returns {number} The loudness in LUFS; -Infinity for silence.
+ */
+const measureLoudness = (samples, sampleRate) => {
+    if (samples.length === 0) return -Infinity;
+
+    const weighted = kWeight(samples, sampleRate);
+    const step = Math.round((STEP_MS / 1000) * sampleRate);
+    const stepsPerBlock = BLOCK_MS / STEP_MS;
+
+    // Sum squares per 100 ms step once; each block is then four consecutive steps.
+    const steps = new Float64Array(Math.ceil(weighted.length / step));
+    for (let i = 0; i < weighted.length; i++) steps[Math.floor(i / step)] += weighted[i] * weighted[i];
+
+    const blocks = [];
+    if (steps.length < stepsPerBlock) {
+        blocks.push(steps.reduce((sum, value) => sum + value, 0) / weighted.length);
+    } else {
+        for (let i = 0; i + stepsPerBlock <= steps.length; i++) {
+            let sum = 0;
+            for (let j = i; j < i + stepsPerBlock; j++) sum += steps[j];
+            blocks.push(sum / (step * stepsPerBlock));
+        }
+    }
+
+    const loudness = (power) => -0.691 + 10 * Math.log10(power);
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const audible = blocks.filter((power) => loudness(power) > ABSOLUTE_GATE);
+    if (audible.length === 0) return -Infinity;
+    const threshold = loudness(mean(audible)) + RELATIVE_GATE;
+    return loudness(mean(audible.filter((power) => loudness(power) > threshold)));
+};
+
+/**
+ * Measures the levels of some audio.
+ * @param {Float32Array} samples - The mono samples.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @returns {{duration: number, peak: number, rms: number, loudness: number}} The duration in seconds,
+ * the sample peak and RMS level in dBFS, and the integrated loudness in LUFS. Levels are -Infinity for silence.
+ */
+const measureAudio = (samples, sampleRate) => {
+    let peak = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > peak) peak = value;
+        sumSquares += value * value;
+    }
+
+    return {
+        duration: samples.length / sampleRate,
+        peak: toDB(peak),
+        rms: samples.length > 0 ? toDB(Math.sqrt(sumSquares / samples.length)) : -Infinity,
+        loudness: measureLoudness(samples, sampleRate)
+    };
+};
+
+/**
+ * Finds the audio between the first and last samples louder than a threshold.
+ * @param {Float32Array} samples - The mono samples.
+ * @param {number} threshold - The silence threshold in dBFS.
+ * @returns {{start: number, end: number}} The first sample kept and the sample after the last one; equal when all is silent.
+ */
+const findSound = (samples, threshold) => {
+    const level = fromDB(threshold);
+    let start = 0;
+    while (start < samples.length && Math.abs(samples[start]) <= level) start++;
+    let end = samples.length;
+    while (end > start && Math.abs(samples[end - 1]) <= level) end--;
+    return { start, end };
+};
+
+/**
+ * Ramps the start and end of some audio in place, linearly.
+ * @param {Float32Array} samples - The mono samples.
+ * @param {number} fadeIn - The fade-in length in samples.
+ * @param {number} fadeOut - The fade-out length in samples.
+ */
+const applyFades = (samples, fadeIn, fadeOut) => {
+    const fadeInLength = Math.min(fadeIn, samples.length);
+    for (let i = 0; i < fadeInLength; i++) samples[i] *= i / fadeInLength;
+
+    const fadeOutLength = Math.min(fadeOut, samples.length);
+    for (let i = 0; i < fadeOutLength; i++) samples[samples.length - 1 - i] *= i / fadeOutLength;
+};
+
+/**
+ * Prepares message audio for an alert: trims silence, enforces the length limit,
+ * normalizes the level and fades the ends, in that order.
+ * @param {Float32Array} samples - The mono samples. They are not changed.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @param {Object} [settings={}] - What to do.
+ * @param {string|false} [settings.normalize=false] - peak, loudness, or false to leave the level alone.
+ * @param {number} [settings.target] - The level to normalize to: dBFS for peak, LUFS for loudness.
+ * @param {number|false} [settings.trimThreshold=false] - Trim leading and trailing audio below this level, in dBFS.
+ * @param {number} [settings.fadeIn=0] - The fade-in length in ms.
+ * @param {number} [settings.fadeOut=0] - The fade-out length in ms.
+ * @param {number} [settings.maxLength=Infinity] - The longest message allowed, in seconds.
+ * @param {string} [settings.overlength='truncate'] - truncate or reject audio longer than maxLength.
+ * @param {string} [message] - The message for the error raised when overlong audio is rejected.
+ * @returns {{samples: Float32Array, report: object}} The processed samples and a report of the levels before
+ * and after, the gain applied in dB, whether loudness normalization was held back to avoid clipping, the
+ * seconds trimmed from each end, and whether the audio was truncated.
+ * @throws {EASError} If the audio is too long and overlength is reject.
+ */
+const processMessageAudio = (samples, sampleRate, settings = {}, message = 'The message audio is too long.') => {
+    const {
+        normalize = false,
+        target,
+        trimThreshold = false,
+        fadeIn = 0,
+        fadeOut = 0,
+        maxLength = Infinity,
+        overlength = 'truncate'
+    } = settings;
+
+    const input = measureAudio(samples, sampleRate);
+
+    const { start, end } = trimThreshold === false ? { start: 0, end: samples.length } : findSound(samples, trimThreshold);
+    const limit = Math.round(maxLength * sampleRate);
+    const truncated = end - start > limit;
+    if (truncated && overlength === 'reject') {
+        throw new EASError(ERROR_CODES.MESSAGE_TOO_LONG, message, { field: 'maxMessageLength', value: (end - start) / sampleRate });
+    }
+    const output = samples.slice(start, truncated ? start + limit : end);
+
+    let gain = 0;
+    let limited = false;
+    if (normalize) {
+        const levels = measureAudio(output, sampleRate);
+        if (normalize === 'peak' && levels.peak > -Infinity) {
+            gain = target - levels.peak;
+        } else if (normalize === 'loudness' && levels.loudness > -Infinity) {
+            gain = target - levels.loudness;
+            if (levels.peak + gain > LOUDNESS_CEILING) {
+                gain = LOUDNESS_CEILING - levels.peak;
+                limited = true;
+            }
+        }
+        const scale = fromDB(gain);
+        for (let i = 0; i < output.length; i++) output[i] *= scale;
+    }
+
+    const toSamples = (ms) => Math.round((ms / 1000) * sampleRate);
+    applyFades(output, toSamples(fadeIn), toSamples(truncated ? Math.max(fadeOut, TRUNCATE_FADE) : fadeOut));
+
+    return {
+        samples: output,
+        report: {
+            input,
+            output: measureAudio(output, sampleRate),
+            gain,
+            limited,
+            trimmed: { start: start / sampleRate, end: (samples.length - end) / sampleRate },
+            truncated
+        }
+    };
+};
+
+module.exports = {
+    measureAudio,
+    processMessageAudio
+};
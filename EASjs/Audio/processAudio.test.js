@@ -0,0 +1,106 @@
+const { measureAudio, processMessageAudio } = require('./processAudio');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const SAMPLE_RATE = 24000;
+
+/**
+ * A sine wave with silence around it.
+ */
+const sine = ({ frequency = 997, level = 0, seconds = 1, before = 0, after = 0, sampleRate = SAMPLE_RATE } = {}) => {
+    const amplitude = 10 ** (level / 20);
+    const offset = Math.round(before * sampleRate);
+    const samples = new Float32Array(offset + Math.round(seconds * sampleRate) + Math.round(after * sampleRate));
+    for (let i = 0; i < Math.round(seconds * sampleRate); i++) {
+        samples[offset + i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+    }
+    return samples;
+};
+
+describe('processAudio', () => {
+    it('should measure a full-scale 997 Hz sine at -3.01 LUFS at any sample rate', () => {
+        for (const sampleRate of [24000, 44100, 48000]) {
+            const levels = measureAudio(sine({ sampleRate }), sampleRate);
+            expect(levels.loudness).toBeCloseTo(-3.01, 1);
+            expect(levels.peak).toBeCloseTo(0, 2);
+            expect(levels.rms).toBeCloseTo(-3.01, 2);
+            expect(levels.duration).toBe(1);
+        }
+    });
+
+    it('should gate silence out of the loudness', () => {
+        // Only the blocks that straddle the edges of the tone count against it.
+        const padded = measureAudio(sine({ level: -20, seconds: 10, before: 10, after: 10 }), SAMPLE_RATE);
+        expect(padded.loudness).toBeCloseTo(-23.01, 0);
+        expect(padded.rms).toBeLessThan(-27);
+        expect(measureAudio(new Float32Array(SAMPLE_RATE), SAMPLE_RATE).loudness).toBe(-Infinity);
+    });
+
+    it('should leave the audio alone by default', () => {
+        const samples = sine({ level: -30 });
+        const { samples: output, report } = processMessageAudio(samples, SAMPLE_RATE);
+
+        expect(output).toEqual(samples);
+        expect(output).not.toBe(samples);
+        expect(report).toEqual(expect.objectContaining({ gain: 0, limited: false, truncated: false, trimmed: { start: 0, end: 0 } }));
+    });
+
+    it('should normalize to a peak level', () => {
+        const { report } = processMessageAudio(sine({ level: -30 }), SAMPLE_RATE, { normalize: 'peak', target: -3 });
+
+        expect(report.gain).toBeCloseTo(27, 2);
+        expect(report.output.peak).toBeCloseTo(-3, 2);
+        expect(report.input.peak).toBeCloseTo(-30, 2);
+    });
+
+    it('should normalize to a loudness without clipping', () => {
+        const quiet = processMessageAudio(sine({ level: -40 }), SAMPLE_RATE, { normalize: 'loudness', target: -16 });
+        expect(quiet.report.output.loudness).toBeCloseTo(-16, 1);
+        expect(quiet.report.limited).toBe(false);
+
+        // A sine at -3 LUFS would need a 0 dBFS peak, above the -1 dBFS ceiling.
+        const loud = processMessageAudio(sine({ level: -40 }), SAMPLE_RATE, { normalize: 'loudness', target: -3 });
+        expect(loud.report.limited).toBe(true);
+        expect(loud.report.output.peak).toBeCloseTo(-1, 2);
+    });
+
+    it('should trim leading and trailing silence', () => {
+        const samples = sine({ level: -20, before: 1.5, after: 0.5 });
+        samples[10] = 0.001;
+        const { samples: output, report } = processMessageAudio(samples, SAMPLE_RATE, { trimThreshold: -50 });
+
+        expect(report.trimmed.start).toBeCloseTo(1.5, 3);
+        expect(report.trimmed.end).toBeCloseTo(0.5, 3);
+        expect(output.length / SAMPLE_RATE).toBeCloseTo(1, 3);
+    });
+
+    it('should fade the ends in and out', () => {
+        const samples = new Float32Array(SAMPLE_RATE).fill(0.5);
+        const { samples: output } = processMessageAudio(samples, SAMPLE_RATE, { fadeIn: 100, fadeOut: 500 });
+
+        expect(output[0]).toBe(0);
+        expect(output[1200]).toBeCloseTo(0.25, 5);
+        expect(output[SAMPLE_RATE / 4]).toBe(0.5);
+        expect(output[SAMPLE_RATE - 6000]).toBeCloseTo(0.25, 3);
+        expect(output[SAMPLE_RATE - 1]).toBe(0);
+    });
+
+    it('should truncate long audio with a short fade', () => {
+        const { samples: output, report } = processMessageAudio(new Float32Array(3 * SAMPLE_RATE).fill(0.5), SAMPLE_RATE, { maxLength: 2 });
+
+        expect(report.truncated).toBe(true);
+        expect(output).toHaveLength(2 * SAMPLE_RATE);
+        expect(output[output.length - 1]).toBe(0);
+        expect(output[output.length - SAMPLE_RATE * 0.05 - 1]).toBe(0.5);
+    });
+
+    it('should reject long audio when asked to', () => {
+        expect(() => processMessageAudio(new Float32Array(3 * SAMPLE_RATE), SAMPLE_RATE, { maxLength: 2, overlength: 'reject' }, 'Too long'))
+            .toThrow(expect.objectContaining({ code: ERROR_CODES.MESSAGE_TOO_LONG, message: 'Too long', field: 'maxMessageLength', value: 3 }));
+    });
+
+    it('should check the length after trimming', () => {
+        const samples = sine({ seconds: 1.5, before: 1 });
+        const { report } = processMessageAudio(samples, SAMPLE_RATE, { trimThreshold: -50, maxLength: 2, overlength: 'reject' });
+        expect(report.truncated).toBe(false);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * WAV and PCM encoder and decoder for the EASjs library
+ * @module wav
+ *
+ * Works on typed arrays only, so it runs in browsers as well as Node.
+ */
+
+/**
+ * The sample formats PCM can be written in, with their size in bytes.
+ */
+const BIT_DEPTHS = {
+    16: 2,
+    24: 3,
+    '32f': 4
+};
+
+/**
+ * Packs mono samples as interleaved little-endian PCM, copying them to every channel.
+ * @param {Float32Array} samples - The mono samples, from -1 to 1.
+ * @param {Object} [format={}] - The sample format.
+ * @param {string} [format.bitDepth='16'] - 16, 24 or 32f.
+ * @param {number} [format.channels=1] - The number of channels.
+ * @returns {Uint8Array} The PCM data.
+ */
+const encodePcm = (samples, { bitDepth = '16', channels = 1 } = {}) => {
+    const size = BIT_DEPTHS[bitDepth];
+    const bytes = new Uint8Array(samples.length * channels * size);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        for (let channel = 0; channel < channels; channel++) {
+            if (bitDepth === '32f') {
+                view.setFloat32(offset, sample, true);
+            } else if (bitDepth === '24') {
+                const value = Math.round(sample * 8388607);
+                view.setUint8(offset, value & 0xFF);
+                view.setInt16(offset + 1, value >> 8, true);
+            } else {
+                view.setInt16(offset, Math.round(sample * 32767), true);
+            }
+            offset += size;
+        }
+    }
+
+    return bytes;
+};
+
+/**
+ * Builds a WAV file from mono samples.
+ * @param {Float32Array} samples - The mono samples, from -1 to 1.
+ * @param {Object} format - The sample format.
+ * @param {number} format.sampleRate - The sample rate in Hz.
+ * @param {string} [format.bitDepth='16'] - 16, 24 or 32f.
+ * @param {number} [format.channels=1] - The number of channels.
+ * @returns {Uint8Array} The WAV file.
+ */
+const encodeWav = (samples, { sampleRate, bitDepth = '16', channels = 1 }) => {
+    const data = encodePcm(samples, { bitDepth, channels });
+    const isFloat = bitDepth === '32f';
+    const blockAlign = channels * BIT_DEPTHS[bitDepth];
+
+    // Float WAVs carry the extended fmt chunk and a fact chunk, as the format requires.
+    const fmtSize = isFloat ? 18 : 16;
+    const factSize = isFloat ? 12 : 0;
+    const headerSize = 12 + 8 + fmtSize + factSize + 8;
+    const wav = new Uint8Array(headerSize + data.length);
+    const view = new DataView(wav.buffer);
+    const writeText = (text, offset) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeText('RIFF', 0);
+    view.setUint32(4, wav.length - 8, true);
+    writeText('WAVE', 8);
+    writeText('fmt ', 12);
+    view.setUint32(16, fmtSize, true);
+    view.setUint16(20, isFloat ? 3 : 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, isFloat ? 32 : parseInt(bitDepth, 10), true);
+
+    let offset = 20 + fmtSize;
+    if (isFloat) {
+        view.setUint16(36, 0, true);
+        writeText('fact', offset);
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, samples.length, true);
+        offset += factSize;
+    }
+    writeText('data', offset);
+    view.setUint32(offset + 4, data.length, true);
+
+    wav.set(data, headerSize);
+    return wav;
+};
+
+/**
+ * WAV format tags: integer PCM, IEEE float, and the extensible format, whose sub-format holds one of the others.
+ */
+const PCM = 1;
+const FLOAT = 3;
+const EXTENSIBLE = 0xFFFE;
+
+/**
+ * Reads an integer PCM or float WAV file into mono samples, averaging the channels.
+ * @param {Uint8Array} bytes - The WAV file.
+ * @returns {{samples: Float32Array, sampleRate: number}|null} The mono samples and their sample rate, or null if the file
+ * is not a WAV this can read: compressed formats (A-law, mu-law, ADPCM), bit depths other than 8, 16, 24 and 32 (and 64 for float), or a broken file.
+ */
+const decodeWav = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const readText = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 12 || readText(0) !== 'RIFF' || readText(8) !== 'WAVE') return null;
+
+    let fmt = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= bytes.length; ) {
+        const id = readText(offset);
+        const size = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+
+        if (id === 'fmt ' && size >= 16 && start + size <= bytes.length) {
+            const tag = view.getUint16(start, true);
+            fmt = {
+                // The sub-format GUID starts with the format tag.
+                tag: tag === EXTENSIBLE && size >= 40 ? view.getUint16(start + 24, true) : tag,
+                channels: view.getUint16(start + 2, true),
+                sampleRate: view.getUint32(start + 4, true),
+                bits: view.getUint16(start + 14, true)
+            };
+        } else if (id === 'data') {
+            // Some writers leave the size unset when streaming; take what is there.
+            data = { start, size: Math.min(size, bytes.length - start) };
+            break;
+        }
+        // Chunks are padded to an even length.
+        offset = start + size + (size % 2);
+    }
+    if (!fmt || !data || fmt.channels < 1 || fmt.sampleRate < 1) return null;
+
+    const { tag, channels, sampleRate, bits } = fmt;
+    let read;
+    if (tag === FLOAT && bits === 32) read = (offset) => view.getFloat32(offset, true);
+    else if (tag === FLOAT && bits === 64) read = (offset) => view.getFloat64(offset, true);
+    else if (tag === PCM && bits === 8) read = (offset) => (view.getUint8(offset) - 128) / 128;
+    else if (tag === PCM && bits === 16) read = (offset) => view.getInt16(offset, true) / 32768;
+    else if (tag === PCM && bits === 24) read = (offset) => ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 8388608;
+    else if (tag === PCM && bits === 32) read = (offset) => view.getInt32(offset, true) / 2147483648;
+    else return null;
+
+    const size = bits / 8;
+    const blockAlign = size * channels;
+    const samples = new Float32Array(Math.floor(data.size / blockAlign));
+    for (let i = 0, offset = data.start; i < samples.length; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++, offset += size) sum += read(offset);
+        samples[i] = sum / channels;
+    }
+
+    return { samples, sampleRate };
+};
+
+module.exports = {
+    BIT_DEPTHS,
+    encodePcm,
+    encodeWav,
+    decodeWav
+};
@@ -0,0 +1,15 @@
+/**
+ * Runs a suite as browser.js loads the core: requiring a Node built-in or ffmpeg-static
+ * throws, and there is no Buffer. See the browser project in jest.config.js.
+ */
+const { builtinModules } = require('module');
+
+const NODE_ONLY = [...builtinModules.filter((name) => !name.startsWith('_')), 'ffmpeg-static'];
+
+for (const name of NODE_ONLY) {
+    jest.doMock(name, () => {
+        throw new Error(`${name} was required, but the core must run in browsers without Node modules.`);
+    });
+}
+
+delete globalThis.Buffer;
@@ -0,0 +1,184 @@
+/**
+ * Browser alert output for the EASjs library
+ * @module browserAlert
+ *
+ * Encodes alerts as WAV Blobs and plays them through Web Audio. Message audio
+ * is decoded by the browser, so nothing here needs files or ffmpeg.
+ */
+
+const { encodePcm, encodeWav } = require('../Audio/wav.js');
+const { resolveAlertSettings, renderAlert } = require('../EASGenerator/renderAlert.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+// The generator's messages cover the shared options; these override and add to them.
+const locals = {
+    en_us: { ...require('../EASGenerator/locals/en_us.json'), ...require('./locals/en_us.json') },
+    es_us: { ...require('../EASGenerator/locals/es_us.json'), ...require('./locals/es_us.json') },
+    fr_ca: { ...require('../EASGenerator/locals/fr_ca.json'), ...require('./locals/fr_ca.json') }
+};
+
+/**
+ * Ways generateEASAlert() can return the encoded alert in the browser.
+ */
+const OUTPUTS = ['blob', 'buffer'];
+
+/**
+ * Content type for each codec the browser can write.
+ */
+const CONTENT_TYPES = {
+    wav: 'audio/wav',
+    raw: 'application/octet-stream'
+};
+
+/**
+ * Generates an EAS alert in the browser, as a WAV or raw PCM file.
+ *
+ * Takes the same options as the Node generateEASAlert(), except that there is no
+ * file output and no MP3, FLAC or OGG encoding. Message audio in any format the
+ * browser can play is decoded with Web Audio.
+ *
+ * @param {string} zczcMessage - The ZCZC message for the alert.
+ * @param {Object} [options={}] - Options for the alert generation, as for generateEASAlert() in Node.
+ * @param {Blob|ArrayBuffer|ArrayBufferView|AudioBuffer|null} [options.audio=null] - The message audio: an encoded file, or an AudioBuffer.
+ * @param {string} [options.output='blob'] - How to return the alert: blob, or buffer for a Uint8Array.
+ * @param {string} [options.codec='wav'] - wav or raw (headerless little-endian PCM).
+ * @returns {Promise<Blob|Uint8Array|{audio: Blob|Uint8Array, report: object|null}>} The encoded alert, with the message audio report when asked for.
+ * @throws {EASError} If an option is invalid, the header fails validation, the message audio cannot be decoded or is too long and overlength is reject.
+ */
+const generateEASAlert = async (zczcMessage, options = {}) => {
+    const { output = 'blob', report = false, locale } = options;
+    const messages = resolveMessages(locals, locale);
+
+    if (!OUTPUTS.includes(output)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.outputinvalid, { field: 'output', value: output });
+    }
+
+    const { samples, format, report: messageReport } = await renderBrowserAlert(zczcMessage, options, messages);
+    const bytes = format.codec === 'raw' ? encodePcm(samples, format) : encodeWav(samples, format);
+    const result = output === 'buffer' ? bytes : new Blob([bytes], { type: CONTENT_TYPES[format.codec] });
+    return report ? { audio: result, report: messageReport } : result;
+};
+
+/**
+ * Plays an EAS alert through Web Audio.
+ *
+ * The alert is rendered at the audio context's sample rate and starts playing at
+ * once. Call stop() on the returned node to cut it short, or listen for its
+ * `ended` event.
+ *
+ * @param {string} zczcMessage - The ZCZC message for the alert.
+ * @param {Object} [options={}] - Options for the alert, as for generateEASAlert(); the format options are not used.
+ * @param {AudioContext} [options.context] - The audio context to play in; a new one is created if omitted.
+ * @param {AudioNode} [options.destination=context.destination] - The node to play into.
+ * @returns {Promise<AudioBufferSourceNode>} The playing source.
+ * @throws {EASError} If Web Audio is not available, or the alert cannot be rendered.
+ */
+const playEASAlert = async (zczcMessage, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+    const AudioContextClass = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+    const context = options.context ?? (AudioContextClass ? new AudioContextClass() : null);
+    if (!context) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.webaudiounavailable, { field: 'context' });
+    }
+
+    const { samples } = await renderBrowserAlert(zczcMessage, { ...options, codec: 'wav', sampleRate: context.sampleRate }, messages);
+    // Browsers start contexts suspended until the page has been interacted with.
+    if (context.state === 'suspended') await context.resume();
+
+    const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+    buffer.copyToChannel(samples, 0);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(options.destination ?? context.destination);
+    source.start();
+    return source;
+};
+
+/**
+ * Checks the options, decodes the message audio and renders the alert.
+ * @param {string} zczcMessage - The ZCZC message for the alert.
+ * @param {Object} options - The options passed to generateEASAlert() or playEASAlert().
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {Promise<{samples: Float32Array, format: object, report: object|null}>} The samples, audio format and message audio report.
+ * @throws {EASError} If an option is invalid or the message audio cannot be decoded.
+ */
+const renderBrowserAlert = async (zczcMessage, options, messages) => {
+    const settings = resolveAlertSettings(zczcMessage, options, { codecs: Object.keys(CONTENT_TYPES), defaultCodec: 'wav' }, messages);
+    const messageAudio = await decodeMessageAudio(options.audio ?? null, settings.format.sampleRate, messages);
+    const { samples, report } = renderAlert(zczcMessage, messageAudio, { ...settings, attentionTone: options.attentionTone ?? true }, messages);
+    return { samples, format: settings.format, report };
+};
+
+/**
+ * Decodes the message audio with Web Audio, as mono samples at the alert's sample rate.
+ * @param {Blob|ArrayBuffer|ArrayBufferView|AudioBuffer|null} source - The encoded audio, an AudioBuffer, or nothing.
+ * @param {number} sampleRate - The alert's sample rate in Hz.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {Promise<Float32Array>} The mono samples; empty when there is no message audio.
+ * @throws {EASError} If the audio is of the wrong type, Web Audio is not available, or the audio cannot be decoded.
+ */
+const decodeMessageAudio = async (source, sampleRate, messages) => {
+    if (source === null) return new Float32Array(0);
+
+    const isAudioBuffer = typeof source.getChannelData === 'function' && Number.isInteger(source.numberOfChannels);
+    let encoded = null;
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        encoded = await source.arrayBuffer();
+    } else if (source instanceof ArrayBuffer) {
+        // decodeAudioData() detaches the buffer it is given, so it gets a copy.
+        encoded = source.slice(0);
+    } else if (ArrayBuffer.isView(source)) {
+        encoded = source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+    } else if (!isAudioBuffer) {
+        throw new EASError(ERROR_CODES.INVALID_AUDIO, messages.audioinvalid, { field: 'audio' });
+    }
+
+    const OfflineContext = globalThis.OfflineAudioContext ?? globalThis.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+        throw new EASError(ERROR_CODES.INVALID_AUDIO, messages.webaudiounavailable, { field: 'audio' });
+    }
+
+    let buffer = source;
+    if (encoded) {
+        try {
+            // Decoding resamples to the context's rate, which is the alert's.
+            buffer = await new OfflineContext(1, 1, sampleRate).decodeAudioData(encoded);
+        } catch (error) {
+            throw new EASError(ERROR_CODES.INVALID_AUDIO, `${messages.decodefailed} (${error.message})`, { field: 'audio' });
+        }
+    }
+
+    if (buffer.sampleRate !== sampleRate) {
+        // Play the buffer into a mono context at the alert's rate, which resamples and mixes it down.
+        const context = new OfflineContext(1, Math.ceil(buffer.duration * sampleRate), sampleRate);
+        const player = context.createBufferSource();
+        player.buffer = buffer;
+        player.connect(context.destination);
+        player.start();
+        buffer = await context.startRendering();
+    }
+
+    return mixDown(buffer);
+};
+
+/**
+ * Averages the channels of an AudioBuffer.
+ * @param {AudioBuffer} buffer - The audio.
+ * @returns {Float32Array} The mono samples.
+ */
+const mixDown = (buffer) => {
+    if (buffer.numberOfChannels === 1) return Float32Array.from(buffer.getChannelData(0));
+
+    const mono = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < mono.length; i++) mono[i] += data[i] / buffer.numberOfChannels;
+    }
+    return mono;
+};
+
+module.exports = {
+    generateEASAlert,
+    playEASAlert
+};
@@ -0,0 +1,120 @@
+const { WaveFile } = require('wavefile');
+const { generateEASAlert, playEASAlert } = require('./browserAlert');
+const { renderEASAlert } = require('../EASGenerator/renderAlert');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const HEADER = 'ZCZC-WXR-RWT-027133+0015-3441441-ERN/CRTV-';
+const SAMPLE_RATE = 8000;
+
+/**
+ * The parts of a Web Audio AudioBuffer the generator reads.
+ */
+class FakeAudioBuffer {
+    constructor(channels, sampleRate) {
+        this.channels = channels;
+        this.sampleRate = sampleRate;
+        this.numberOfChannels = channels.length;
+        this.length = channels[0].length;
+        this.duration = this.length / sampleRate;
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+/**
+ * Decodes any non-empty input as half a second of stereo audio at the context's rate.
+ */
+class FakeOfflineAudioContext {
+    constructor(channels, length, sampleRate) {
+        this.sampleRate = sampleRate;
+    }
+
+    async decodeAudioData(data) {
+        if (data.byteLength === 0) throw new Error('Unable to decode audio data');
+        const half = this.sampleRate / 2;
+        return new FakeAudioBuffer([new Float32Array(half).fill(0.5), new Float32Array(half).fill(0.1)], this.sampleRate);
+    }
+}
+
+describe('browserAlert', () => {
+    afterEach(() => {
+        delete globalThis.OfflineAudioContext;
+    });
+
+    it('should generate a WAV Blob', async () => {
+        const blob = await generateEASAlert(HEADER, { sampleRate: SAMPLE_RATE });
+
+        expect(blob).toBeInstanceOf(Blob);
+        expect(blob.type).toBe('audio/wav');
+        const wav = new WaveFile(new Uint8Array(await blob.arrayBuffer()));
+        expect(wav.fmt.sampleRate).toBe(SAMPLE_RATE);
+        expect(wav.getSamples().length).toBe(renderEASAlert(HEADER, { sampleRate: SAMPLE_RATE }).length);
+    });
+
+    it('should return raw PCM as a Uint8Array', async () => {
+        const raw = await generateEASAlert(HEADER, { sampleRate: SAMPLE_RATE, codec: 'raw', channels: 2, output: 'buffer' });
+
+        expect(raw).toBeInstanceOf(Uint8Array);
+        expect(raw.length).toBe(renderEASAlert(HEADER, { sampleRate: SAMPLE_RATE }).length * 2 * 2);
+    });
+
+    it('should decode message audio with Web Audio and mix it down', async () => {
+        globalThis.OfflineAudioContext = FakeOfflineAudioContext;
+        const { report } = await generateEASAlert(HEADER, {
+            sampleRate: SAMPLE_RATE,
+            audio: new Blob([new Uint8Array([1, 2, 3])], { type: 'audio/mpeg' }),
+            report: true
+        });
+
+        expect(report.input.duration).toBeCloseTo(0.5, 5);
+        // The channels, at 0.5 and 0.1, average to 0.3.
+        expect(report.input.peak).toBeCloseTo(20 * Math.log10(0.3), 3);
+
+        const buffer = new FakeAudioBuffer([new Float32Array(SAMPLE_RATE).fill(0.25)], SAMPLE_RATE);
+        const fromBuffer = await generateEASAlert(HEADER, { sampleRate: SAMPLE_RATE, audio: buffer, report: true });
+        expect(fromBuffer.report.input.duration).toBe(1);
+    });
+
+    it('should reject message audio it cannot use', async () => {
+        await expect(generateEASAlert(HEADER, { audio: new Uint8Array([1]) }))
+            .rejects.toEqual(expect.objectContaining({ code: ERROR_CODES.INVALID_AUDIO, message: expect.stringMatching(/Web Audio/) }));
+
+        globalThis.OfflineAudioContext = FakeOfflineAudioContext;
+        await expect(generateEASAlert(HEADER, { audio: new ArrayBuffer(0) }))
+            .rejects.toEqual(expect.objectContaining({ code: ERROR_CODES.INVALID_AUDIO, message: expect.stringMatching(/Unable to decode/) }));
+        await expect(generateEASAlert(HEADER, { audio: 'message.mp3' })).rejects.toEqual(expect.objectContaining({ field: 'audio' }));
+    });
+
+    it('should reject codecs that need ffmpeg and unknown outputs', async () => {
+        await expect(generateEASAlert(HEADER, { codec: 'mp3' })).rejects.toEqual(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'codec' }));
+        await expect(generateEASAlert(HEADER, { output: 'file' })).rejects.toEqual(expect.objectContaining({ field: 'output' }));
+    });
+
+    it('should play the alert through an audio context', async () => {
+        const source = { connect: jest.fn(), start: jest.fn() };
+        const channel = { copyToChannel: jest.fn() };
+        const context = {
+            sampleRate: 22050,
+            state: 'suspended',
+            destination: { name: 'speakers' },
+            resume: jest.fn(async () => { context.state = 'running'; }),
+            createBuffer: jest.fn(() => channel),
+            createBufferSource: () => source
+        };
+
+        expect(await playEASAlert(HEADER, { context, mode: 'NWS' })).toBe(source);
+        const samples = renderEASAlert(HEADER, { sampleRate: 22050, mode: 'NWS' });
+        expect(context.resume).toHaveBeenCalled();
+        expect(context.createBuffer).toHaveBeenCalledWith(1, samples.length, 22050);
+        expect(channel.copyToChannel).toHaveBeenCalledWith(samples, 0);
+        expect(source.buffer).toBe(channel);
+        expect(source.connect).toHaveBeenCalledWith(context.destination);
+        expect(source.start).toHaveBeenCalled();
+    });
+
+    it('should explain when Web Audio is not available', async () => {
+        await expect(playEASAlert(HEADER)).rejects.toEqual(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'context' }));
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * CAP 1.2 to SAME converter for the EASjs library
+ * @module capToSame
+ */
+
+const buildSameHeader = require('../EASBuilder/buildSameHeader.js');
+const { parseXml, findChild, findChildren, textContent, localName } = require('./xml.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Longest purge time a header can carry, in minutes (99:30).
+ */
+const MAX_DURATION = 99 * 60 + 30;
+
+/**
+ * Extracts the SAME header fields from a CAP 1.2 alert.
+ *
+ * The first info block with a SAME event code decides the event and times;
+ * SAME geocodes are collected from every area of every info block with that
+ * event code (for example the same alert in several languages).
+ *
+ * @param {string} xml - The CAP alert XML.
+ * @param {Object} [options={}] - Options for the conversion.
+ * @param {string} [options.originator] - The originator code to use when the alert has no EAS-ORG parameter.
+ * @param {string} [options.sender] - The SAME sender; defaults to the EAS-STN-ID parameter or the CAP sender.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {object} The header, ready for generateEASAlert(), and the fields it was built from.
+ * @throws {EASError} If the XML is not a usable CAP alert.
+ */
+const capToSame = (xml, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+
+    if (typeof xml !== 'string' || xml.trim() === '') {
+        throw new EASError(ERROR_CODES.NO_DATA, messages.noxml);
+    }
+
+    const alert = parseXml(xml, { locale: options.locale });
+    if (localName(alert.name) !== 'alert') {
+        throw new EASError(ERROR_CODES.INVALID_CAP, messages.alertnotfound, { field: 'alert' });
+    }
+
+    const infos = findChildren(alert, 'info')
+        .map((info) => ({ info, event: valueOf(info, 'eventCode', 'SAME') }))
+        .filter(({ event }) => event);
+    if (infos.length === 0) {
+        throw new EASError(ERROR_CODES.INVALID_CAP, messages.infonotfound, { field: 'info' });
+    }
+
+    const { info, event } = infos[0];
+    const matching = infos.filter((entry) => entry.event === event).map((entry) => entry.info);
+
+    const originator = valueOf(info, 'parameter', 'EAS-ORG') ?? options.originator;
+    if (!originator) {
+        throw new EASError(ERROR_CODES.UNKNOWN_ORIGINATOR, messages.origininvalid, { field: 'originator' });
+    }
+
+    const locations = [...new Set(matching.flatMap((entry) => findChildren(entry, 'area'))
+        .flatMap((area) => valuesOf(area, 'geocode', 'SAME'))
+        .map((code) => code.padStart(6, '0')))];
+    if (locations.length === 0) {
+        throw new EASError(ERROR_CODES.NO_LOCATIONS, messages.nolocations, { field: 'locations' });
+    }
+
+    const issued = new Date(textContent(findChild(info, 'effective')) || textContent(findChild(alert, 'sent')));
+    if (Number.isNaN(issued.getTime())) {
+        throw new EASError(ERROR_CODES.BAD_TIMESTAMP, messages.sentinvalid, { field: 'issued' });
+    }
+
+    const expires = new Date(textContent(findChild(info, 'expires')));
+    if (Number.isNaN(expires.getTime()) || expires <= issued) {
+        throw new EASError(ERROR_CODES.BAD_PURGE_TIME, messages.expiresinvalid, { field: 'expires' });
+    }
+
+    const sender = options.sender
+        ?? valueOf(info, 'parameter', 'EAS-STN-ID')
+        ?? textContent(findChild(alert, 'sender')).replace(/-/g, '').toUpperCase().slice(0, 8);
+
+    const fields = {
+        originator,
+        event,
+        locations,
+        duration: roundPurgeTime((expires - issued) / 60000),
+        issued: new Date(Math.floor(issued.getTime() / 60000) * 60000),
+        sender
+    };
+
+    return {
+        header: buildSameHeader(fields, { locale: options.locale }),
+        ...fields,
+        issued: fields.issued.toISOString(),
+        expires: expires.toISOString(),
+        identifier: textContent(findChild(alert, 'identifier')) || null
+    };
+};
+
+/**
+ * Rounds a purge time up to a valid SAME increment: 15 minutes up to an hour, 30 minutes after.
+ * @param {number} minutes - The time between issue and expiry.
+ * @returns {number} The purge time in minutes.
+ */
+const roundPurgeTime = (minutes) => {
+    const step = minutes <= 60 ? 15 : 30;
+    return Math.min(MAX_DURATION, Math.max(15, Math.ceil(minutes / step) * step));
+};
+
+/**
+ * Collects the values of CAP valueName/value pairs with a given name.
+ * @param {object} node - The parent element.
+ * @param {string} element - The pair element name. Example: eventCode, parameter, geocode
+ * @param {string} valueName - The valueName to look for. Example: SAME
+ * @returns {string[]} The matching values.
+ */
+const valuesOf = (node, element, valueName) => findChildren(node, element)
+    .filter((pair) => textContent(findChild(pair, 'valueName')) === valueName)
+    .map((pair) => textContent(findChild(pair, 'value')))
+    .filter((value) => value !== '');
+
+/**
+ * Finds the first value of a CAP valueName/value pair.
+ * @param {object} node - The parent element.
+ * @param {string} element - The pair element name.
+ * @param {string} valueName - The valueName to look for.
+ * @returns {string|null} The value, or null.
+ */
+const valueOf = (node, element, valueName) => valuesOf(node, element, valueName)[0] ?? null;
+
+module.exports = capToSame;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const capToSame = require('./capToSame');
+const sameToCap = require('./sameToCap');
+const messages = require('./locals/en_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('capToSame', () => {
+    it('should build a header from an alert with several info blocks', () => {
+        const result = capToSame(fixture('multi-info.xml'));
+
+        expect(result).toEqual({
+            header: 'ZCZC-WXR-TOR-027133+0045-3441441-WNWS.WEB-',
+            originator: 'WXR',
+            event: 'TOR',
+            locations: ['027133'],
+            duration: 45,
+            issued: '2024-12-09T14:41:00.000Z',
+            expires: '2024-12-09T15:15:00.000Z',
+            sender: 'WNWS.WEB',
+            identifier: 'NWS-IDP-PROD-4412907-3684425'
+        });
+    });
+
+    it('should collect geocodes from every area without duplicates', () => {
+        const result = capToSame(fixture('multi-area.xml'));
+
+        expect(result.locations).toEqual(['053011', '041051', '041067']);
+        expect(result.header).toBe('ZCZC-CIV-CEM-053011-041051-041067+0200-1861800-CNTY/OEM-');
+    });
+
+    it('should round-trip a header through sameToCap', () => {
+        const header = 'ZCZC-CIV-CAE-006081-206013+0130-3401900-WJON/BLU-';
+        const xml = sameToCap(header, { referenceDate: new Date(Date.UTC(2024, 11, 5)) });
+        expect(capToSame(xml).header).toBe(header);
+    });
+
+    it('should use the originator and sender options when the alert lacks them', () => {
+        const xml = fixture('multi-info.xml').replace(/<parameter>[\s\S]*?<\/parameter>/g, '');
+        expect(() => capToSame(xml)).toThrow(messages.origininvalid);
+        expect(capToSame(xml, { originator: 'WXR', sender: 'KFSD/NWS' }).header)
+            .toBe('ZCZC-WXR-TOR-027133+0045-3441441-KFSD/NWS-');
+    });
+
+    it('should throw an error if no XML is provided', () => {
+        expect(() => capToSame('')).toThrow(messages.noxml);
+    });
+
+    it('should throw an error for XML that is not a CAP alert', () => {
+        expect(() => capToSame('<feed></feed>')).toThrow(messages.alertnotfound);
+        expect(() => capToSame('<alert>')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_XML }));
+        expect(() => capToSame('<alert><identifier>&#x110000;</identifier></alert>')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_XML }));
+    });
+
+    it('should throw an error if no info block has a SAME event code', () => {
+        const xml = fixture('multi-info.xml').replace(/<valueName>SAME<\/valueName>\s*<value>TOR<\/value>/g, '');
+        expect(() => capToSame(xml)).toThrow(messages.infonotfound);
+    });
+
+    it('should throw an error if there are no SAME geocodes', () => {
+        const xml = fixture('multi-info.xml').replace(/<valueName>SAME<\/valueName>\s*<value>027133<\/value>/g, '');
+        expect(() => capToSame(xml)).toThrow(messages.nolocations);
+    });
+
+    it('should throw an error if the alert has already expired when issued', () => {
+        const xml = fixture('multi-info.xml').replace(/<expires>[^<]*<\/expires>/g, '<expires>2024-12-09T08:00:00-06:00</expires>');
+        expect(() => capToSame(xml)).toThrow(messages.expiresinvalid);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * SAME to CAP 1.2 converter for the EASjs library
+ * @module sameToCap
+ */
+
+const decodeSame = require('../EASText/decodeSame.js');
+const { serializeXml, element } = require('./xml.js');
+const { getLocaleData, getLocaleTag } = require('../Locale/locale.js');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+/**
+ * Converts a SAME header into a CAP 1.2 alert.
+ * @param {string} header - The SAME header to convert.
+ * @param {Object} [options={}] - Options for the CAP alert.
+ * @param {string} [options.identifier] - The alert identifier; built from the header when left out.
+ * @param {string} [options.sender] - The CAP sender; defaults to the SAME sender.
+ * @param {string} [options.status='Actual'] - The CAP status. Example: Actual, Exercise, Test
+ * @param {string} [options.msgType='Alert'] - The CAP message type.
+ * @param {string} [options.scope='Public'] - The CAP scope.
+ * @param {string} [options.locale] - The locale the event name, sender name and description are written in; defaults to the one set with setLocale().
+ * @param {string} [options.language] - The language of the info block; defaults to the language of the locale. Example: es-US
+ * @param {string} [options.category] - The CAP category; "Met" for weather originators, otherwise "Other".
+ * @param {string} [options.urgency='Unknown'] - The CAP urgency.
+ * @param {string} [options.severity='Unknown'] - The CAP severity.
+ * @param {string} [options.certainty='Unknown'] - The CAP certainty.
+ * @param {Date} [options.referenceDate=new Date()] - The date the header is decoded against.
+ * @returns {string} The CAP alert XML.
+ * @throws {EASError} If the SAME header is invalid.
+ */
+const sameToCap = (header, options = {}) => {
+    const {
+        status = 'Actual',
+        msgType = 'Alert',
+        scope = 'Public',
+        locale,
+        language = getLocaleTag(locale),
+        urgency = 'Unknown',
+        severity = 'Unknown',
+        certainty = 'Unknown',
+        referenceDate = new Date()
+    } = options;
+
+    const decoded = decodeSame(header, { structured: true, referenceDate, locale });
+    const sender = decoded.sender.trim();
+    const issued = new Date(decoded.start);
+    const category = options.category ?? (decoded.originator === 'WXR' ? 'Met' : 'Other');
+    const identifier = options.identifier
+        ?? `EASjs-${sender.replace(/[^\w.]/g, '_')}-${decoded.originator}-${decoded.event}-${formatCapTime(issued).slice(0, 16).replace(/\D/g, '')}`;
+
+    const valuePair = (name, valueName, value) => element(name, [
+        element('valueName', valueName),
+        element('value', value)
+    ]);
+
+    const alert = element('alert', [
+        element('identifier', identifier),
+        element('sender', options.sender ?? sender),
+        element('sent', formatCapTime(issued)),
+        element('status', status),
+        element('msgType', msgType),
+        element('scope', scope),
+        element('info', [
+            element('language', language),
+            element('category', category),
+            element('event', decoded.eventName),
+            element('urgency', urgency),
+            element('severity', severity),
+            element('certainty', certainty),
+            valuePair('eventCode', 'SAME', decoded.event),
+            element('effective', formatCapTime(issued)),
+            element('expires', formatCapTime(new Date(decoded.end))),
+            element('senderName', getLocaleData(locale).ORGS2[decoded.originator]),
+            element('description', decoded.formatted),
+            valuePair('parameter', 'EAS-ORG', decoded.originator),
+            valuePair('parameter', 'EAS-STN-ID', sender),
+            element('area', [
+                element('areaDesc', decoded.locations.map((location) => location.name).join('; ')),
+                ...decoded.locations.map((location) => valuePair('geocode', 'SAME', location.code))
+            ])
+        ])
+    ], { xmlns: CAP_NAMESPACE });
+
+    return serializeXml(alert);
+};
+
+/**
+ * Formats a date the way CAP requires: no fractional seconds, and "-00:00" rather than "Z" for UTC.
+ * @param {Date} date - The date to format.
+ * @returns {string} The CAP date and time. Example: 2024-12-05T19:00:00-00:00
+ */
+const formatCapTime = (date) => date.toISOString().replace(/\.\d{3}Z$/, '-00:00');
+
+module.exports = sameToCap;
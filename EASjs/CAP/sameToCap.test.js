@@ -0,0 +1,56 @@
+const sameToCap = require('./sameToCap');
+const { parseXml, findChild, findChildren, textContent } = require('./xml');
+const messages = require('../EASText/locals/en_us.json');
+
+const header = 'ZCZC-WXR-TOR-027133-227053+0030-3441441-KFSD/NWS-';
+const referenceDate = new Date(Date.UTC(2024, 11, 9, 15, 0));
+
+describe('sameToCap', () => {
+    it('should build a CAP 1.2 alert from a SAME header', () => {
+        const alert = parseXml(sameToCap(header, { referenceDate }));
+        const info = findChild(alert, 'info');
+
+        expect(alert.attributes.xmlns).toBe('urn:oasis:names:tc:emergency:cap:1.2');
+        expect(textContent(findChild(alert, 'sent'))).toBe('2024-12-09T14:41:00-00:00');
+        expect(textContent(findChild(alert, 'status'))).toBe('Actual');
+        expect(textContent(findChild(info, 'event'))).toBe('Tornado Warning');
+        expect(textContent(findChild(info, 'category'))).toBe('Met');
+        expect(textContent(findChild(findChild(info, 'eventCode'), 'valueName'))).toBe('SAME');
+        expect(textContent(findChild(findChild(info, 'eventCode'), 'value'))).toBe('TOR');
+        expect(textContent(findChild(info, 'effective'))).toBe('2024-12-09T14:41:00-00:00');
+        expect(textContent(findChild(info, 'expires'))).toBe('2024-12-09T15:11:00-00:00');
+    });
+
+    it('should list every location as a SAME geocode', () => {
+        const area = findChild(findChild(parseXml(sameToCap(header, { referenceDate })), 'info'), 'area');
+        expect(textContent(findChild(area, 'areaDesc'))).toBe('Rock, MN; Hennepin, MN');
+        expect(findChildren(area, 'geocode').map((geocode) => textContent(findChild(geocode, 'value'))))
+            .toEqual(['027133', '227053']);
+    });
+
+    it('should apply the CAP options', () => {
+        const alert = parseXml(sameToCap(header, {
+            referenceDate,
+            identifier: 'TEST-1',
+            sender: 'alerts@example.org',
+            status: 'Exercise',
+            severity: 'Extreme'
+        }));
+        expect(textContent(findChild(alert, 'identifier'))).toBe('TEST-1');
+        expect(textContent(findChild(alert, 'sender'))).toBe('alerts@example.org');
+        expect(textContent(findChild(alert, 'status'))).toBe('Exercise');
+        expect(textContent(findChild(findChild(alert, 'info'), 'severity'))).toBe('Extreme');
+    });
+
+    it('should throw an error for an invalid SAME header', () => {
+        expect(() => sameToCap('ZCZC-WXR-XYZ-027133+0030-3441441-KFSD/NWS-')).toThrow(messages.eventcodeinvalid);
+    });
+
+    it('should write the info block in the locale asked for', () => {
+        const info = findChild(parseXml(sameToCap(header, { referenceDate, locale: 'es_us' })), 'info');
+        expect(textContent(findChild(info, 'language'))).toBe('es-US');
+        expect(textContent(findChild(info, 'event'))).toBe('Aviso de Tornado');
+        expect(textContent(findChild(info, 'senderName'))).toBe('Servicio Meteorológico Nacional');
+        expect(textContent(findChild(info, 'description'))).toMatch(/^El Servicio Meteorológico Nacional ha emitido/);
+    });
+});
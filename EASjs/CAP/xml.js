@@ -0,0 +1,245 @@
+/**
+ * Minimal XML parser and serializer for the EASjs library
+ * @module xml
+ */
+
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+const ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: "'"
+};
+
+const OPEN_TAG = /<([A-Za-z_][\w.\-:]*)((?:\s+[A-Za-z_][\w.\-:]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const CLOSE_TAG = /<\/([A-Za-z_][\w.\-:]*)\s*>/y;
+const ATTRIBUTE = /([A-Za-z_][\w.\-:]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parses an XML document into element nodes.
+ *
+ * Elements become `{ name, attributes, children }`, where children are
+ * element nodes or strings. Comments, processing instructions and the
+ * doctype are skipped; CDATA sections become text.
+ *
+ * @param {string} text - The XML document.
+ * @param {Object} [options={}] - Options for parsing.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {object} The root element.
+ * @throws {EASError} If the document is malformed.
+ */
+const parseXml = (text, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+    const fail = (position) => {
+        throw new EASError(ERROR_CODES.INVALID_XML, messages.xmlinvalid, { position });
+    };
+
+    const stack = [];
+    let root = null;
+    let i = 0;
+
+    while (i < text.length) {
+        const lt = text.indexOf('<', i);
+        const end = lt === -1 ? text.length : lt;
+
+        if (end > i) {
+            const content = text.slice(i, end);
+            if (stack.length > 0) stack[stack.length - 1].children.push(decodeEntities(content, (offset) => fail(i + offset)));
+            else if (content.trim() !== '') fail(i);
+        }
+        if (lt === -1) break;
+        i = lt;
+
+        if (text.startsWith('<!--', i)) {
+            const close = text.indexOf('-->', i + 4);
+            if (close === -1) fail(i);
+            i = close + 3;
+        } else if (text.startsWith('<![CDATA[', i)) {
+            const close = text.indexOf(']]>', i + 9);
+            if (close === -1 || stack.length === 0) fail(i);
+            stack[stack.length - 1].children.push(text.slice(i + 9, close));
+            i = close + 3;
+        } else if (text.startsWith('<?', i)) {
+            const close = text.indexOf('?>', i + 2);
+            if (close === -1) fail(i);
+            i = close + 2;
+        } else if (text.startsWith('<!', i)) {
+            const close = text.indexOf('>', i + 2);
+            if (close === -1) fail(i);
+            i = close + 1;
+        } else if (text.startsWith('</', i)) {
+            CLOSE_TAG.lastIndex = i;
+            const match = CLOSE_TAG.exec(text);
+            const node = stack.pop();
+            if (!match || !node || node.name !== match[1]) fail(i);
+            i = CLOSE_TAG.lastIndex;
+        } else {
+            OPEN_TAG.lastIndex = i;
+            const match = OPEN_TAG.exec(text);
+            if (!match || (stack.length === 0 && root)) fail(i);
+
+            const attributes = {};
+            for (const [, name, double, single] of match[2].matchAll(ATTRIBUTE)) {
+                attributes[name] = decodeEntities(double ?? single, () => fail(i));
+            }
+            const node = { name: match[1], attributes, children: [] };
+
+            if (stack.length > 0) stack[stack.length - 1].children.push(node);
+            else root = node;
+            if (match[3] !== '/') stack.push(node);
+            i = OPEN_TAG.lastIndex;
+        }
+    }
+
+    if (!root || stack.length > 0) fail(text.length);
+    return root;
+};
+
+/**
+ * Serializes element nodes back into an XML document.
+ * @param {object} node - The root element.
+ * @param {Object} [options={}] - Options for serializing.
+ * @param {boolean} [options.declaration=true] - Whether to start with an XML declaration.
+ * @param {string} [options.indent='  '] - The indentation for each level.
+ * @returns {string} The XML document.
+ */
+const serializeXml = (node, options = {}) => {
+    const { declaration = true, indent = '  ' } = options;
+    const body = serializeNode(node, indent, 0);
+    return declaration ? `<?xml version="1.0" encoding="UTF-8"?>\n${body}\n` : body;
+};
+
+/**
+ * Serializes a single element and its children.
+ * @param {object} node - The element.
+ * @param {string} indent - The indentation for each level.
+ * @param {number} depth - The current nesting level.
+ * @returns {string} The serialized element.
+ */
+const serializeNode = (node, indent, depth) => {
+    const pad = indent.repeat(depth);
+    const attributes = Object.entries(node.attributes ?? {})
+        .map(([name, value]) => ` ${name}="${encodeEntities(String(value))}"`)
+        .join('');
+    const children = node.children ?? [];
+
+    if (children.length === 0) return `${pad}<${node.name}${attributes}/>`;
+    if (children.every((child) => typeof child === 'string')) {
+        return `${pad}<${node.name}${attributes}>${encodeEntities(children.join(''))}</${node.name}>`;
+    }
+
+    const inner = children
+        .filter((child) => typeof child !== 'string' || child.trim() !== '')
+        .map((child) => (typeof child === 'string'
+            ? `${indent.repeat(depth + 1)}${encodeEntities(child.trim())}`
+            : serializeNode(child, indent, depth + 1)))
+        .join('\n');
+    return `${pad}<${node.name}${attributes}>\n${inner}\n${pad}</${node.name}>`;
+};
+
+/**
+ * Creates an element node.
+ * @param {string} name - The element name.
+ * @param {Array<object|string|number>|string|number} [children=[]] - The child elements, or the text content.
+ * @param {object} [attributes={}] - The element attributes.
+ * @returns {object} The element node.
+ */
+const element = (name, children = [], attributes = {}) => ({
+    name,
+    attributes,
+    children: (Array.isArray(children) ? children : [children])
+        .filter((child) => child !== null && child !== undefined)
+        .map((child) => (typeof child === 'object' ? child : String(child)))
+});
+
+/**
+ * Strips the namespace prefix from an element name.
+ * @param {string} name - The element name. Example: cap:alert
+ * @returns {string} The local name. Example: alert
+ */
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Finds the child elements with a local name.
+ * @param {object} node - The parent element.
+ * @param {string} name - The local name to look for.
+ * @returns {object[]} The matching children.
+ */
+const findChildren = (node, name) =>
+    (node?.children ?? []).filter((child) => typeof child !== 'string' && localName(child.name) === name);
+
+/**
+ * Finds the first child element with a local name.
+ * @param {object} node - The parent element.
+ * @param {string} name - The local name to look for.
+ * @returns {object|null} The first matching child.
+ */
+const findChild = (node, name) => findChildren(node, name)[0] ?? null;
+
+/**
+ * Collects the text inside an element.
+ * @param {object|null} node - The element.
+ * @returns {string} The trimmed text content, or an empty string.
+ */
+const textContent = (node) => (node?.children ?? [])
+    .map((child) => (typeof child === 'string' ? child : textContent(child)))
+    .join('')
+    .trim();
+
+/**
+ * Replaces entity and character references with the characters they stand for.
+ * @param {string} value - The raw text.
+ * @param {function(number): never} fail - Reports a character reference to something that is not an XML character,
+ * given its offset in the text.
+ * @returns {string} The decoded text.
+ */
+const decodeEntities = (value, fail) => value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity, offset) => {
+    if (entity[0] === '#') {
+        const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        if (!isXmlCharacter(code)) fail(offset);
+        return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+});
+
+/**
+ * Checks whether a code point is allowed in an XML document: tab, line breaks, and anything
+ * else from space up except surrogates, U+FFFE and U+FFFF.
+ * @param {number} code - The code point.
+ * @returns {boolean} True if the code point is an XML character.
+ */
+const isXmlCharacter = (code) => code === 0x9 || code === 0xA || code === 0xD
+    || (code >= 0x20 && code <= 0xD7FF)
+    || (code >= 0xE000 && code <= 0xFFFD)
+    || (code >= 0x10000 && code <= 0x10FFFF);
+
+/**
+ * Escapes the characters that cannot appear as-is in XML text or attributes.
+ * @param {string} value - The text.
+ * @returns {string} The escaped text.
+ */
+const encodeEntities = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+module.exports = {
+    parseXml,
+    serializeXml,
+    element,
+    localName,
+    findChild,
+    findChildren,
+    textContent
+};
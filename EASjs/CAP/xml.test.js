@@ -0,0 +1,54 @@
+const { parseXml, serializeXml, element, findChild, findChildren, textContent } = require('./xml');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+describe('xml', () => {
+    it('should parse elements, attributes and text', () => {
+        const root = parseXml('<?xml version="1.0"?><a x="1" y=\'two\'><b>hello</b><c/></a>');
+        expect(root.name).toBe('a');
+        expect(root.attributes).toEqual({ x: '1', y: 'two' });
+        expect(textContent(findChild(root, 'b'))).toBe('hello');
+        expect(findChild(root, 'c').children).toEqual([]);
+    });
+
+    it('should decode entities and character references', () => {
+        const root = parseXml('<a t="&quot;q&quot;">&lt;tag&gt; &amp; &#65;&#x42;</a>');
+        expect(root.attributes.t).toBe('"q"');
+        expect(textContent(root)).toBe('<tag> & AB');
+        expect(textContent(parseXml('<a>&#x1F600;&#9;</a>'))).toBe('\u{1F600}');
+    });
+
+    it('should reject character references outside the XML character range', () => {
+        for (const reference of ['&#x110000;', '&#xD800;', '&#0;', '&#99999999999;', '&#xFFFE;']) {
+            expect(() => parseXml(`<a>${reference}</a>`)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_XML, position: 3 }));
+            expect(() => parseXml(`<a b="${reference}"/>`)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_XML, position: 0 }));
+        }
+    });
+
+    it('should keep CDATA as text and skip comments and doctypes', () => {
+        const root = parseXml('<!DOCTYPE a><!-- note --><a><![CDATA[<raw> & text]]><!-- inner --></a>');
+        expect(textContent(root)).toBe('<raw> & text');
+    });
+
+    it('should match namespaced elements by local name', () => {
+        const root = parseXml('<cap:alert xmlns:cap="urn:x"><cap:info/><cap:info/></cap:alert>');
+        expect(findChildren(root, 'info')).toHaveLength(2);
+    });
+
+    it('should throw an error for malformed XML', () => {
+        for (const text of ['<a><b></a>', '<a>', 'text', '<a></a><b></b>', '<a><!-- open</a>']) {
+            expect(() => parseXml(text)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_XML }));
+        }
+    });
+
+    it('should serialize nodes and escape special characters', () => {
+        const node = element('a', [element('b', 'x < y & "z"'), element('c')], { id: "it's" });
+        expect(serializeXml(node, { declaration: false })).toBe(
+            '<a id="it&apos;s">\n  <b>x &lt; y &amp; &quot;z&quot;</b>\n  <c/>\n</a>'
+        );
+    });
+
+    it('should round-trip a document through parse and serialize', () => {
+        const text = serializeXml(element('a', [element('b', '1 & 2'), element('c', [element('d', 3)])]));
+        expect(serializeXml(parseXml(text))).toBe(text);
+    });
+});
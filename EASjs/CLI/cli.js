@@ -0,0 +1,366 @@
+/**
+ * Command-line interface for the EASjs library
+ * @module cli
+ */
+
+const { parseArgs } = require('util');
+const decodeSame = require('../EASText/decodeSame.js');
+const translateFips = require('../FIPSTranslator/translateFips.js');
+const eventTranslator = require('../EventTranslator/eventTranslator.js');
+const origTranslator = require('../OrigTranslator/origTranslator.js');
+const buildSameHeader = require('../EASBuilder/buildSameHeader.js');
+const { generateEASAlert } = require('../EASGenerator/EASGenerator.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, formatMessage } = require('../Locale/locale.js');
+const { version } = require('../../package.json');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Exit codes, so scripts can tell a bad header or flag apart from a failure in EASjs or the system.
+ */
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    INVALID_INPUT: 2
+};
+
+/**
+ * Error codes that come from the environment rather than the input, such as ffmpeg failing.
+ */
+const FAILURE_CODES = [ERROR_CODES.CONVERSION_FAILED];
+
+/**
+ * Options every command accepts.
+ */
+const COMMON_OPTIONS = {
+    help: { type: 'boolean', short: 'h' },
+    locale: { type: 'string' }
+};
+
+/**
+ * The commands, with their options and the number of arguments they take.
+ */
+const COMMANDS = {
+    decode: {
+        args: [1, 1],
+        options: {
+            json: { type: 'boolean' },
+            lenient: { type: 'boolean' },
+            country: { type: 'string' },
+            'reference-date': { type: 'string' },
+            'time-zone': { type: 'string' }
+        },
+        run: (args, options, io) => decode(args[0], options, io)
+    },
+    fips: {
+        args: [1, Infinity],
+        options: {
+            json: { type: 'boolean' },
+            country: { type: 'string' }
+        },
+        run: (args, options, io) => fips(args, options, io)
+    },
+    event: {
+        args: [1, 1],
+        options: {
+            json: { type: 'boolean' }
+        },
+        run: (args, options, io) => event(args[0], options, io)
+    },
+    orig: {
+        args: [1, 1],
+        options: {
+            json: { type: 'boolean' }
+        },
+        run: (args, options, io) => orig(args[0], options, io)
+    },
+    build: {
+        args: [0, 0],
+        options: {
+            originator: { type: 'string' },
+            event: { type: 'string' },
+            location: { type: 'string', multiple: true },
+            duration: { type: 'string' },
+            issued: { type: 'string' },
+            sender: { type: 'string' }
+        },
+        run: (args, options, io) => build(options, io)
+    },
+    generate: {
+        args: [1, 1],
+        options: {
+            mode: { type: 'string' },
+            audio: { type: 'string' },
+            output: { type: 'string', short: 'o' },
+            codec: { type: 'string' },
+            'sample-rate': { type: 'string' },
+            'bit-depth': { type: 'string' },
+            channels: { type: 'string' },
+            bitrate: { type: 'string' },
+            normalize: { type: 'string' },
+            'no-attention-tone': { type: 'boolean' },
+            validate: { type: 'boolean' },
+            report: { type: 'boolean' }
+        },
+        run: (args, options, io) => generate(args[0], options, io)
+    }
+};
+
+/**
+ * Runs the easjs command line.
+ * @param {string[]} argv - The arguments after the program name. Example: ['decode', 'ZCZC-WXR-TOR-029095+0030-3441707-KEAX/NWS-']
+ * @param {Object} [io={}] - Where input and output go.
+ * @param {import('stream').Writable} [io.stdout=process.stdout] - Where results are written.
+ * @param {import('stream').Writable} [io.stderr=process.stderr] - Where errors and warnings are written.
+ * @param {import('stream').Readable} [io.stdin=process.stdin] - Where a header given as - is read from.
+ * @returns {Promise<number>} The exit code, one of EXIT_CODES.
+ */
+const run = async (argv, { stdout = process.stdout, stderr = process.stderr, stdin = process.stdin } = {}) => {
+    const io = { stdout, stderr, stdin };
+    // The locale has to be known before the arguments are parsed, to report problems with them.
+    const localeIndex = argv.findIndex((arg) => arg === '--locale' || arg.startsWith('--locale='));
+    const locale = localeIndex === -1 ? undefined : argv[localeIndex].split('=')[1] ?? argv[localeIndex + 1];
+    let messages;
+    try {
+        messages = resolveMessages(locals, locale);
+    } catch (error) {
+        return fail(error, resolveMessages(locals), io);
+    }
+
+    const [name, ...rest] = argv;
+    if (name === undefined || name === '--help' || name === '-h' || name === 'help') {
+        stdout.write(`${messages.usage}\n`);
+        return EXIT_CODES.OK;
+    }
+    if (name === '--version' || name === '-v') {
+        stdout.write(`${version}\n`);
+        return EXIT_CODES.OK;
+    }
+
+    const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+    try {
+        if (!command) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, formatMessage(messages.commandinvalid, { command: name }), { field: 'command', value: name });
+        }
+
+        const { values, positionals } = parseCommand(name, rest, command, messages);
+        if (values.help) {
+            stdout.write(`${messages[`usage${name}`]}\n`);
+            return EXIT_CODES.OK;
+        }
+        await command.run(positionals, { ...values, locale }, io);
+        return EXIT_CODES.OK;
+    } catch (error) {
+        return fail(error, messages, io);
+    }
+};
+
+/**
+ * Parses a command's flags and checks how many arguments it was given.
+ * @param {string} name - The command name.
+ * @param {string[]} args - The arguments after the command name.
+ * @param {object} command - The command, from COMMANDS.
+ * @param {object} messages - The CLI messages in the caller's locale.
+ * @returns {{values: object, positionals: string[]}} The flags and the arguments.
+ * @throws {EASError} If a flag is unknown or missing its value, or there are too few or too many arguments.
+ */
+const parseCommand = (name, args, command, messages) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: { ...COMMON_OPTIONS, ...command.options }, allowPositionals: true, strict: true });
+    } catch (error) {
+        if (!String(error.code).startsWith('ERR_PARSE_ARGS')) throw error;
+        const option = /'(-[^']*)'/.exec(error.message)?.[1] ?? args.join(' ');
+        throw new EASError(ERROR_CODES.INVALID_OPTION, formatMessage(messages.optioninvalid, { command: name, option }), { field: 'options', value: option });
+    }
+
+    const [min, max] = command.args;
+    const count = parsed.positionals.length;
+    if (!parsed.values.help && (count < min || count > max)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, formatMessage(messages.argumentsinvalid, { command: name }), { field: 'arguments' });
+    }
+    return parsed;
+};
+
+/**
+ * Reports an error on stderr and picks the exit code for it.
+ * @param {Error} error - The error.
+ * @param {object} messages - The CLI messages in the caller's locale.
+ * @param {object} io - Where output goes.
+ * @returns {number} INVALID_INPUT for an EASError about the input, otherwise FAILURE.
+ */
+const fail = (error, messages, { stderr }) => {
+    const invalidInput = error instanceof EASError && !FAILURE_CODES.includes(error.code);
+    const template = invalidInput ? messages.error : messages.failure;
+    stderr.write(`${formatMessage(template, { code: error.code ?? error.name, message: error.message })}\n`);
+    return invalidInput ? EXIT_CODES.INVALID_INPUT : EXIT_CODES.FAILURE;
+};
+
+/**
+ * Writes a value as indented JSON.
+ * @param {*} value - The value.
+ * @param {object} io - Where output goes.
+ */
+const writeJson = (value, { stdout }) => {
+    stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+};
+
+/**
+ * Reads a header argument, taking it from stdin when it is -.
+ * @param {string} header - The header argument.
+ * @param {object} io - Where input comes from.
+ * @returns {Promise<string>} The header.
+ */
+const readHeader = async (header, { stdin }) => {
+    if (header !== '-') return header;
+
+    let text = '';
+    for await (const chunk of stdin) text += chunk;
+    return text.trim();
+};
+
+/**
+ * Converts a numeric flag, leaving it for the library to reject when it is not a number.
+ * @param {string|undefined} value - The flag value.
+ * @returns {number|string|undefined} The number, or the value as given.
+ */
+const toNumber = (value) => (value !== undefined && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value);
+
+/**
+ * easjs decode <header>: prints the decoded sentence, or the structured fields with --json.
+ * Lenient problems are written to stderr.
+ */
+const decode = async (header, options, io) => {
+    const referenceDate = options['reference-date'] === undefined ? undefined : new Date(options['reference-date']);
+    if (referenceDate && Number.isNaN(referenceDate.getTime())) {
+        const messages = resolveMessages(locals, options.locale);
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.referencedateinvalid, { field: 'reference-date', value: options['reference-date'] });
+    }
+
+    const result = decodeSame(await readHeader(header, io), {
+        structured: Boolean(options.json),
+        lenient: Boolean(options.lenient),
+        referenceDate,
+        locale: options.locale,
+        country: options.country,
+        timeZone: options['time-zone']
+    });
+
+    if (options.json) {
+        writeJson(result, io);
+        return;
+    }
+    io.stdout.write(`${result.formatted}\n`);
+    for (const problem of [...(result.errors ?? []), ...(result.warnings ?? [])]) {
+        io.stderr.write(`${problem.code}: ${problem.message}\n`);
+    }
+};
+
+/**
+ * easjs fips <code...>: prints each location, or the location details with --json.
+ */
+const fips = (codes, options, io) => {
+    const locations = codes.map((code) => translateFips(code, { locale: options.locale, country: options.country }));
+    if (options.json) {
+        writeJson(codes.length === 1 ? locations[0] : locations, io);
+        return;
+    }
+    for (const location of locations) io.stdout.write(`${location.formatted}\n`);
+};
+
+/**
+ * easjs event <code>: prints the event name, or its details with --json.
+ */
+const event = (code, options, io) => {
+    if (options.json) {
+        writeJson(eventTranslator(code, { locale: options.locale, detailed: true }), io);
+        return;
+    }
+    io.stdout.write(`${eventTranslator(code, { locale: options.locale })}\n`);
+};
+
+/**
+ * easjs orig <code>: prints the originator name, or the code and name with --json.
+ */
+const orig = (code, options, io) => {
+    const name = origTranslator(code, { locale: options.locale });
+    if (options.json) {
+        writeJson({ code, name }, io);
+        return;
+    }
+    io.stdout.write(`${name}\n`);
+};
+
+/**
+ * easjs build --originator --event --location... --duration --sender [--issued]: prints the assembled header.
+ * The duration is minutes, or HHMM when it has four digits; the issue time is JJJHHMM when it has seven, otherwise a date.
+ */
+const build = (options, io) => {
+    const { duration } = options;
+    let { issued } = options;
+    if (issued !== undefined && !/^\d{7}$/.test(issued)) {
+        issued = new Date(issued);
+        if (Number.isNaN(issued.getTime())) {
+            const messages = resolveMessages(locals, options.locale);
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.issuedinvalid, { field: 'issued', value: options.issued });
+        }
+    }
+
+    const header = buildSameHeader({
+        originator: options.originator,
+        event: options.event,
+        locations: options.location,
+        duration: duration !== undefined && /^\d{4}$/.test(duration) ? duration : toNumber(duration),
+        issued,
+        sender: options.sender
+    }, { locale: options.locale });
+    io.stdout.write(`${header}\n`);
+};
+
+/**
+ * easjs generate <header> [-o alert.wav]: encodes the alert to a file, or to stdout with -o -.
+ * Prints the message audio report as JSON with --report, on stderr when the audio goes to stdout.
+ */
+const generate = async (header, options, io) => {
+    const messages = resolveMessages(locals, options.locale);
+    const toStdout = options.output === '-';
+    const outputFile = options.output === undefined || toStdout ? 'output.wav' : options.output;
+
+    const { audio, report } = await generateEASAlert(await readHeader(header, io), {
+        mode: options.mode,
+        attentionTone: !options['no-attention-tone'],
+        audioPath: options.audio ?? null,
+        output: toStdout ? 'buffer' : 'file',
+        outputFile,
+        codec: options.codec,
+        sampleRate: toNumber(options['sample-rate']),
+        bitDepth: options['bit-depth'],
+        channels: toNumber(options.channels),
+        bitrate: options.bitrate,
+        normalize: options.normalize ?? false,
+        validate: Boolean(options.validate),
+        report: true,
+        locale: options.locale
+    });
+
+    if (toStdout) {
+        io.stdout.write(audio);
+        if (options.report) writeJson(report, { stdout: io.stderr });
+        return;
+    }
+    if (options.report) {
+        writeJson(report, io);
+        return;
+    }
+    io.stderr.write(`${formatMessage(messages.written, { file: outputFile })}\n`);
+};
+
+module.exports = {
+    run,
+    EXIT_CODES
+};
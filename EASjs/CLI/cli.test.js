@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { spawnSync } = require('child_process');
+const { WaveFile } = require('wavefile');
+const { run, EXIT_CODES } = require('./cli');
+
+const TORNADO = 'ZCZC-WXR-TOR-029095-029047+0030-3441707-KEAX/NWS-';
+
+/**
+ * Runs the CLI with in-memory streams.
+ */
+const easjs = async (args, stdin = '') => {
+    const output = { stdout: '', stderr: '' };
+    const sink = (name) => ({ write: (chunk) => { output[name] += chunk; } });
+    const code = await run(args, { stdout: sink('stdout'), stderr: sink('stderr'), stdin: Readable.from([stdin]) });
+    return { code, ...output };
+};
+
+describe('cli', () => {
+    it('should decode a header as a sentence or as JSON', async () => {
+        const text = await easjs(['decode', TORNADO]);
+        expect(text.code).toBe(EXIT_CODES.OK);
+        expect(text.stdout).toMatch(/^The National Weather Service has issued a Tornado Warning for Jackson, MO; Clay, MO;/);
+
+        const json = await easjs(['decode', TORNADO, '--json', '--reference-date', '2024-12-09T17:10:00Z']);
+        expect(JSON.parse(json.stdout)).toEqual(expect.objectContaining({
+            originator: 'WXR',
+            event: 'TOR',
+            start: '2024-12-09T17:07:00.000Z',
+            locations: [expect.objectContaining({ code: '029095' }), expect.objectContaining({ code: '029047' })]
+        }));
+
+        const local = await easjs(['decode', TORNADO, '--time-zone', 'auto', '--reference-date', '2024-12-09T17:10:00Z']);
+        expect(local.stdout).toMatch(/beginning at 11:07\sAM CST on December 9/);
+    });
+
+    it('should report lenient decoding problems on stderr', async () => {
+        const result = await easjs(['decode', '--lenient', TORNADO.replace('TOR', 'XYZ')]);
+        expect(result.code).toBe(EXIT_CODES.OK);
+        expect(result.stdout).toContain('XYZ');
+        expect(result.stderr).toMatch(/^UNKNOWN_EVENT: /);
+    });
+
+    it('should translate location, event and originator codes', async () => {
+        expect((await easjs(['fips', '029095', '029047'])).stdout).toBe('All Jackson, MO\nAll Clay, MO\n');
+        expect(JSON.parse((await easjs(['fips', '029095', '--json'])).stdout)).toEqual(expect.objectContaining({ county: 'Jackson', region: 'MO' }));
+        expect((await easjs(['event', 'TOR'])).stdout).toBe('Tornado Warning\n');
+        expect(JSON.parse((await easjs(['event', 'TOR', '--json'])).stdout)).toEqual(expect.objectContaining({ code: 'TOR', name: 'Tornado Warning' }));
+        expect((await easjs(['orig', 'WXR', '--locale', 'es_us'])).stdout).toBe('Servicio Meteorológico Nacional\n');
+    });
+
+    it('should build a header from flags', async () => {
+        const result = await easjs([
+            'build', '--originator', 'WXR', '--event', 'TOR', '--location', '029095', '--location', '029047',
+            '--duration', '30', '--issued', '3441707', '--sender', 'KEAX/NWS'
+        ]);
+        expect(result).toEqual({ code: EXIT_CODES.OK, stdout: `${TORNADO}\n`, stderr: '' });
+        expect((await easjs(['build', '--originator', 'WXR', '--event', 'TOR', '--location', '029095', '--duration', '0130', '--issued', '3441707', '--sender', 'KEAX/NWS'])).stdout)
+            .toBe('ZCZC-WXR-TOR-029095+0130-3441707-KEAX/NWS-\n');
+
+        const iso = await easjs(['build', '--originator', 'WXR', '--event', 'TOR', '--location', '029095', '--duration', '30', '--issued', '2024-12-09T17:07:00Z', '--sender', 'KEAX/NWS']);
+        expect(iso).toEqual({ code: EXIT_CODES.OK, stdout: 'ZCZC-WXR-TOR-029095+0030-3441707-KEAX/NWS-\n', stderr: '' });
+
+        const invalid = await easjs(['build', '--originator', 'WXR', '--event', 'TOR', '--location', '029095', '--duration', '30', '--issued', 'yesterday', '--sender', 'KEAX/NWS']);
+        expect(invalid.code).toBe(EXIT_CODES.INVALID_INPUT);
+        expect(invalid.stderr).toContain('(INVALID_OPTION)');
+    });
+
+    it('should generate an alert file from a header read from stdin', async () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'easjs-cli-'));
+        try {
+            const outputFile = path.join(tempDir, 'alert.wav');
+            const result = await easjs(['generate', '-', '--mode', 'SAGE', '--sample-rate', '8000', '-o', outputFile], `${TORNADO}\n`);
+
+            expect(result.code).toBe(EXIT_CODES.OK);
+            expect(result.stderr).toBe(`Wrote ${outputFile}\n`);
+            const wav = new WaveFile(fs.readFileSync(outputFile));
+            expect(wav.fmt.sampleRate).toBe(8000);
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should write the report to stderr when the audio goes to stdout', async () => {
+        const chunks = [];
+        let stderr = '';
+        const code = await run(['generate', TORNADO, '--sample-rate', '8000', '-o', '-', '--report'], {
+            stdout: { write: (chunk) => chunks.push(chunk) },
+            stderr: { write: (chunk) => { stderr += chunk; } },
+            stdin: Readable.from([''])
+        });
+
+        expect(code).toBe(EXIT_CODES.OK);
+        expect(new WaveFile(Buffer.concat(chunks)).fmt.sampleRate).toBe(8000);
+        // Without message audio there are no levels to report.
+        expect(JSON.parse(stderr)).toBeNull();
+    });
+
+    it('should exit with INVALID_INPUT for bad headers, codes and usage', async () => {
+        const cases = [
+            ['decode', TORNADO.replace('TOR', 'XYZ')],
+            ['fips', '12345'],
+            ['build', '--originator', 'WXR'],
+            ['generate', TORNADO, '--validate', '--sample-rate', 'fast'],
+            ['decode'],
+            ['decode', TORNADO, '--verbose'],
+            ['transmit', TORNADO],
+            ['decode', TORNADO, '--locale', 'tlh']
+        ];
+        for (const args of cases) {
+            const result = await easjs(args);
+            expect(result.code).toBe(EXIT_CODES.INVALID_INPUT);
+            expect(result.stdout).toBe('');
+            expect(result.stderr).toMatch(/^easjs: .+ \([A-Z_]+\)\n$/);
+        }
+    });
+
+    it('should print help and the version', async () => {
+        expect((await easjs([])).stdout).toMatch(/^Usage: easjs <command>/);
+        expect((await easjs(['generate', '--help'])).stdout).toMatch(/^Usage: easjs generate <header>/);
+        expect((await easjs(['--version'])).stdout).toBe(`${require('../../package.json').version}\n`);
+    });
+
+    it('should set the process exit code from the bin script', () => {
+        const bin = path.join(__dirname, '..', '..', 'bin', 'easjs.js');
+        const valid = spawnSync(process.execPath, [bin, 'event', 'RWT'], { encoding: 'utf8' });
+        const invalid = spawnSync(process.execPath, [bin, 'event', 'XYZ'], { encoding: 'utf8' });
+
+        expect(valid.status).toBe(EXIT_CODES.OK);
+        expect(valid.stdout).toBe('Required Weekly Test\n');
+        expect(invalid.status).toBe(EXIT_CODES.INVALID_INPUT);
+    });
+});
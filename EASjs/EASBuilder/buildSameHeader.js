@@ -0,0 +1,188 @@
+/**
+ * SAME header builder for the EASjs library
+ * @module buildSameHeader
+ */
+
+const EASData = require('../../EASData.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Most location codes a single header can carry.
+ */
+const MAX_LOCATIONS = 31;
+
+/**
+ * Longest purge time a header can carry, in minutes (99:30).
+ */
+const MAX_DURATION = 99 * 60 + 30;
+
+/**
+ * Builds a SAME header from its fields.
+ * @param {Object} fields - The header fields.
+ * @param {string} fields.originator - The originator code. Example: WXR
+ * @param {string} fields.event - The event code. Example: TOR
+ * @param {string[]} fields.locations - The 6-digit location codes (PSSCCC). Example: ['006081']
+ * @param {number|string} fields.duration - The purge time in minutes, or as HHMM: 15 minute steps up to an hour, then 30 minute steps. Example: 90 or '0130'
+ * @param {Date|string} [fields.issued=new Date()] - The issue time, or a JJJHHMM string.
+ * @param {string} fields.sender - The sender identification, up to 8 characters. Example: WJON/BLU
+ * @param {Object} [options={}] - Options for building.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {string} The SAME header, ready for generateEASAlert().
+ * @throws {EASError} If any field is invalid.
+ */
+const buildSameHeader = (fields, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+
+    if (!fields || typeof fields !== 'object') {
+        throw new EASError(ERROR_CODES.NO_DATA, messages.nodata);
+    }
+
+    const { originator, event, locations, duration, issued = new Date(), sender } = fields;
+
+    return [
+        'ZCZC',
+        formatOriginator(originator, messages),
+        formatEvent(event, messages),
+        `${formatLocations(locations, messages).join('-')}+${formatDuration(duration, messages)}`,
+        formatIssued(issued, messages),
+        formatSender(sender, messages),
+        ''
+    ].join('-');
+};
+
+/**
+ * Validates the originator code.
+ * @param {string} originator - The originator code.
+ * @param {object} messages - The error messages in the build's locale.
+ * @returns {string} The upper-case originator code.
+ * @throws {EASError} If the originator code is invalid.
+ */
+const formatOriginator = (originator, messages) => {
+    const code = typeof originator === 'string' ? originator.trim().toUpperCase() : '';
+    if (!EASData.ORGS?.[code]) {
+        throw new EASError(ERROR_CODES.UNKNOWN_ORIGINATOR, messages.originvalid, { field: 'originator', value: originator });
+    }
+    return code;
+};
+
+/**
+ * Validates the event code.
+ * @param {string} event - The event code.
+ * @param {object} messages - The error messages in the build's locale.
+ * @returns {string} The upper-case event code.
+ * @throws {EASError} If the event code is invalid.
+ */
+const formatEvent = (event, messages) => {
+    const code = typeof event === 'string' ? event.trim().toUpperCase() : '';
+    if (!EASData.EVENTS?.[code]) {
+        throw new EASError(ERROR_CODES.UNKNOWN_EVENT, messages.eventinvalid, { field: 'event', value: event });
+    }
+    return code;
+};
+
+/**
+ * Validates the location codes.
+ * @param {string[]} locations - The 6-digit location codes.
+ * @param {object} messages - The error messages in the build's locale.
+ * @returns {string[]} The location codes.
+ * @throws {EASError} If any location code is invalid or there are too many.
+ */
+const formatLocations = (locations, messages) => {
+    const list = typeof locations === 'string' ? [locations] : locations;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new EASError(ERROR_CODES.NO_LOCATIONS, messages.nolocations, { field: 'locations' });
+    }
+    if (list.length > MAX_LOCATIONS) {
+        throw new EASError(ERROR_CODES.TOO_MANY_LOCATIONS, messages.toomanylocations, { field: 'locations', position: MAX_LOCATIONS });
+    }
+
+    return list.map((location, position) => {
+        const code = String(location).trim();
+        const details = { field: 'locations', position, value: code };
+        if (!/^\d{6}$/.test(code)) throw new EASError(ERROR_CODES.INVALID_FIPS, `${messages.fipsinvalid} (${code})`, details);
+        if (EASData.SUBDIV?.[code[0]] === undefined) {
+            throw new EASError(ERROR_CODES.INVALID_SUBDIVISION, `${messages.subdivisioninvalid} (${code})`, details);
+        }
+        if (!EASData.SAME?.[code.slice(1)]) throw new EASError(ERROR_CODES.INVALID_FIPS, `${messages.fipsinvalid} (${code})`, details);
+        return code;
+    });
+};
+
+/**
+ * Formats the purge time as HHMM.
+ * @param {number|string} duration - The purge time in minutes, or as HHMM.
+ * @param {object} messages - The error messages in the build's locale.
+ * @returns {string} The purge time as HHMM.
+ * @throws {EASError} If the purge time is invalid, or not in the steps validateSameHeader() allows.
+ */
+const formatDuration = (duration, messages) => {
+    let minutes = duration;
+    if (typeof duration === 'string') {
+        if (!/^\d{4}$/.test(duration) || parseInt(duration.slice(2), 10) > 59) {
+            throw new EASError(ERROR_CODES.BAD_PURGE_TIME, messages.durationinvalid, { field: 'duration', value: duration });
+        }
+        minutes = parseInt(duration.slice(0, 2), 10) * 60 + parseInt(duration.slice(2), 10);
+    }
+
+    if (!Number.isInteger(minutes) || minutes <= 0 || minutes > MAX_DURATION) {
+        throw new EASError(ERROR_CODES.BAD_PURGE_TIME, messages.durationinvalid, { field: 'duration', value: duration });
+    }
+    if (minutes % (minutes <= 60 ? 15 : 30) !== 0) {
+        throw new EASError(ERROR_CODES.BAD_PURGE_TIME, messages.durationincrement, { field: 'duration', value: duration });
+    }
+
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Formats the issue time as a UTC Julian day, hour and minute (JJJHHMM).
+ * @param {Date|string} issued - The issue time, or a JJJHHMM string.
+ * @param {object} messages - The error messages in the build's locale.
+ * @returns {string} The issue time as JJJHHMM.
+ * @throws {EASError} If the issue time is invalid.
+ */
+const formatIssued = (issued, messages) => {
+    if (typeof issued === 'string') {
+        const valid = /^\d{7}$/.test(issued)
+            && parseInt(issued.slice(0, 3), 10) >= 1 && parseInt(issued.slice(0, 3), 10) <= 366
+            && parseInt(issued.slice(3, 5), 10) <= 23
+            && parseInt(issued.slice(5, 7), 10) <= 59;
+        if (!valid) throw new EASError(ERROR_CODES.BAD_TIMESTAMP, messages.issuedinvalid, { field: 'issued', value: issued });
+        return issued;
+    }
+
+    if (!(issued instanceof Date) || Number.isNaN(issued.getTime())) {
+        throw new EASError(ERROR_CODES.BAD_TIMESTAMP, messages.issuedinvalid, { field: 'issued' });
+    }
+
+    const startOfYear = Date.UTC(issued.getUTCFullYear(), 0, 1);
+    const julianDay = Math.floor((issued.getTime() - startOfYear) / 86400000) + 1;
+
+    return `${String(julianDay).padStart(3, '0')}`
+        + `${String(issued.getUTCHours()).padStart(2, '0')}`
+        + `${String(issued.getUTCMinutes()).padStart(2, '0')}`;
+};
+
+/**
+ * Pads the sender identification to 8 characters.
+ * @param {string} sender - The sender identification.
+ * @param {object} messages - The error messages in the build's locale.
+ * @returns {string} The 8 character sender identification.
+ * @throws {EASError} If the sender identification is invalid.
+ */
+const formatSender = (sender, messages) => {
+    if (typeof sender !== 'string' || !/^[\x20-\x7E]{1,8}$/.test(sender) || sender.includes('-') || sender.trim() === '') {
+        throw new EASError(ERROR_CODES.INVALID_SENDER, messages.senderinvalid, { field: 'sender', value: sender });
+    }
+    return sender.padEnd(8, ' ');
+};
+
+module.exports = buildSameHeader;
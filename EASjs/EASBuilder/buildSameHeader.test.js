@@ -0,0 +1,130 @@
+const buildSameHeader = require('./buildSameHeader');
+const decodeSame = require('../EASText/decodeSame');
+const validateSameHeader = require('../EASValidator/validateSameHeader');
+const EASData = require('../../EASData.json');
+const messages = require('./locals/en_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const fields = {
+    originator: 'WXR',
+    event: 'TSW',
+    locations: ['006081', '006013', '006001'],
+    duration: 60,
+    issued: new Date(Date.UTC(2024, 11, 5, 19, 0)),
+    sender: 'WJON/BLU'
+};
+
+describe('buildSameHeader', () => {
+    it('should build a SAME header from its fields', () => {
+        expect(buildSameHeader(fields)).toBe('ZCZC-WXR-TSW-006081-006013-006001+0100-3401900-WJON/BLU-');
+    });
+
+    it('should compute the Julian day and time in UTC', () => {
+        const issued = new Date(Date.UTC(2024, 11, 9, 17, 7));
+        expect(buildSameHeader({ ...fields, issued })).toContain('-3441707-');
+        expect(buildSameHeader({ ...fields, issued: new Date(Date.UTC(2023, 0, 1, 0, 5)) })).toContain('-0010005-');
+    });
+
+    it('should accept a JJJHHMM issue time and an HHMM duration', () => {
+        const header = buildSameHeader({ ...fields, issued: '3441707', duration: '0130' });
+        expect(header).toBe('ZCZC-WXR-TSW-006081-006013-006001+0130-3441707-WJON/BLU-');
+    });
+
+    it('should format durations over an hour', () => {
+        expect(buildSameHeader({ ...fields, duration: 90 })).toContain('+0130-');
+        expect(buildSameHeader({ ...fields, duration: 5970 })).toContain('+9930-');
+    });
+
+    it('should upper-case the originator and event codes', () => {
+        expect(buildSameHeader({ ...fields, originator: 'civ', event: 'cae' })).toMatch(/^ZCZC-CIV-CAE-/);
+    });
+
+    it('should pad the sender to 8 characters', () => {
+        expect(buildSameHeader({ ...fields, sender: 'KXYZ' })).toMatch(/-KXYZ {4}-$/);
+    });
+
+    it('should round-trip through decodeSame', () => {
+        const header = buildSameHeader({ ...fields, issued: new Date(), sender: 'KXYZ/FM' });
+        const result = decodeSame(header);
+
+        expect(result.organization).toBe(EASData.ORGS.WXR);
+        expect(result.event).toBe(EASData.EVENTS.TSW);
+        expect(result.locations).toBe('San Mateo, CA; Contra Costa, CA; Alameda, CA');
+        expect(result.sender).toBe('KXYZ/FM ');
+    });
+
+    it('should round-trip the issue and purge times through decodeSame', () => {
+        const issued = new Date(Date.UTC(2024, 11, 9, 17, 7));
+        const header = buildSameHeader({ ...fields, issued, duration: 90 });
+        const result = decodeSame(header, { structured: true, referenceDate: issued });
+
+        expect(result.start).toBe(issued.toISOString());
+        expect(result.end).toBe('2024-12-09T18:37:00.000Z');
+        expect(result.duration).toBe(90);
+        expect(result.locations.map((location) => location.code)).toEqual(fields.locations);
+    });
+
+    it('should round-trip subdivision and statewide codes through decodeSame', () => {
+        const header = buildSameHeader({ ...fields, locations: ['206081', '006000'], issued: new Date() });
+        expect(decodeSame(header).locations).toBe('Northern San Mateo, CA; California');
+    });
+
+    it('should throw an error if no fields are provided', () => {
+        expect(() => buildSameHeader()).toThrow(messages.nodata);
+    });
+
+    it('should throw an error for an unknown originator or event', () => {
+        expect(() => buildSameHeader({ ...fields, originator: 'XYZ' })).toThrow(messages.originvalid);
+        expect(() => buildSameHeader({ ...fields, event: 'XYZ' })).toThrow(messages.eventinvalid);
+    });
+
+    it('should throw an error for missing or invalid locations', () => {
+        expect(() => buildSameHeader({ ...fields, locations: [] })).toThrow(messages.nolocations);
+        expect(() => buildSameHeader({ ...fields, locations: ['06081'] })).toThrow(messages.fipsinvalid);
+        expect(() => buildSameHeader({ ...fields, locations: ['000001'] })).toThrow(messages.fipsinvalid);
+    });
+
+    it('should throw an error for more than 31 locations', () => {
+        const locations = Array(32).fill('006081');
+        expect(() => buildSameHeader({ ...fields, locations })).toThrow(messages.toomanylocations);
+    });
+
+    it('should throw an error for an invalid duration', () => {
+        expect(() => buildSameHeader({ ...fields, duration: 0 })).toThrow(messages.durationinvalid);
+        expect(() => buildSameHeader({ ...fields, duration: 6000 })).toThrow(messages.durationinvalid);
+        expect(() => buildSameHeader({ ...fields, duration: '0175' })).toThrow(messages.durationinvalid);
+    });
+
+    it('should accept every purge time step', () => {
+        for (const [duration, purge] of [[15, '0015'], [30, '0030'], [45, '0045'], [60, '0100'], [90, '0130'], [120, '0200'], ['0630', '0630']]) {
+            const header = buildSameHeader({ ...fields, duration });
+            expect(header).toContain(`+${purge}-`);
+            expect(validateSameHeader(header).filter(({ field }) => field === 'purge')).toEqual([]);
+        }
+    });
+
+    it('should throw an error for a duration between purge time steps', () => {
+        for (const duration of [17, 75, 5, 65, '0017', '0115', '0145']) {
+            expect(() => buildSameHeader({ ...fields, duration }))
+                .toThrow(expect.objectContaining({ code: ERROR_CODES.BAD_PURGE_TIME, field: 'duration', value: duration, message: messages.durationincrement }));
+        }
+    });
+
+    it('should throw an error for an invalid issue time', () => {
+        expect(() => buildSameHeader({ ...fields, issued: new Date('nope') })).toThrow(messages.issuedinvalid);
+        expect(() => buildSameHeader({ ...fields, issued: '3672400' })).toThrow(messages.issuedinvalid);
+    });
+
+    it('should throw an error for an invalid sender', () => {
+        expect(() => buildSameHeader({ ...fields, sender: 'TOOLONGID' })).toThrow(messages.senderinvalid);
+        expect(() => buildSameHeader({ ...fields, sender: 'AB-CD' })).toThrow(messages.senderinvalid);
+        expect(() => buildSameHeader({ ...fields, sender: '' })).toThrow(messages.senderinvalid);
+    });
+
+    it('should throw errors with stable codes and the offending location index', () => {
+        expect(() => buildSameHeader({ ...fields, locations: ['006081', '098765'] }))
+            .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_FIPS, field: 'locations', position: 1 }));
+        expect(() => buildSameHeader({ ...fields, duration: 0 }))
+            .toThrow(expect.objectContaining({ code: ERROR_CODES.BAD_PURGE_TIME }));
+    });
+});
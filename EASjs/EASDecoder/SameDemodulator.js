@@ -0,0 +1,280 @@
+/**
+ * AFSK demodulator for SAME bursts in the EASjs library
+ * @module SameDemodulator
+ */
+
+const MARK_FREQ = 2083.3;
+const SPACE_FREQ = 1562.5;
+const BAUD_RATE = 520.83;
+
+/**
+ * The SAME preamble byte (0xAB), sent 16 times before every burst.
+ */
+const PREAMBLE = 0xAB;
+
+/**
+ * Two preamble bytes as they appear in the hunt register (LSB first).
+ */
+const PREAMBLE_PATTERN = (PREAMBLE << 8) | PREAMBLE;
+
+/**
+ * Minimum ratio of in-band FSK energy to total energy for a bit to count.
+ */
+const MIN_QUALITY = 0.3;
+
+/**
+ * Longest burst accepted before it is cut off (a full header is at most 252 characters).
+ */
+const MAX_BURST_LENGTH = 268;
+
+/**
+ * Fraction of the measured timing error applied on every bit transition.
+ */
+const TIMING_GAIN = 0.3;
+
+/**
+ * Streaming demodulator that turns PCM samples into SAME bursts.
+ *
+ * Samples are correlated against the mark and space tones over a sliding
+ * window one bit long. While hunting, every sample phase keeps its own shift
+ * register until two preamble bytes line up; the demodulator then samples
+ * one bit per baud period and follows the mark/space transitions to stay in
+ * step with the sender's clock.
+ */
+class SameDemodulator {
+    /**
+     * @param {Object} options - Demodulator options.
+     * @param {number} options.sampleRate - The sample rate of the incoming audio in Hz.
+     * @param {function(Object): void} options.onBurst - Called with every completed burst.
+     */
+    constructor({ sampleRate, onBurst }) {
+        this.sampleRate = sampleRate;
+        this.onBurst = onBurst;
+        this.bitLength = sampleRate / BAUD_RATE;
+        this.window = Math.round(this.bitLength);
+
+        const N = this.window;
+        this.markStep = (2 * Math.PI * MARK_FREQ) / sampleRate;
+        this.spaceStep = (2 * Math.PI * SPACE_FREQ) / sampleRate;
+
+        // Ring buffers holding the terms currently inside the correlation window.
+        this.terms = Array.from({ length: 5 }, () => new Float64Array(N));
+        this.sums = new Float64Array(5);
+
+        this.historyLength = 4 * N;
+        this.history = new Float64Array(this.historyLength);
+
+        this.registers = new Uint16Array(N);
+        this.sampleIndex = 0;
+        this.reset();
+    }
+
+    /**
+     * Returns the demodulator to the hunting state.
+     */
+    reset() {
+        this.state = 'hunt';
+        this.registers.fill(0);
+        this.lock = null;
+        this.burst = null;
+    }
+
+    /**
+     * Feeds a chunk of samples through the demodulator.
+     * @param {Float32Array|number[]} samples - Mono PCM samples in the range -1 to 1.
+     */
+    process(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            this.processSample(samples[i]);
+        }
+    }
+
+    /**
+     * Ends any burst in progress, as if the signal had dropped.
+     */
+    flush() {
+        if (this.state === 'sync') this.endBurst(this.sampleIndex);
+        this.reset();
+    }
+
+    /**
+     * Runs a single sample through the correlators and the current state.
+     * @param {number} sample - The sample value.
+     */
+    processSample(sample) {
+        const n = this.sampleIndex++;
+        const N = this.window;
+        const slot = n % N;
+        const x = Number.isFinite(sample) ? sample : 0;
+
+        const values = [
+            x * Math.cos(this.markStep * n),
+            x * Math.sin(this.markStep * n),
+            x * Math.cos(this.spaceStep * n),
+            x * Math.sin(this.spaceStep * n),
+            x * x
+        ];
+        for (let k = 0; k < 5; k++) {
+            this.sums[k] += values[k] - this.terms[k][slot];
+            this.terms[k][slot] = values[k];
+        }
+
+        const [markI, markQ, spaceI, spaceQ, energy] = this.sums;
+        const mark = Math.hypot(markI, markQ);
+        const space = Math.hypot(spaceI, spaceQ);
+        const quality = energy > 1e-9 * N
+            ? (mark * mark + space * space) / (energy * N / 2)
+            : 0;
+        const level = mark - space;
+
+        this.history[n % this.historyLength] = level;
+
+        if (this.state === 'hunt') {
+            this.hunt(n, level, quality);
+        } else {
+            this.track(n, level, quality, mark + space);
+        }
+    }
+
+    /**
+     * Looks for two consecutive preamble bytes at every sample phase.
+     * @param {number} n - The absolute sample index.
+     * @param {number} level - The mark minus space magnitude.
+     * @param {number} quality - The in-band energy ratio.
+     */
+    hunt(n, level, quality) {
+        const phase = n % this.window;
+        const register = quality >= MIN_QUALITY
+            ? (this.registers[phase] >>> 1) | ((level > 0 ? 1 : 0) << 15)
+            : 0;
+        this.registers[phase] = register;
+
+        const matched = register === PREAMBLE_PATTERN;
+        if (matched) {
+            if (!this.lock) this.lock = { first: n, last: n };
+            else this.lock.last = n;
+        }
+
+        // Lock onto the centre of the run of matching phases.
+        if (this.lock && (!matched || n - this.lock.first >= this.window)) {
+            const centre = (this.lock.first + this.lock.last) / 2;
+            this.lock = null;
+            this.state = 'sync';
+            this.burst = {
+                start: Math.max(0, Math.round(centre - 16 * this.bitLength)),
+                preamble: 2,
+                inPreamble: true,
+                bytes: [],
+                confidence: [],
+                current: 0,
+                currentConfidence: 1,
+                bitIndex: 0,
+                lastBit: PREAMBLE >> 7,
+                nextBit: centre + this.bitLength
+            };
+        }
+    }
+
+    /**
+     * Samples one bit per baud period once the preamble has been found.
+     * @param {number} n - The absolute sample index.
+     * @param {number} level - The mark minus space magnitude.
+     * @param {number} quality - The in-band energy ratio.
+     * @param {number} magnitude - The combined mark and space magnitude.
+     */
+    track(n, level, quality, magnitude) {
+        const burst = this.burst;
+        if (n < burst.nextBit - 0.5) return;
+
+        if (quality < MIN_QUALITY) {
+            this.endBurst(n);
+            return;
+        }
+
+        const bit = level > 0 ? 1 : 0;
+        if (bit !== burst.lastBit) {
+            burst.nextBit += TIMING_GAIN * this.timingError(burst.nextBit, bit);
+        }
+        burst.lastBit = bit;
+        burst.nextBit += this.bitLength;
+
+        burst.current |= bit << burst.bitIndex;
+        burst.currentConfidence = Math.min(burst.currentConfidence, magnitude > 0 ? Math.abs(level) / magnitude : 0);
+        burst.bitIndex++;
+        if (burst.bitIndex < 8) return;
+
+        const byte = burst.current;
+        const confidence = burst.currentConfidence;
+        burst.current = 0;
+        burst.currentConfidence = 1;
+        burst.bitIndex = 0;
+
+        if (burst.inPreamble && byte === PREAMBLE) {
+            burst.preamble++;
+            return;
+        }
+        burst.inPreamble = false;
+
+        if (byte < 0x20 || byte > 0x7E) {
+            this.endBurst(n);
+            return;
+        }
+
+        burst.bytes.push(byte);
+        burst.confidence.push(confidence);
+        if (burst.bytes.length >= MAX_BURST_LENGTH) this.endBurst(n);
+    }
+
+    /**
+     * Measures how far the last mark/space transition was from where it was expected.
+     * @param {number} position - The position the current bit is being sampled at.
+     * @param {number} bit - The value of the current bit.
+     * @returns {number} The timing error in samples, positive when the sender is late.
+     */
+    timingError(position, bit) {
+        const N = this.window;
+        const expected = position - N / 2;
+        const end = Math.round(position);
+        let best = null;
+
+        for (let m = end - N + 1; m <= end; m++) {
+            if (m < 1 || m > this.sampleIndex - 1) continue;
+            const before = this.history[(m - 1) % this.historyLength];
+            const after = this.history[m % this.historyLength];
+            if ((before > 0) === (after > 0) || (after > 0) !== (bit === 1)) continue;
+
+            const crossing = m - 1 + before / (before - after);
+            if (best === null || Math.abs(crossing - expected) < Math.abs(best - expected)) {
+                best = crossing;
+            }
+        }
+
+        if (best === null) return 0;
+        return Math.max(-N / 4, Math.min(N / 4, best - expected));
+    }
+
+    /**
+     * Reports the burst in progress and goes back to hunting.
+     * @param {number} n - The sample index the burst ended at.
+     */
+    endBurst(n) {
+        const burst = this.burst;
+        if (burst && burst.bytes.length > 0) {
+            this.onBurst({
+                text: String.fromCharCode(...burst.bytes),
+                confidence: burst.confidence,
+                preamble: burst.preamble,
+                start: burst.start,
+                end: n
+            });
+        }
+        this.reset();
+    }
+}
+
+module.exports = {
+    SameDemodulator,
+    MARK_FREQ,
+    SPACE_FREQ,
+    BAUD_RATE
+};
@@ -0,0 +1,325 @@
+/**
+ * Real-time SAME decoder for the EASjs library
+ * @module SameStreamDecoder
+ */
+
+const { EventEmitter } = require('events');
+const decodeSame = require('../EASText/decodeSame.js');
+const { SameDemodulator } = require('./SameDemodulator.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Longest silence in seconds between two bursts of the same transmission.
+ */
+const MAX_BURST_GAP = 3;
+
+/**
+ * Number of times a header or EOM is repeated.
+ */
+const BURST_COUNT = 3;
+
+/**
+ * Length in milliseconds of the blocks the attention tone detector works on.
+ */
+const TONE_BLOCK_MS = 50;
+
+/**
+ * Shortest attention tone in seconds that is reported.
+ */
+const MIN_TONE_DURATION = 1;
+
+/**
+ * Attention tones and the frequencies that make them up.
+ */
+const ATTENTION_TONES = {
+    dual: [853, 960],
+    nws: [1050]
+};
+
+/**
+ * Decodes SAME headers, attention tones and EOMs from a live audio stream.
+ *
+ * Push PCM chunks in as they arrive; the decoder emits:
+ * - `header` with the voted header, per-character confidence and its bursts,
+ * - `attentionTone` once a dual-tone (853 + 960 Hz) or NWS (1050 Hz) tone ends,
+ * - `eom` once the NNNN bursts have been received,
+ * - `error` when a header cannot be decoded (only if an `error` listener is attached).
+ *
+ * @extends EventEmitter
+ */
+class SameStreamDecoder extends EventEmitter {
+    /**
+     * @param {Object} options - Decoder options.
+     * @param {number} options.sampleRate - The sample rate of the pushed audio in Hz.
+     * @param {boolean} [options.decode=true] - Whether to run every header through decodeSame().
+     * @param {string} [options.locale] - The locale headers are decoded in; defaults to the one set with setLocale().
+     * @param {string} [options.country='auto'] - Where location codes come from: US, CA or auto.
+     * @throws {EASError} If the sample rate is missing or not a positive number.
+     */
+    constructor({ sampleRate, decode = true, locale, country } = {}) {
+        super();
+        if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+            const messages = resolveMessages(locals, locale);
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.streamsamplerateinvalid, { field: 'sampleRate', value: sampleRate });
+        }
+        this.sampleRate = sampleRate;
+        this.decode = decode;
+        this.locale = locale;
+        this.country = country;
+        this.sampleIndex = 0;
+        this.group = null;
+        this.leftover = null;
+
+        this.demodulator = new SameDemodulator({
+            sampleRate,
+            onBurst: (burst) => this.handleBurst(burst)
+        });
+
+        this.blockLength = Math.round((TONE_BLOCK_MS / 1000) * sampleRate);
+        this.block = new Float32Array(this.blockLength);
+        this.blockFill = 0;
+        this.tone = null;
+    }
+
+    /**
+     * Pushes a chunk of audio into the decoder.
+     * @param {Float32Array|Int16Array|Buffer|number[]} chunk - Mono samples; Buffers are read as 16-bit little-endian PCM,
+     * and may split a sample across two pushes.
+     * @returns {SameStreamDecoder} The decoder, for chaining.
+     */
+    push(chunk) {
+        let input = chunk;
+        if (Buffer.isBuffer(chunk)) {
+            // Keep the first byte of a sample cut off at the end of the chunk for the next push.
+            input = this.leftover ? Buffer.concat([this.leftover, chunk]) : chunk;
+            const usable = input.length - (input.length % 2);
+            this.leftover = usable < input.length ? Buffer.from(input.subarray(usable)) : null;
+            input = input.subarray(0, usable);
+        }
+        const samples = toSamples(input);
+
+        this.demodulator.process(samples);
+        for (let i = 0; i < samples.length; i++) {
+            this.block[this.blockFill++] = samples[i];
+            if (this.blockFill === this.blockLength) {
+                this.detectTone(this.sampleIndex + i + 1 - this.blockLength);
+                this.blockFill = 0;
+            }
+        }
+        this.sampleIndex += samples.length;
+
+        if (this.group && this.sampleIndex - this.group.end > MAX_BURST_GAP * this.sampleRate) {
+            this.flushGroup();
+        }
+        return this;
+    }
+
+    /**
+     * Signals the end of the stream, reporting anything still pending.
+     * @returns {SameStreamDecoder} The decoder, for chaining.
+     */
+    end() {
+        this.demodulator.flush();
+        this.flushGroup();
+        this.endTone(this.sampleIndex);
+        return this;
+    }
+
+    /**
+     * Collects bursts until a full transmission has been received.
+     * @param {object} burst - The burst reported by the demodulator.
+     */
+    handleBurst(burst) {
+        const kind = burstKind(burst.text);
+        if (this.group && this.group.kind && kind && this.group.kind !== kind) {
+            this.flushGroup();
+        }
+
+        if (!this.group) this.group = { kind: null, bursts: [], end: 0 };
+        this.group.kind = this.group.kind ?? kind;
+        this.group.bursts.push(burst);
+        this.group.end = burst.end;
+
+        if (this.group.bursts.length >= BURST_COUNT) this.flushGroup();
+    }
+
+    /**
+     * Votes on the pending bursts and emits the result.
+     */
+    flushGroup() {
+        const group = this.group;
+        this.group = null;
+        if (!group) return;
+
+        const { text, confidence } = voteBursts(group.bursts);
+        const event = {
+            offset: group.bursts[0].start,
+            end: group.end,
+            confidence,
+            bursts: group.bursts.map((burst) => ({
+                text: burst.text,
+                offset: burst.start,
+                end: burst.end,
+                confidence: burst.confidence
+            }))
+        };
+
+        if (text.startsWith('NNNN')) {
+            this.emit('eom', event);
+            return;
+        }
+        if (!text.startsWith('ZCZC')) return;
+
+        const header = { header: text, ...event };
+        if (this.decode) {
+            try {
+                header.decoded = decodeSame(text, { locale: this.locale, country: this.country });
+            } catch (error) {
+                header.decoded = null;
+                header.error = error.message;
+                if (this.listenerCount('error') > 0) {
+                    this.emit('error', Object.assign(error, { header: text, offset: event.offset }));
+                }
+            }
+        }
+        this.emit('header', header);
+    }
+
+    /**
+     * Checks a block of audio for the attention tones.
+     * @param {number} offset - The sample index the block starts at.
+     */
+    detectTone(offset) {
+        const energy = this.block.reduce((acc, x) => acc + x * x, 0);
+        let type = null;
+
+        if (energy > 1e-6 * this.blockLength) {
+            const ratio = (freq) => goertzel(this.block, freq, this.sampleRate) / (energy * this.blockLength / 2);
+            const [low, high] = ATTENTION_TONES.dual.map(ratio);
+            const [nws] = ATTENTION_TONES.nws.map(ratio);
+
+            if (low > 0.2 && high > 0.2 && low + high > 0.6) type = 'dual';
+            else if (nws > 0.6) type = 'nws';
+        }
+
+        if (this.tone && this.tone.type !== type) this.endTone(offset);
+        if (type && !this.tone) this.tone = { type, offset };
+    }
+
+    /**
+     * Reports the attention tone in progress, if it lasted long enough.
+     * @param {number} end - The sample index the tone ended at.
+     */
+    endTone(end) {
+        const tone = this.tone;
+        this.tone = null;
+        if (!tone) return;
+
+        const duration = (end - tone.offset) / this.sampleRate;
+        if (duration < MIN_TONE_DURATION) return;
+
+        this.emit('attentionTone', {
+            type: tone.type,
+            frequencies: ATTENTION_TONES[tone.type],
+            offset: tone.offset,
+            end,
+            duration
+        });
+    }
+}
+
+/**
+ * Guesses whether a burst is a header or an EOM from its first characters.
+ * @param {string} text - The burst text.
+ * @returns {string|null} "ZCZC", "NNNN", or null if it cannot be told.
+ */
+const burstKind = (text) => {
+    if (text.startsWith('ZCZC')) return 'ZCZC';
+    if (text.startsWith('NNNN')) return 'NNNN';
+    return null;
+};
+
+/**
+ * Combines repeated bursts with a per-character majority vote.
+ *
+ * A character wins when at least two bursts agree on it; when every burst
+ * disagrees, the most confidently demodulated one is used.
+ *
+ * @param {object[]} bursts - The bursts to vote on.
+ * @returns {{text: string, confidence: number[]}} The voted text and the confidence of each character (0 to 1).
+ */
+const voteBursts = (bursts) => {
+    // Characters only a minority of bursts reached are trailing noise, not header text.
+    const lengths = bursts.map((burst) => burst.text.length).sort((a, b) => b - a);
+    const length = lengths[Math.ceil(bursts.length / 2) - 1];
+    let text = '';
+    const confidence = [];
+
+    for (let i = 0; i < length; i++) {
+        const votes = new Map();
+        for (const burst of bursts) {
+            const char = burst.text[i];
+            if (char === undefined) continue;
+            const vote = votes.get(char) ?? { count: 0, weight: 0 };
+            vote.count++;
+            vote.weight += burst.confidence[i];
+            votes.set(char, vote);
+        }
+
+        const [char, vote] = [...votes.entries()]
+            .sort((a, b) => b[1].count - a[1].count || b[1].weight - a[1].weight)[0];
+
+        text += char;
+        confidence.push(vote.weight / bursts.length);
+    }
+
+    return { text, confidence };
+};
+
+/**
+ * Converts a pushed chunk into floating point samples.
+ * @param {Float32Array|Int16Array|Buffer|number[]} chunk - The pushed chunk; Buffers must hold whole 16-bit samples.
+ * @returns {Float32Array|Float64Array|number[]} The samples in the range -1 to 1.
+ */
+const toSamples = (chunk) => {
+    if (Buffer.isBuffer(chunk)) {
+        const samples = new Float32Array(chunk.length / 2);
+        for (let i = 0; i < samples.length; i++) samples[i] = chunk.readInt16LE(i * 2) / 32768;
+        return samples;
+    }
+    if (chunk instanceof Int16Array) {
+        return Float32Array.from(chunk, (x) => x / 32768);
+    }
+    return chunk;
+};
+
+/**
+ * Measures the power of a single frequency in a block of samples.
+ * @param {Float32Array} block - The samples.
+ * @param {number} freq - The frequency in Hz.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @returns {number} The squared magnitude at the frequency.
+ */
+const goertzel = (block, freq, sampleRate) => {
+    const coeff = 2 * Math.cos((2 * Math.PI * freq) / sampleRate);
+    let s1 = 0;
+    let s2 = 0;
+    for (let i = 0; i < block.length; i++) {
+        const s0 = block[i] + coeff * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+    }
+    return s1 * s1 + s2 * s2 - coeff * s1 * s2;
+};
+
+module.exports = {
+    SameStreamDecoder,
+    voteBursts
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SameStreamDecoder, voteBursts } = require('./SameStreamDecoder');
+const { generateEASAlert, MODES } = require('../EASGenerator/EASGenerator');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const header = 'ZCZC-WXR-TOR-027133+0030-3441441-ERN/CRTV-';
+
+/**
+ * Pushes samples into a decoder in small chunks and records every event.
+ */
+const runDecoder = (samples, decoder = new SameStreamDecoder({ sampleRate: 24000 }), chunkLength = 4096) => {
+    const events = [];
+    for (const name of ['header', 'attentionTone', 'eom']) {
+        decoder.on(name, (payload) => events.push({ name, payload }));
+    }
+    for (let i = 0; i < samples.length; i += chunkLength) {
+        decoder.push(samples.subarray(i, i + chunkLength));
+    }
+    decoder.end();
+    return events;
+};
+
+describe('SameStreamDecoder', () => {
+    let tempDir;
+    let samples;
+
+    beforeAll(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'easjs-'));
+        samples = await generateEASAlert(header, { outputFile: path.join(tempDir, 'alert.wav') });
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should emit header, attention tone and EOM events in order', () => {
+        const events = runDecoder(samples);
+
+        expect(events.map((event) => event.name)).toEqual(['header', 'attentionTone', 'eom']);
+        expect(events[0].payload.header).toBe(header);
+        expect(events[0].payload.bursts).toHaveLength(3);
+        expect(events[0].payload.decoded.event).toBe('Tornado Warning');
+        expect(events[1].payload.type).toBe('dual');
+        expect(events[1].payload.duration).toBeGreaterThan(7.5);
+        expect(events[2].payload.bursts).toHaveLength(3);
+    });
+
+    it('should report a confidence for every header character', () => {
+        const [{ payload }] = runDecoder(samples);
+        expect(payload.confidence).toHaveLength(header.length);
+        for (const value of payload.confidence) {
+            expect(value).toBeGreaterThan(0.9);
+            expect(value).toBeLessThanOrEqual(1);
+        }
+    });
+
+    it('should detect the NWS 1050 Hz attention tone', async () => {
+        const nws = await generateEASAlert(header, { outputFile: path.join(tempDir, 'nws.wav'), mode: MODES.NWS });
+        const tones = runDecoder(nws).filter((event) => event.name === 'attentionTone');
+        expect(tones).toHaveLength(1);
+        expect(tones[0].payload.type).toBe('nws');
+        expect(tones[0].payload.frequencies).toEqual([1050]);
+    });
+
+    it('should correct a garbled burst with the other two', () => {
+        const garbled = Float32Array.from(samples);
+        const events = [];
+        const decoder = new SameStreamDecoder({ sampleRate: 24000 });
+        decoder.on('header', (payload) => events.push(payload));
+
+        // Find the first burst, then wipe out a stretch of its characters.
+        const probe = new SameStreamDecoder({ sampleRate: 24000 });
+        let firstBurst;
+        probe.on('header', (payload) => { firstBurst = payload.bursts[0]; });
+        probe.push(samples).end();
+        garbled.fill(0.9, firstBurst.offset + 8000, firstBurst.offset + 8400);
+
+        decoder.push(garbled).end();
+
+        expect(events).toHaveLength(1);
+        expect(events[0].header).toBe(header);
+        expect(events[0].bursts.some((burst) => burst.text !== header)).toBe(true);
+    });
+
+    it('should accept 16-bit PCM Buffers', () => {
+        const pcm = Buffer.alloc(samples.length * 2);
+        for (let i = 0; i < samples.length; i++) {
+            pcm.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), i * 2);
+        }
+        const events = runDecoder(pcm);
+        expect(events[0].payload.header).toBe(header);
+
+        // Odd-sized chunks split samples between pushes.
+        const split = runDecoder(pcm, undefined, 4095);
+        expect(split.map((event) => event.name)).toEqual(['header', 'attentionTone', 'eom']);
+        expect(split[0].payload.header).toBe(header);
+    });
+
+    it('should reject a missing or invalid sample rate', () => {
+        for (const sampleRate of [undefined, 0, -24000, NaN, '24000']) {
+            expect(() => new SameStreamDecoder({ sampleRate }))
+                .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'sampleRate' }));
+        }
+        expect(() => new SameStreamDecoder()).toThrow(expect.objectContaining({ field: 'sampleRate' }));
+    });
+
+    it('should emit an error event for a header that cannot be decoded', async () => {
+        const bad = 'ZCZC-WXR-XXX-027133+0030-3441441-ERN/CRTV-';
+        const audio = await generateEASAlert(bad, { outputFile: path.join(tempDir, 'bad.wav'), attentionTone: false });
+        const decoder = new SameStreamDecoder({ sampleRate: 24000 });
+        const onError = jest.fn();
+        decoder.on('error', onError);
+
+        const events = runDecoder(audio, decoder);
+
+        expect(onError).toHaveBeenCalledTimes(1);
+        expect(onError.mock.calls[0][0].header).toBe(bad);
+        expect(events[0].payload.decoded).toBeNull();
+    });
+
+    it('should not throw for an undecodable header without an error listener', async () => {
+        const bad = 'ZCZC-WXR-XXX-027133+0030-3441441-ERN/CRTV-';
+        const audio = await generateEASAlert(bad, { outputFile: path.join(tempDir, 'bad.wav'), attentionTone: false });
+        expect(() => runDecoder(audio)).not.toThrow();
+    });
+});
+
+describe('voteBursts', () => {
+    const burst = (text, value = 1) => ({ text, confidence: Array(text.length).fill(value) });
+
+    it('should pick the character two of three bursts agree on', () => {
+        const result = voteBursts([burst('ZCZC-WXR'), burst('ZCZC-WQR'), burst('ZCZC-WXR')]);
+        expect(result.text).toBe('ZCZC-WXR');
+        expect(result.confidence[6]).toBeCloseTo(2 / 3);
+        expect(result.confidence[0]).toBe(1);
+    });
+
+    it('should fall back to the most confident burst when all three disagree', () => {
+        const result = voteBursts([burst('ABC', 0.4), burst('ABD', 0.9), burst('ABE', 0.5)]);
+        expect(result.text).toBe('ABD');
+    });
+
+    it('should drop trailing characters only one burst received', () => {
+        const result = voteBursts([burst('NNNN'), burst('NNNNX'), burst('NNNN')]);
+        expect(result.text).toBe('NNNN');
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * SAME audio decoder for the EASjs library
+ * @module decodeSameAudio
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SameStreamDecoder } = require('./SameStreamDecoder.js');
+const { runFfmpeg } = require('../Audio/ffmpeg.js');
+const { decodeWav } = require('../Audio/wav.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Sample rate compressed audio is converted to before demodulation.
+ */
+const DEFAULT_SAMPLE_RATE = 24000;
+
+/**
+ * Decodes every SAME header, attention tone and EOM found in a recording.
+ * @param {string|Buffer|Float32Array} input - A WAV/MP3 file path, an encoded audio Buffer, or mono samples.
+ * @param {Object} [options={}] - Options for decoding.
+ * @param {number} [options.sampleRate] - The sample rate of raw samples, or the rate compressed audio is converted to.
+ * @param {boolean} [options.decode=true] - Whether to run every header through decodeSame().
+ * @param {string} [options.locale] - The locale for decoded headers and error messages; defaults to the one set with setLocale().
+ * @param {string} [options.country='auto'] - Where location codes come from: US, CA or auto.
+ * @returns {Promise<object>} The headers, attention tones and EOMs found, with sample offsets.
+ * @throws {EASError} If the audio is missing or cannot be read.
+ */
+const decodeSameAudio = async (input, options = {}) => {
+    const { decode = true, locale, country } = options;
+    const { samples, sampleRate } = await loadAudio(input, options);
+
+    const headers = [];
+    const attentionTones = [];
+    const eoms = [];
+
+    const decoder = new SameStreamDecoder({ sampleRate, decode, locale, country });
+    decoder.on('header', (header) => headers.push(header));
+    decoder.on('attentionTone', (tone) => attentionTones.push(tone));
+    decoder.on('eom', (eom) => eoms.push(eom));
+    decoder.push(samples).end();
+
+    return {
+        sampleRate,
+        duration: samples.length / sampleRate,
+        headers,
+        attentionTones,
+        eoms
+    };
+};
+
+/**
+ * Loads the input as mono samples.
+ * @param {string|Buffer|Float32Array} input - The audio to load.
+ * @param {Object} options - Options for decoding.
+ * @returns {Promise<{samples: Float32Array, sampleRate: number}>} The mono samples and their sample rate.
+ * @throws {EASError} If the audio is missing or cannot be read.
+ */
+const loadAudio = async (input, options) => {
+    const messages = resolveMessages(locals, options.locale);
+
+    if (input === undefined || input === null || input === '') {
+        throw new EASError(ERROR_CODES.NO_DATA, messages.nodata);
+    }
+
+    if (input instanceof Float32Array || input instanceof Float64Array || Array.isArray(input)) {
+        const { sampleRate } = options;
+        if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.samplerateinvalid, { field: 'sampleRate' });
+        }
+        return { samples: Float32Array.from(input), sampleRate };
+    }
+
+    if (Buffer.isBuffer(input)) {
+        // WAVs this cannot read, such as mu-law or ADPCM, go through ffmpeg like any other file.
+        return decodeWav(input) ?? convertAudio('pipe:0', input, options);
+    }
+
+    if (typeof input === 'string') {
+        if (!fs.existsSync(input)) throw new EASError(ERROR_CODES.AUDIO_NOT_FOUND, messages.audioFileNotFound, { value: input });
+        const wav = path.extname(input).toLowerCase() === '.wav' ? decodeWav(fs.readFileSync(input)) : null;
+        return wav ?? convertAudio(path.resolve(input), null, options);
+    }
+
+    throw new EASError(ERROR_CODES.INVALID_AUDIO, messages.invalidinput);
+};
+
+/**
+ * Converts any audio ffmpeg understands into mono 32-bit float samples.
+ * @param {string} source - The input path, or "pipe:0" to read from stdin.
+ * @param {Buffer|null} stdin - The audio to pipe to ffmpeg when reading from stdin.
+ * @param {Object} options - Options for decoding.
+ * @returns {Promise<{samples: Float32Array, sampleRate: number}>} The mono samples and their sample rate.
+ */
+const convertAudio = async (source, stdin, options) => {
+    const messages = resolveMessages(locals, options.locale);
+    const sampleRate = options.sampleRate ?? DEFAULT_SAMPLE_RATE;
+
+    const output = await runFfmpeg([
+        '-i', source,
+        '-ar', String(sampleRate),
+        '-ac', '1',
+        '-f', 'f32le',
+        'pipe:1'
+    ], { input: stdin, message: messages.conversionfailed });
+
+    const samples = new Float32Array(output.buffer.slice(output.byteOffset, output.byteOffset + output.length - (output.length % 4)));
+    return { samples, sampleRate };
+};
+
+module.exports = decodeSameAudio;
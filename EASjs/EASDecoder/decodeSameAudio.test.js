@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const decodeSameAudio = require('./decodeSameAudio');
+const { WaveFile } = require('wavefile');
+const { generateEASAlert, MODES } = require('../EASGenerator/EASGenerator');
+const { ERROR_CODES } = require('../EASError/EASError');
+const messages = require('./locals/en_us.json');
+
+const header = 'ZCZC-WXR-TSW-006081-006013-006001-006087-006085+0100-3401900-WJON/BLU-';
+
+describe('decodeSameAudio', () => {
+    let tempDir;
+    let wavPath;
+    let samples;
+
+    beforeAll(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'easjs-'));
+        wavPath = path.join(tempDir, 'alert.wav');
+        samples = await generateEASAlert(header, { outputFile: wavPath, attentionTone: false });
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should decode headers and EOMs from raw samples', async () => {
+        const result = await decodeSameAudio(samples, { sampleRate: 24000 });
+
+        expect(result.sampleRate).toBe(24000);
+        expect(result.headers).toHaveLength(1);
+        expect(result.headers[0].header).toBe(header);
+        expect(result.headers[0].bursts).toHaveLength(3);
+        expect(result.headers[0].decoded.event).toBe('Tsunami Warning');
+        expect(result.attentionTones).toEqual([]);
+        expect(result.eoms).toHaveLength(1);
+        expect(result.eoms[0].bursts).toHaveLength(3);
+        expect(result.eoms[0].offset).toBeGreaterThan(result.headers[0].end);
+    });
+
+    it('should report sample offsets close to where each burst starts', async () => {
+        const result = await decodeSameAudio(samples, { sampleRate: 24000 });
+        // The generator leads with one second of silence.
+        expect(Math.abs(result.headers[0].offset - 24000)).toBeLessThan(50);
+    });
+
+    it('should decode a WAV file path', async () => {
+        const result = await decodeSameAudio(wavPath);
+        expect(result.headers[0].header).toBe(header);
+        expect(result.eoms).toHaveLength(1);
+    });
+
+    it('should decode a WAV Buffer', async () => {
+        const result = await decodeSameAudio(fs.readFileSync(wavPath));
+        expect(result.headers[0].header).toBe(header);
+    });
+
+    it('should read every PCM and float WAV layout', async () => {
+        const layouts = [
+            ['8', 2], ['16', 1], ['24', 2], ['32', 1], ['32f', 2], ['64', 1]
+        ];
+        for (const [bitDepth, channels] of layouts) {
+            const wav = new WaveFile();
+            const pcm = Float64Array.from(samples, (sample) => {
+                if (bitDepth === '32f' || bitDepth === '64') return sample;
+                const bits = parseInt(bitDepth, 10);
+                return Math.round(sample * (2 ** (bits - 1) - 1)) + (bits === 8 ? 128 : 0);
+            });
+            wav.fromScratch(channels, 24000, bitDepth, channels === 1 ? pcm : [pcm, pcm]);
+
+            const result = await decodeSameAudio(Buffer.from(wav.toBuffer()));
+            expect(result.duration).toBe(samples.length / 24000);
+            expect(result.headers.map(({ header: found }) => found)).toEqual([header]);
+        }
+    });
+
+    it('should hand WAVs it cannot read to ffmpeg', async () => {
+        const wav = new WaveFile();
+        wav.fromScratch(1, 24000, '16', Int16Array.from(samples, (sample) => Math.round(sample * 32767)));
+        wav.toMuLaw();
+
+        // Without ffmpeg installed this fails in ffmpeg; either way it is not read as PCM.
+        const result = await decodeSameAudio(Buffer.from(wav.toBuffer())).catch((error) => error);
+        if (result instanceof Error) expect(result.code).toBe(ERROR_CODES.CONVERSION_FAILED);
+        else expect(result.headers[0].header).toBe(header);
+    });
+
+    it('should decode the DIGITAL encoder mode', async () => {
+        const digital = await generateEASAlert(header, {
+            outputFile: path.join(tempDir, 'digital.wav'),
+            attentionTone: false,
+            mode: MODES.DIGITAL
+        });
+        const result = await decodeSameAudio(digital, { sampleRate: 24000 });
+        expect(result.headers[0].header).toBe(header);
+        expect(result.headers[0].bursts).toHaveLength(3);
+    });
+
+    it('should decode audio resampled to another rate with added noise', async () => {
+        const rate = 44100;
+        const resampled = new Float32Array(Math.floor(samples.length * rate / 24000));
+        let seed = 1;
+        for (let i = 0; i < resampled.length; i++) {
+            seed = (seed * 16807) % 2147483647;
+            const position = i * 24000 / rate;
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const clean = samples[index] * (1 - fraction) + (samples[index + 1] ?? 0) * fraction;
+            resampled[i] = clean + 0.2 * (seed / 2147483647 * 2 - 1);
+        }
+
+        const result = await decodeSameAudio(resampled, { sampleRate: rate });
+        expect(result.headers[0].header).toBe(header);
+    });
+
+    it('should keep the raw header and the error when decodeSame rejects it', async () => {
+        const bad = 'ZCZC-WXR-XXX-006081+0100-3401900-WJON/BLU-';
+        const audio = await generateEASAlert(bad, { outputFile: path.join(tempDir, 'bad.wav'), attentionTone: false });
+        const result = await decodeSameAudio(audio, { sampleRate: 24000 });
+        expect(result.headers[0].header).toBe(bad);
+        expect(result.headers[0].decoded).toBeNull();
+        expect(result.headers[0].error).toEqual(expect.any(String));
+    });
+
+    it('should find nothing in silence', async () => {
+        const result = await decodeSameAudio(new Float32Array(24000), { sampleRate: 24000 });
+        expect(result.headers).toEqual([]);
+        expect(result.eoms).toEqual([]);
+    });
+
+    it('should throw an error if no audio is provided', async () => {
+        await expect(decodeSameAudio()).rejects.toThrow(messages.nodata);
+    });
+
+    it('should throw an error if raw samples have no sample rate', async () => {
+        await expect(decodeSameAudio(samples)).rejects.toThrow(messages.samplerateinvalid);
+    });
+
+    it('should throw an error if the audio file does not exist', async () => {
+        await expect(decodeSameAudio('missing.mp3')).rejects.toThrow(messages.audioFileNotFound);
+    });
+
+    it('should throw an error for unsupported input', async () => {
+        await expect(decodeSameAudio(42)).rejects.toThrow(messages.invalidinput);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Error type for the EASjs library
+ * @module EASError
+ */
+
+/**
+ * Stable error codes, so callers can tell failures apart without comparing messages.
+ */
+const ERROR_CODES = {
+    NO_DATA: 'NO_DATA',
+    INVALID_HEADER: 'INVALID_HEADER',
+    MISSING_ZCZC: 'MISSING_ZCZC',
+    INVALID_CHARACTERS: 'INVALID_CHARACTERS',
+    UNKNOWN_ORIGINATOR: 'UNKNOWN_ORIGINATOR',
+    UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+    INVALID_FIPS: 'INVALID_FIPS',
+    INVALID_SUBDIVISION: 'INVALID_SUBDIVISION',
+    NO_LOCATIONS: 'NO_LOCATIONS',
+    TOO_MANY_LOCATIONS: 'TOO_MANY_LOCATIONS',
+    BAD_PURGE_TIME: 'BAD_PURGE_TIME',
+    BAD_TIMESTAMP: 'BAD_TIMESTAMP',
+    INVALID_SENDER: 'INVALID_SENDER',
+    INVALID_OPTION: 'INVALID_OPTION',
+    INVALID_AUDIO: 'INVALID_AUDIO',
+    AUDIO_NOT_FOUND: 'AUDIO_NOT_FOUND',
+    CONVERSION_FAILED: 'CONVERSION_FAILED',
+    INVALID_XML: 'INVALID_XML',
+    INVALID_CAP: 'INVALID_CAP',
+    UNKNOWN_STATE: 'UNKNOWN_STATE',
+    MESSAGE_TOO_LONG: 'MESSAGE_TOO_LONG',
+    INVALID_LOG: 'INVALID_LOG',
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    REQUEST_TOO_LARGE: 'REQUEST_TOO_LARGE',
+    NOT_FOUND: 'NOT_FOUND',
+    METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+    SERVER_BUSY: 'SERVER_BUSY'
+};
+
+/**
+ * An error raised by EASjs, carrying a stable code and the offending field.
+ * @extends Error
+ */
+class EASError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES.
+     * @param {string} message - The human-readable message.
+     * @param {Object} [details={}] - Where the problem was found.
+     * @param {string} [details.field] - The field at fault. Example: originator, event, locations, purge, issued, sender
+     * @param {number} [details.position] - The character offset of the field within the input.
+     * @param {string} [details.value] - The offending value.
+     */
+    constructor(code, message, { field, position, value } = {}) {
+        super(message);
+        this.name = 'EASError';
+        this.code = code;
+        if (field !== undefined) this.field = field;
+        if (position !== undefined) this.position = position;
+        if (value !== undefined) this.value = value;
+    }
+
+    /**
+     * @returns {object} A plain object for logging or JSON responses.
+     */
+    toJSON() {
+        const { code, message, field, position, value } = this;
+        return { code, message, field, position, value };
+    }
+}
+
+module.exports = {
+    EASError,
+    ERROR_CODES
+};
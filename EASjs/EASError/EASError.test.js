@@ -0,0 +1,32 @@
+const { EASError, ERROR_CODES } = require('./EASError');
+
+describe('EASError', () => {
+    it('should carry a code, field, position and value', () => {
+        const error = new EASError(ERROR_CODES.INVALID_FIPS, 'Bad FIPS', { field: 'locations', position: 13, value: '098765' });
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('EASError');
+        expect(error.message).toBe('Bad FIPS');
+        expect(error.code).toBe('INVALID_FIPS');
+        expect(error.field).toBe('locations');
+        expect(error.position).toBe(13);
+        expect(error.value).toBe('098765');
+    });
+
+    it('should leave out details that were not given', () => {
+        const error = new EASError(ERROR_CODES.NO_DATA, 'Nothing');
+        expect(error).not.toHaveProperty('field');
+        expect(error).not.toHaveProperty('position');
+    });
+
+    it('should serialize to JSON with its code and message', () => {
+        const error = new EASError(ERROR_CODES.UNKNOWN_EVENT, 'Bad event', { field: 'event', position: 9, value: 'XYZ' });
+        expect(JSON.parse(JSON.stringify(error))).toEqual({
+            code: 'UNKNOWN_EVENT',
+            message: 'Bad event',
+            field: 'event',
+            position: 9,
+            value: 'XYZ'
+        });
+    });
+});
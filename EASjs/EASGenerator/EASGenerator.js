@@ -5,310 +5,153 @@
 
 const fs = require('fs');
 const path = require('path');
-const { WaveFile } = require('wavefile');
-const ffmpeg = require('ffmpeg-static');
-const { execFile } = require('child_process');
-const { promisify } = require('util');
-const messages = require('./locals/en_us.json');
-const execFileAsync = promisify(execFile);
-
-const SAMPLE_RATE = 24000;
-const BIT_DEPTH = 16;
-
-const MODES = {
-    /**
-     * Default mode.
-     * Standard headers, standard attention tones.
-     */
-    DEFAULT: 'DEFAULT',
-
-    /**
-     * National Weather Service mode.
-     * Standard headers, uses 1050hz attention tone.
-     */
-    NWS: 'NWS',
-
-    /**
-     * Digital mode.
-     * Emulate a SAGE DIGITAL 3644 EAS encoder.
-     */
-    DIGITAL: 'DIGITAL',
-
-    /**
-     * Sage mode.
-     * Emulate a standard SAGE EAS 1822 EAS encoder.
-     */
-    SAGE: 'SAGE',
-
-    /**
-     * Trilithic mode.
-     * Emulate a Trilithic EAS encoder.
-     */
-    TRILITHIC: 'TRILITHIC'
+const { runFfmpeg } = require('../Audio/ffmpeg.js');
+const { CODECS, encodeAudio, encodeAudioStream } = require('../Audio/encodeAudio.js');
+const { MODES, registerMode } = require('./profiles.js');
+const { resolveAlertSettings, renderAlert } = require('./renderAlert.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, formatMessage } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
 };
 
 /**
- * Generates a sine wave buffer for a given frequency, duration, and volume.
- * @param {number} freq - The frequency of the sine wave in Hz.
- * @param {number} durationMs - The duration of the sine wave in milliseconds.
- * @param {number} [volumeDB=0] - The volume of the sine wave in decibels.
- * @returns {Float32Array} The generated sine wave buffer.
+ * Ways generateEASAlert() can return the encoded alert.
  */
-function generateSine(freq, durationMs, volumeDB = 0) {
-    const samples = Math.round((durationMs / 1000) * SAMPLE_RATE);
-    const amplitude = 10 ** (volumeDB / 20);
-    const buffer = new Float32Array(samples);
-    for (let i = 0; i < samples; i++) {
-        buffer[i] = amplitude * Math.sin((2 * Math.PI * freq * i) / SAMPLE_RATE);
-    }
-    return buffer;
-}
-
-/**
- * Creates the "Mark" tone (2083.3 Hz).
- * @returns {Float32Array} The generated mark tone buffer.
- */
-const createMark = () => generateSine(2083.3, 1000 / 520.83, -3);
-
-/**
- * Creates the "Space" tone (1562.5 Hz).
- * @returns {Float32Array} The generated space tone buffer.
- */
-const createSpace = () => generateSine(1562.5, 1000 / 520.83, -3);
-
-/**
- * Creates the attention tone for the given mode.
- * @param {string} [mode=MODES.DEFAULT] - The mode for which the attention tone is generated.
- * @returns {Float32Array} The generated attention tone buffer.
- */
-function createAttentionTone(mode = MODES.DEFAULT) {
-    switch (mode) {
-        case MODES.NWS:
-            return generateSine(1050, 9000, -4);
-        default: {
-            const tone1 = generateSine(853, 8000, -10);
-            const tone2 = generateSine(960, 8000, -10);
-            const mixed = new Float32Array(tone1.length);
-            for (let i = 0; i < mixed.length; i++) {
-                mixed[i] = 0.5 * (tone1[i] + tone2[i]);
-            }
-            return mixed;
-        }
-    }
-}
-
-/**
- * Encodes the header of the message for the given mode.
- * @param {string} data - The message data to encode.
- * @param {string} [mode=MODES.DEFAULT] - The mode for which the message is encoded.
- * @returns {Float32Array} The encoded message header.
- */
-function encodeHeader(data, mode = MODES.DEFAULT) {
-    let buffer = new Float32Array(0);
-    let processedData = data;
-
-    switch (mode) {
-        case MODES.NWS:
-            processedData += '\x00\x00'; break;
-        case MODES.DIGITAL:
-            processedData = '\x00' + data + '\xFF\xFF\xFF'; break;
-        case MODES.SAGE:
-            processedData += '\xFF'; break;
-    }
-
-    for (const char of processedData) {
-        const bits = char.charCodeAt(0).toString(2).padStart(8, '0').split('').reverse().join('');
-        for (const bit of bits) {
-            buffer = concatAudio(buffer, bit === '1' ? createMark() : createSpace());
-        }
-    }
-
-    if (mode === MODES.DIGITAL) {
-        const firstTransmission = buffer;
-        const standardData = '\xAB' + data + '\xFF\xFF\xFF';
-        let standardBuffer = new Float32Array(0);
-
-        for (const char of standardData) {
-            const bits = char.charCodeAt(0).toString(2).padStart(8, '0').split('').reverse().join('');
-            for (const bit of bits) {
-                standardBuffer = concatAudio(standardBuffer, bit === '1' ? createMark() : createSpace());
-            }
-        }
-
-        return concatAudio(
-            firstTransmission,
-            createSilence(1000),
-            standardBuffer,
-            createSilence(1000),
-            standardBuffer
-        );
-    } else {
-        // Only use 868ms if mode is TRILITHIC, otherwise 1000ms
-        const silenceDuration = mode === MODES.TRILITHIC ? 868 : 1000;
-        return concatAudio(
-            buffer,
-            createSilence(silenceDuration),
-            buffer,
-            createSilence(silenceDuration),
-            buffer
-        )
-    }
-}
+const OUTPUTS = ['file', 'buffer', 'stream'];
 
 /**
- * Creates the End of Message (EOM) signal for the given mode.
- * @param {string} [mode=MODES.DEFAULT] - The mode for which the EOM is created.
- * @returns {Float32Array} The generated EOM buffer.
+ * Codecs chosen from the output file extension when none is given.
  */
-function createEOM(mode = MODES.DEFAULT) {
-    if (mode === MODES.DIGITAL) {
-        const eomPart1 = '\x00' + '\xAB'.repeat(16) + 'NNNN' + '\xFF\xFF\xFF';
-        const eomPart2 = '\xAB'.repeat(16) + 'NNNN' + '\xFF\xFF\xFF';
-
-        const encodePart = (data) => {
-            let buf = new Float32Array(0);
-            for (const char of data) {
-                const bits = char.charCodeAt(0).toString(2).padStart(8, '0').split('').reverse().join('');
-                for (const bit of bits) {
-                    buf = concatAudio(buf, bit === '1' ? createMark() : createSpace());
-                }
-            }
-            return buf;
-        };
-
-        return concatAudio(
-            encodePart(eomPart1),
-            createSilence(1000),
-            encodePart(eomPart2),
-            createSilence(1000),
-            encodePart(eomPart2)
-        );
-    }
-    return encodeHeader('\xAB'.repeat(16) + 'NNNN', mode);
-}
+const EXTENSIONS = {
+    '.mp3': 'mp3',
+    '.flac': 'flac',
+    '.ogg': 'ogg',
+    '.oga': 'ogg',
+    '.raw': 'raw',
+    '.pcm': 'raw'
+};
 
 /**
  * Generates an EAS alert with a specified message.
+ *
+ * The alert is encoded in memory; MP3, FLAC and OGG encoding and message audio
+ * conversion pipe through ffmpeg, so no temporary files are written. The tones
+ * themselves come from renderEASAlert(), which needs neither files nor ffmpeg.
+ *
  * @param {string} zczcMessage - The ZCZC message for the alert.
  * @param {Object} [options={}] - Options for the alert generation.
- * @param {string} [options.mode=MODES.DEFAULT] - The mode for the alert.
+ * @param {string|object} [options.mode=MODES.DEFAULT] - The mode for the alert: a built-in or registered mode name, or a profile object.
  * @param {boolean} [options.attentionTone=true] - Whether to include the attention tone.
  * @param {string} [options.audioPath=null] - Path to an audio file to include in the alert.
+ * @param {Buffer|import('stream').Readable} [options.audio=null] - Encoded audio to include in the alert, instead of audioPath.
+ * @param {string} [options.output='file'] - How to return the alert: file (write outputFile), buffer or stream.
  * @param {string} [options.outputFile='output.wav'] - The output file name for the alert.
- * @returns {Promise<Float32Array>} The generated EAS alert audio buffer.
+ * @param {string} [options.codec] - wav, mp3, flac, ogg or raw (headerless little-endian PCM); defaults to the outputFile extension.
+ * @param {string} [options.format] - Another name for codec.
+ * @param {number} [options.sampleRate=24000] - The sample rate in Hz, from 8000 to 192000. Example: 48000
+ * @param {string|number} [options.bitDepth='16'] - 16, 24 or 32f (32-bit float), for WAV, FLAC and raw output.
+ * @param {number} [options.channels=1] - The number of channels, up to 8; each carries the same audio.
+ * @param {string|number} [options.bitrate] - The MP3 or OGG bitrate, in kbps or as a string; MP3 defaults to 128k, OGG to variable bitrate. Example: 192 or '192k'
+ * @param {string|false} [options.normalize=false] - Normalize the message audio by peak or loudness, or leave its level alone.
+ * @param {number} [options.normalizeTarget] - The level to normalize to: dBFS for peak (default -3, the FSK level), LUFS for loudness (default -16).
+ * @param {boolean|number} [options.trimSilence=false] - Trim leading and trailing silence from the message audio; a number sets the threshold in dBFS (default -50).
+ * @param {number} [options.fadeIn=0] - Fade the message audio in over this many ms.
+ * @param {number} [options.fadeOut=0] - Fade the message audio out over this many ms.
+ * @param {number} [options.maxMessageLength=120] - The longest message audio allowed, in seconds; Infinity for no limit.
+ * @param {string} [options.overlength='truncate'] - truncate or reject message audio longer than maxMessageLength.
+ * @param {boolean} [options.validate=false] - Check the header with validateSameHeader() first, and reject it on the first error; warnings are allowed.
+ * @param {Object} [options.impairments] - Channel impairments to apply, as for impairAudio(), plus bitErrors: [{ burst, bits }] or [{ burst, count }] to flip bits in chosen header bursts.
+ * @param {boolean} [options.report=false] - Return { audio, report } with the message audio levels, instead of the audio alone.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {Promise<Float32Array|Buffer|import('stream').Readable|{audio: Float32Array|Buffer|import('stream').Readable, report: object|null}>}
+ * The generated EAS alert audio buffer (mono, at the sample rate) when writing a file, otherwise the encoded file as a Buffer or a
+ * Readable byte stream. With report, the same audio and the message audio report, or null when there is no message audio.
+ * A stream carries ffmpeg's output as it is encoded (WAV and raw are streamed from memory), and an encoding failure is
+ * emitted as its 'error' event instead of rejecting the promise.
+ * @throws {EASError} If an option is invalid, the header fails validation, the message audio is too long and overlength is reject, or the audio cannot be read or converted.
  */
 async function generateEASAlert(zczcMessage, options = {}) {
     const {
-        mode: rawMode,
         attentionTone = true,
         audioPath = null,
-        outputFile = 'output.wav'
+        audio = null,
+        output: outputType = 'file',
+        outputFile = 'output.wav',
+        report = false,
+        locale
     } = options;
 
-    const mode = (rawMode ?? MODES.DEFAULT).toUpperCase();
-
-    let audioBuffer = new Float32Array(0);
-    if (audioPath?.trim()) {
-        if (!fs.existsSync(audioPath)) throw new Error(messages?.audioFileNotFound ?? 'Audio file not found.');
+    const messages = resolveMessages(locals, locale);
 
-        const tempWav = path.resolve('temp_conversion.wav');
-        try {
-            await execFileAsync(ffmpeg, [
-                '-hide_banner', '-y',
-                '-i', path.resolve(audioPath),
-                '-ar', String(SAMPLE_RATE),
-                '-ac', '1',
-                '-acodec', 'pcm_s16le',
-                tempWav
-            ]);
-            const wav = new WaveFile(fs.readFileSync(tempWav));
-            wav.toBitDepth('32f');
-            audioBuffer = new Float32Array(wav.getSamples(true, Float32Array));
-        } catch (error) {
-            console.error('Error during audio conversion:', error);
-        } finally {
-            if (fs.existsSync(tempWav)) fs.unlinkSync(tempWav);
-        }
+    if (!OUTPUTS.includes(outputType)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.outputinvalid, { field: 'output', value: outputType });
     }
-
-    let output = concatAudio(
-        createSilence(1000),
-        encodeHeader('\xAB'.repeat(16) + zczcMessage, mode),
-        createSilence(mode === MODES.TRILITHIC ? 1118: 1000)
-    );
-
-    if (attentionTone) {
-        output = concatAudio(output, createAttentionTone(mode), createSilence(1000));
+    const extension = typeof outputFile === 'string' ? path.extname(outputFile).toLowerCase() : '';
+    const settings = resolveAlertSettings(zczcMessage, options, { codecs: Object.keys(CODECS), defaultCodec: EXTENSIONS[extension] ?? 'wav' }, messages);
+    const { format } = settings;
+
+    const messageAudio = await loadMessageAudio(audio ?? audioPath, format.sampleRate, messages);
+    const { samples: output, report: messageReport } = renderAlert(zczcMessage, messageAudio, { ...settings, attentionTone }, messages);
+
+    let result;
+    switch (outputType) {
+        case 'buffer':
+            result = await encodeAudio(output, format, messages.conversionfailed);
+            break;
+        case 'stream':
+            result = encodeAudioStream(output, format, messages.conversionfailed);
+            break;
+        default:
+            fs.writeFileSync(path.resolve(outputFile), await encodeAudio(output, format, messages.conversionfailed));
+            result = output;
     }
 
-    if ((audioBuffer?.length ?? 0) > 0) {
-        output = concatAudio(output, audioBuffer, createSilence(1000));
-    }
-
-    const eom = createEOM(mode);
-    output = concatAudio(output, eom, createSilence(1000));
+    return report ? { audio: result, report: messageReport } : result;
+}
 
-    const int16Buffer = new Int16Array(output.length);
-    for (let i = 0; i < output.length; i++) {
-        int16Buffer[i] = Math.max(-32768, Math.min(32767, output[i] * 32767));
+/**
+ * Converts the message audio into samples at the alert's sample rate.
+ * @param {string|Buffer|import('stream').Readable|null} source - The file path, encoded audio, or nothing.
+ * @param {number} sampleRate - The alert's sample rate in Hz.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {Promise<Float32Array>} The mono samples; empty when there is no message audio.
+ * @throws {EASError} If the file is missing, the audio is of the wrong type, or ffmpeg cannot convert it.
+ */
+async function loadMessageAudio(source, sampleRate, messages) {
+    if (source === null || source === undefined || (typeof source === 'string' && source.trim() === '')) {
+        return new Float32Array(0);
     }
 
-    const outputIsMp3 = outputFile?.toLowerCase().endsWith('.mp3');
-
-    if (outputIsMp3) {
-        const tempWav = path.resolve('temp_export.wav');
-        try {
-            console.log('Creating temporary WAV file for MP3 conversion...');
-            const wav = new WaveFile();
-            wav.fromScratch(1, SAMPLE_RATE, BIT_DEPTH, int16Buffer);
-            fs.writeFileSync(tempWav, wav.toBuffer());
-
-            console.log('Converting WAV to MP3...');
-            await execFileAsync(ffmpeg, [
-                '-hide_banner', '-y',
-                '-i', tempWav,
-                '-codec:a', 'libmp3lame',
-                '-b:a', '128k',
-                path.resolve(outputFile)
-            ]);
-        } catch (error) {
-            console.error('Error during MP3 conversion:', error?.message ?? error);
-        } finally {
-            if (fs.existsSync(tempWav)) fs.unlinkSync(tempWav);
+    let input = null;
+    let inputPath = 'pipe:0';
+    if (typeof source === 'string') {
+        if (!fs.existsSync(source)) {
+            throw new EASError(ERROR_CODES.AUDIO_NOT_FOUND, formatMessage(messages.audioFileNotFound, { path: source }), { value: source });
         }
+        inputPath = path.resolve(source);
+    } else if (Buffer.isBuffer(source) || typeof source.pipe === 'function') {
+        input = source;
     } else {
-        const wav = new WaveFile();
-        wav.fromScratch(1, SAMPLE_RATE, BIT_DEPTH, int16Buffer);
-        fs.writeFileSync(path.resolve(outputFile), wav.toBuffer());
+        throw new EASError(ERROR_CODES.INVALID_AUDIO, messages.audioinvalid, { field: 'audio' });
     }
 
-    return output;
-}
-
-/**
- * Creates a silence buffer of the specified duration.
- * @param {number} durationMs - The duration of the silence in milliseconds.
- * @returns {Float32Array} The silence buffer.
- */
-const createSilence = (durationMs) => new Float32Array(Math.round((durationMs / 1000) * SAMPLE_RATE));
+    const samples = await runFfmpeg([
+        '-i', inputPath,
+        '-ar', String(sampleRate),
+        '-ac', '1',
+        '-f', 'f32le',
+        'pipe:1'
+    ], { input, message: messages.conversionfailed });
 
-/**
- * Concatenates multiple audio buffers into one.
- * @param {...Float32Array} buffers - The buffers to concatenate.
- * @returns {Float32Array} The concatenated audio buffer.
- */
-function concatAudio(...buffers) {
-    const totalLength = buffers.reduce((acc, b) => acc + b.length, 0);
-    const result = new Float32Array(totalLength);
-    let offset = 0;
-    for (const buffer of buffers) {
-        result.set(buffer, offset);
-        offset += buffer.length;
-    }
-    return result;
+    return new Float32Array(samples.buffer.slice(samples.byteOffset, samples.byteOffset + samples.length - (samples.length % 4)));
 }
 
 module.exports = {
     generateEASAlert,
-    MODES
+    MODES,
+    registerMode
 };
\ No newline at end of file
@@ -1,9 +1,35 @@
 const { generateEASAlert, MODES } = require('./EASGenerator');
+const decodeSameAudio = require('../EASDecoder/decodeSameAudio');
+const { ERROR_CODES } = require('../EASError/EASError');
+const { encodeWav } = require('../Audio/wav');
+const ffmpeg = require('ffmpeg-static');
 const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
 
 // Mock fs module
 jest.mock('fs');
 
+// The ffmpeg-static binary is downloaded on install, and may be missing.
+const itWithFfmpeg = ffmpeg && jest.requireActual('fs').existsSync(ffmpeg) ? it : it.skip;
+
+/**
+ * Reads a stream to the end.
+ */
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+/**
+ * A WAV file of a second of 1 kHz tone, as message audio.
+ */
+const toneWav = (sampleRate = 24000) => {
+    const samples = Float32Array.from({ length: sampleRate }, (_, i) => 0.5 * Math.sin(2 * Math.PI * 1000 * i / sampleRate));
+    return Buffer.from(encodeWav(samples, { sampleRate }));
+};
+
 describe('EASGenerator', () => {
     beforeEach(() => {
         // Clear mocks before each test
@@ -43,4 +69,164 @@ describe('EASGenerator', () => {
         expect(buffer).toBeDefined();
         expect(buffer.length).toBeGreaterThan(0);
     });
+
+    it('should write the encoded alert to the output file', async () => {
+        const samples = await generateEASAlert('ZCZC-TEST', { outputFile: 'test.wav' });
+        expect(fs.writeFileSync).toHaveBeenCalledWith(path.resolve('test.wav'), expect.any(Buffer));
+        expect(samples).toBeInstanceOf(Float32Array);
+    });
+
+    it('should return the WAV file as a Buffer without touching the filesystem', async () => {
+        const buffer = await generateEASAlert('ZCZC-TEST', { output: 'buffer' });
+        expect(Buffer.isBuffer(buffer)).toBe(true);
+        expect(buffer.toString('ascii', 0, 4)).toBe('RIFF');
+        expect(buffer.toString('ascii', 8, 12)).toBe('WAVE');
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should return the WAV file as a stream', async () => {
+        const stream = await generateEASAlert('ZCZC-TEST', { output: 'stream', attentionTone: false });
+        expect(stream).toBeInstanceOf(Readable);
+        expect(stream.readableObjectMode).toBe(false);
+
+        const buffer = await generateEASAlert('ZCZC-TEST', { output: 'buffer', attentionTone: false });
+        expect((await readStream(stream)).equals(buffer)).toBe(true);
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    itWithFfmpeg('should include the message audio', async () => {
+        const header = 'ZCZC-WXR-RWT-027133+0015-3441441-ERN/CRTV-';
+        const plain = await generateEASAlert(header, { output: 'buffer', attentionTone: false });
+        const { audio, report } = await generateEASAlert(header, { output: 'buffer', attentionTone: false, audio: toneWav(), report: true });
+
+        expect(report).not.toBeNull();
+        // One second of message audio at 24000 Hz, 16-bit mono.
+        expect(audio.length - plain.length).toBeGreaterThanOrEqual(24000 * 2);
+        expect((await decodeSameAudio(audio)).headers[0].header).toBe(header);
+
+        const streamed = await generateEASAlert(header, { output: 'buffer', attentionTone: false, audio: Readable.from([toneWav(48000)]) });
+        expect(streamed.length).toBe(audio.length);
+    });
+
+    itWithFfmpeg.each([
+        ['mp3', (file) => file.toString('ascii', 0, 3) === 'ID3' || (file[0] === 0xff && (file[1] & 0xe0) === 0xe0)],
+        ['flac', (file) => file.toString('ascii', 0, 4) === 'fLaC'],
+        ['ogg', (file) => file.toString('ascii', 0, 4) === 'OggS']
+    ])('should encode %s as a buffer and a stream', async (codec, isCodec) => {
+        const buffer = await generateEASAlert('ZCZC-TEST', { output: 'buffer', codec, attentionTone: false });
+        expect(isCodec(buffer)).toBe(true);
+
+        const stream = await generateEASAlert('ZCZC-TEST', { output: 'stream', codec, attentionTone: false });
+        expect(stream.readableObjectMode).toBe(false);
+        expect(isCodec(await readStream(stream))).toBe(true);
+    });
+
+    it('should destroy the stream when ffmpeg fails', async () => {
+        // libvorbis has no 500k setting for mono 24 kHz audio, so this fails with or without ffmpeg installed.
+        const options = { codec: 'ogg', bitrate: 500, attentionTone: false };
+        await expect(generateEASAlert('ZCZC-TEST', { output: 'buffer', ...options }))
+            .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.CONVERSION_FAILED }));
+
+        const stream = await generateEASAlert('ZCZC-TEST', { output: 'stream', ...options });
+        await expect(readStream(stream)).rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.CONVERSION_FAILED }));
+    });
+
+    it('should reject invalid output options', async () => {
+        await expect(generateEASAlert('ZCZC-TEST', { output: 'disk' }))
+            .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'output' }));
+        await expect(generateEASAlert('ZCZC-TEST', { output: 'buffer', format: 'aiff' }))
+            .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'format' }));
+    });
+
+    it('should reject message audio of the wrong type', async () => {
+        await expect(generateEASAlert('ZCZC-TEST', { audio: 42 }))
+            .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_AUDIO }));
+    });
+
+    it('should reject when the message audio cannot be converted', async () => {
+        await expect(generateEASAlert('ZCZC-TEST', { output: 'buffer', audio: Buffer.from('not audio') }))
+            .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.CONVERSION_FAILED }));
+        await expect(generateEASAlert('ZCZC-TEST', { output: 'buffer', audio: Readable.from([Buffer.from('not audio')]) }))
+            .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.CONVERSION_FAILED }));
+    });
+
+    it('should keep the same timing at any sample rate', async () => {
+        const low = await generateEASAlert('ZCZC-TEST', { sampleRate: 8000 });
+        const standard = await generateEASAlert('ZCZC-TEST');
+        const high = await generateEASAlert('ZCZC-TEST', { sampleRate: 44100 });
+
+        // Each segment rounds to whole samples, so the lengths can differ by a few samples.
+        expect(Math.abs(low.length / 8000 - standard.length / 24000)).toBeLessThan(0.005);
+        expect(Math.abs(high.length / 44100 - standard.length / 24000)).toBeLessThan(0.005);
+    });
+
+    it('should write WAV files with the sample rate, bit depth and channels asked for', async () => {
+        const header = 'ZCZC-WXR-RWT-027133+0015-3441441-ERN/CRTV-';
+        const buffer = await generateEASAlert(header, { output: 'buffer', sampleRate: 48000, bitDepth: 24, channels: 2, attentionTone: false });
+
+        expect(buffer.readUInt16LE(20)).toBe(1);
+        expect(buffer.readUInt16LE(22)).toBe(2);
+        expect(buffer.readUInt32LE(24)).toBe(48000);
+        expect(buffer.readUInt16LE(34)).toBe(24);
+
+        const result = await decodeSameAudio(buffer);
+        expect(result.sampleRate).toBe(48000);
+        expect(result.headers[0].header).toBe(header);
+    });
+
+    it('should write 32-bit float WAV files', async () => {
+        const header = 'ZCZC-WXR-RWT-027133+0015-3441441-ERN/CRTV-';
+        const buffer = await generateEASAlert(header, { output: 'buffer', sampleRate: 44100, bitDepth: '32f', attentionTone: false });
+
+        expect(buffer.readUInt16LE(20)).toBe(3);
+        expect(buffer.readUInt16LE(34)).toBe(32);
+        expect((await decodeSameAudio(buffer)).headers[0].header).toBe(header);
+    });
+
+    it('should write raw PCM without a header', async () => {
+        const samples = await generateEASAlert('ZCZC-TEST', { outputFile: 'alert.raw', channels: 2 });
+        const [, raw] = fs.writeFileSync.mock.calls[0];
+
+        expect(raw).toHaveLength(samples.length * 2 * 2);
+        expect(raw.readInt16LE(0)).toBe(0);
+        expect(raw.toString('ascii', 0, 4)).not.toBe('RIFF');
+    });
+
+    it('should reject invalid audio format options', async () => {
+        const invalid = [
+            [{ sampleRate: 4000 }, 'sampleRate'],
+            [{ sampleRate: 44100.5 }, 'sampleRate'],
+            [{ channels: 0 }, 'channels'],
+            [{ bitDepth: 12 }, 'bitDepth'],
+            [{ bitrate: 'fast' }, 'bitrate'],
+            [{ codec: 'aiff' }, 'codec']
+        ];
+        for (const [options, field] of invalid) {
+            await expect(generateEASAlert('ZCZC-TEST', { output: 'buffer', ...options }))
+                .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field }));
+        }
+    });
+
+    it('should return the message audio report when asked', async () => {
+        const result = await generateEASAlert('ZCZC-TEST', { output: 'buffer', report: true });
+
+        expect(Buffer.isBuffer(result.audio)).toBe(true);
+        expect(result.report).toBeNull();
+    });
+
+    it('should reject invalid message audio options', async () => {
+        const invalid = [
+            [{ normalize: 'rms' }, 'normalize'],
+            [{ normalize: 'peak', normalizeTarget: 3 }, 'normalizeTarget'],
+            [{ trimSilence: 'yes' }, 'trimSilence'],
+            [{ fadeIn: -10 }, 'fadeIn'],
+            [{ fadeOut: NaN }, 'fadeOut'],
+            [{ maxMessageLength: 0 }, 'maxMessageLength'],
+            [{ overlength: 'cut' }, 'overlength']
+        ];
+        for (const [options, field] of invalid) {
+            await expect(generateEASAlert('ZCZC-TEST', { output: 'buffer', audioPath: 'message.wav', ...options }))
+                .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field }));
+        }
+    });
 });
\ No newline at end of file
@@ -0,0 +1,239 @@
+/**
+ * Encoder profiles for the EASjs library
+ * @module profiles
+ */
+
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Freezes an object and everything in it.
+ * @param {object} value - The object.
+ * @returns {object} The same object, frozen.
+ */
+const deepFreeze = (value) => {
+    for (const child of Object.values(value)) {
+        if (child && typeof child === 'object' && !Object.isFrozen(child)) deepFreeze(child);
+    }
+    return Object.freeze(value);
+};
+
+/**
+ * Sixteen 0xAB bytes, sent before every header and EOM.
+ */
+const PREAMBLE = '\xAB'.repeat(16);
+
+/**
+ * Three identical bursts, as sent by most encoders.
+ * @param {string} [suffix=''] - Bytes sent after each burst's data.
+ * @returns {object[]} The burst layout.
+ */
+const threeBursts = (suffix = '') => Array.from({ length: 3 }, () => ({ prefix: '', suffix }));
+
+/**
+ * The standard two-tone (853 Hz and 960 Hz) attention signal.
+ */
+const TWO_TONE = { frequencies: [853, 960], duration: 8000, level: -10 };
+
+/**
+ * The standard encoder layout. Other profiles start from this one.
+ *
+ * Durations are in milliseconds and levels in decibels. A header or EOM is
+ * sent as `bursts`, each one `prefix + preamble + data + suffix`, with `gap`
+ * of silence between them.
+ */
+const DEFAULT_PROFILE = deepFreeze({
+    preamble: PREAMBLE,
+    fskLevel: -3,
+    leadIn: 1000,
+    header: { bursts: threeBursts(), gap: 1000 },
+    afterHeader: 1000,
+    attentionTone: TWO_TONE,
+    afterAttentionTone: 1000,
+    afterMessage: 1000,
+    eom: { bursts: threeBursts(), gap: 1000 },
+    tail: 1000
+});
+
+/**
+ * Builds a profile from the default one and freezes it.
+ * @param {object} overrides - The settings that differ from DEFAULT_PROFILE.
+ * @returns {object} The profile.
+ */
+const defineProfile = (overrides) => deepFreeze({ ...DEFAULT_PROFILE, ...overrides });
+
+/**
+ * The built-in profiles, by mode name.
+ */
+const PROFILES = {
+    /**
+     * Standard headers, standard attention tones.
+     */
+    DEFAULT: defineProfile({}),
+
+    /**
+     * National Weather Service: two null bytes after every burst and a 1050 Hz attention tone.
+     */
+    NWS: defineProfile({
+        header: { bursts: threeBursts('\x00\x00'), gap: 1000 },
+        attentionTone: { frequencies: [1050], duration: 9000, level: -4 },
+        eom: { bursts: threeBursts('\x00\x00'), gap: 1000 }
+    }),
+
+    /**
+     * SAGE DIGITAL 3644: the first burst starts with a null byte, the others with a
+     * seventeenth 0xAB, and every burst ends with three 0xFF bytes.
+     */
+    DIGITAL: defineProfile({
+        header: {
+            bursts: [
+                { prefix: '\x00', suffix: '\xFF\xFF\xFF' },
+                { prefix: '\xAB', suffix: '\xFF\xFF\xFF' },
+                { prefix: '\xAB', suffix: '\xFF\xFF\xFF' }
+            ],
+            gap: 1000
+        },
+        eom: {
+            bursts: [
+                { prefix: '\x00', suffix: '\xFF\xFF\xFF' },
+                { prefix: '', suffix: '\xFF\xFF\xFF' },
+                { prefix: '', suffix: '\xFF\xFF\xFF' }
+            ],
+            gap: 1000
+        }
+    }),
+
+    /**
+     * SAGE EAS 1822: one 0xFF byte after every burst.
+     */
+    SAGE: defineProfile({
+        header: { bursts: threeBursts('\xFF'), gap: 1000 },
+        eom: { bursts: threeBursts('\xFF'), gap: 1000 }
+    }),
+
+    /**
+     * Trilithic: 868 ms between bursts and 1118 ms before the attention tone.
+     */
+    TRILITHIC: defineProfile({
+        header: { bursts: threeBursts(), gap: 868 },
+        afterHeader: 1118,
+        eom: { bursts: threeBursts(), gap: 868 }
+    }),
+
+    /**
+     * NOAA Weather Radio / EAS-1 style: standard bursts, without the NWS null
+     * bytes, and a 10 second 1050 Hz tone.
+     */
+    NWR: defineProfile({
+        attentionTone: { frequencies: [1050], duration: 10000, level: -4 }
+    })
+};
+
+/**
+ * The names of the built-in modes, and of any added with registerMode().
+ */
+const MODES = Object.fromEntries(Object.keys(PROFILES).map((name) => [name, name]));
+
+const BUILT_IN = new Set(Object.keys(PROFILES));
+const registered = { ...PROFILES };
+
+/**
+ * Registers a custom encoder profile.
+ *
+ * Settings left out are taken from the default profile, so a profile can
+ * change only what it needs. Example: { attentionTone: { frequencies: [1050], duration: 8000, level: -4 } }
+ *
+ * @param {string} name - The mode name; stored in upper case. Built-in modes cannot be replaced.
+ * @param {object} profile - The profile settings, in the form of DEFAULT_PROFILE.
+ * @param {Object} [options={}] - Options for registering.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {string} The mode name to pass to generateEASAlert().
+ * @throws {EASError} If the name is taken by a built-in mode or the profile is invalid.
+ */
+const registerMode = (name, profile, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+    const mode = typeof name === 'string' ? name.trim().toUpperCase() : '';
+
+    if (mode === '' || BUILT_IN.has(mode)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.modeinvalid, { field: 'name', value: name });
+    }
+
+    registered[mode] = buildProfile(profile, messages);
+    MODES[mode] = mode;
+    return mode;
+};
+
+/**
+ * Finds the profile for a mode.
+ * @param {string|object} [mode=MODES.DEFAULT] - A registered mode name, or a profile object.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {object} The complete profile.
+ * @throws {EASError} If the mode is not registered or the profile is invalid.
+ */
+const resolveProfile = (mode, messages) => {
+    if (mode !== null && typeof mode === 'object') return buildProfile(mode, messages);
+
+    const profile = registered[String(mode ?? MODES.DEFAULT).trim().toUpperCase()];
+    if (!profile) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.modeinvalid, { field: 'mode', value: mode });
+    }
+    return profile;
+};
+
+/**
+ * Fills a profile in from the default one and checks every setting.
+ * @param {object} profile - The profile settings.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {object} The complete, frozen profile.
+ * @throws {EASError} If a setting is invalid.
+ */
+const buildProfile = (profile, messages) => {
+    if (!profile || typeof profile !== 'object') {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.profileinvalid, { field: 'profile' });
+    }
+
+    const merged = { ...DEFAULT_PROFILE, ...profile };
+    const fail = (field) => {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.profileinvalid, { field: `profile.${field}` });
+    };
+    const isDuration = (value) => Number.isFinite(value) && value >= 0;
+    const isBytes = (value) => typeof value === 'string' && /^[\x00-\xFF]*$/.test(value);
+
+    if (!isBytes(merged.preamble)) fail('preamble');
+    if (!Number.isFinite(merged.fskLevel) || merged.fskLevel > 0) fail('fskLevel');
+    for (const field of ['leadIn', 'afterHeader', 'afterAttentionTone', 'afterMessage', 'tail']) {
+        if (!isDuration(merged[field])) fail(field);
+    }
+
+    for (const field of ['header', 'eom']) {
+        const { bursts, gap } = merged[field] ?? {};
+        if (!Array.isArray(bursts) || bursts.length === 0) fail(`${field}.bursts`);
+        const layout = bursts.map((burst) => ({ prefix: burst?.prefix ?? '', suffix: burst?.suffix ?? '' }));
+        if (layout.some((burst) => !isBytes(burst.prefix) || !isBytes(burst.suffix))) fail(`${field}.bursts`);
+        if (!isDuration(gap)) fail(`${field}.gap`);
+        merged[field] = { bursts: layout, gap };
+    }
+
+    const { frequencies, duration, level } = merged.attentionTone ?? {};
+    if (!Array.isArray(frequencies) || frequencies.length === 0 || frequencies.some((frequency) => !(frequency > 0))) {
+        fail('attentionTone.frequencies');
+    }
+    if (!isDuration(duration)) fail('attentionTone.duration');
+    if (!Number.isFinite(level) || level > 0) fail('attentionTone.level');
+
+    return deepFreeze(merged);
+};
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROFILES,
+    MODES,
+    registerMode,
+    resolveProfile
+};
@@ -0,0 +1,86 @@
+const { DEFAULT_PROFILE, PROFILES, MODES, registerMode, resolveProfile } = require('./profiles');
+const { generateEASAlert } = require('./EASGenerator');
+const decodeSameAudio = require('../EASDecoder/decodeSameAudio');
+const { ERROR_CODES } = require('../EASError/EASError');
+const en_us = require('./locals/en_us.json');
+
+const HEADER = 'ZCZC-WXR-RWT-027133+0015-3441441-ERN/CRTV-';
+const SAMPLE_RATE = 8000;
+
+/**
+ * Renders an alert as raw 16-bit mono PCM and returns its length in seconds.
+ */
+const alertSeconds = async (mode) => {
+    const raw = await generateEASAlert(HEADER, { mode, output: 'buffer', codec: 'raw', sampleRate: SAMPLE_RATE });
+    return raw.length / 2 / SAMPLE_RATE;
+};
+
+describe('profiles', () => {
+    it('should have a mode for every built-in profile', () => {
+        expect(Object.keys(MODES)).toEqual(Object.keys(PROFILES));
+        expect(Object.keys(MODES)).toEqual(['DEFAULT', 'NWS', 'DIGITAL', 'SAGE', 'TRILITHIC', 'NWR']);
+        expect(Object.isFrozen(PROFILES.DEFAULT.header.bursts[0])).toBe(true);
+    });
+
+    it('should time alerts from the profile', async () => {
+        const standard = await alertSeconds(MODES.DEFAULT);
+
+        expect(await alertSeconds(MODES.NWR) - standard).toBeCloseTo(2, 2);
+    });
+
+    it('should register a partial profile over the default one', async () => {
+        const name = registerMode('long-lead', { leadIn: 3000, tail: 500 });
+
+        expect(name).toBe('LONG-LEAD');
+        expect(MODES['LONG-LEAD']).toBe('LONG-LEAD');
+        const profile = resolveProfile('long-lead', en_us);
+        expect(profile.leadIn).toBe(3000);
+        expect(profile.attentionTone).toEqual(DEFAULT_PROFILE.attentionTone);
+
+        expect(await alertSeconds(name) - await alertSeconds(MODES.DEFAULT)).toBeCloseTo(1.5, 2);
+    });
+
+    it('should accept a profile object as the mode', async () => {
+        const mode = {
+            header: { bursts: [{ prefix: '\x00', suffix: '\xFF' }, {}], gap: 500 },
+            attentionTone: { frequencies: [1050], duration: 5000, level: -6 }
+        };
+        const buffer = await generateEASAlert(HEADER, { mode, output: 'buffer', sampleRate: 24000 });
+        const result = await decodeSameAudio(buffer);
+
+        expect(result.headers[0].header).toBe(HEADER);
+    });
+
+    it('should make alerts the decoder reads for every built-in mode', async () => {
+        for (const mode of Object.keys(PROFILES)) {
+            const buffer = await generateEASAlert(HEADER, { mode, output: 'buffer', attentionTone: false });
+            expect((await decodeSameAudio(buffer)).headers[0].header).toBe(HEADER);
+        }
+    });
+
+    it('should reject unknown modes', async () => {
+        await expect(generateEASAlert(HEADER, { mode: 'ENDEC9000', output: 'buffer' }))
+            .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'mode' }));
+    });
+
+    it('should not replace built-in modes', () => {
+        expect(() => registerMode('nws', {})).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'name' }));
+        expect(() => registerMode('  ', {})).toThrow(expect.objectContaining({ field: 'name' }));
+    });
+
+    it('should reject invalid profile settings', () => {
+        const invalid = [
+            [{ leadIn: -1 }, 'profile.leadIn'],
+            [{ fskLevel: 6 }, 'profile.fskLevel'],
+            [{ header: { bursts: [], gap: 1000 } }, 'profile.header.bursts'],
+            [{ eom: { bursts: [{ suffix: '☃' }], gap: 1000 } }, 'profile.eom.bursts'],
+            [{ eom: { bursts: [{}] } }, 'profile.eom.gap'],
+            [{ attentionTone: { frequencies: [], duration: 8000, level: -10 } }, 'profile.attentionTone.frequencies'],
+            [{ attentionTone: { frequencies: [1050], duration: 8000 } }, 'profile.attentionTone.level']
+        ];
+        for (const [profile, field] of invalid) {
+            expect(() => registerMode('BROKEN', profile)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field }));
+        }
+        expect(MODES.BROKEN).toBeUndefined();
+    });
+});
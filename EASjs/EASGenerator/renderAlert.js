@@ -0,0 +1,261 @@
+/**
+ * EAS alert renderer for the EASjs library
+ * @module renderAlert
+ *
+ * Turns a header into samples without touching files or ffmpeg, so it runs in
+ * browsers as well as Node. generateEASAlert() adds file output, encoded
+ * message audio and the codecs that need ffmpeg on top of it.
+ */
+
+const { BIT_DEPTHS } = require('../Audio/wav.js');
+const { processMessageAudio } = require('../Audio/processAudio.js');
+const { silence, tone, fsk, pcm, renderSegments } = require('./synthesizer.js');
+const { resolveProfile } = require('./profiles.js');
+const { resolveImpairments, applyImpairments, flipBits } = require('../Impairments/impairments.js');
+const validateSameHeader = require('../EASValidator/validateSameHeader.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, formatMessage } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+const SAMPLE_RATE = 24000;
+const BIT_DEPTH = '16';
+
+/**
+ * Lowest and highest sample rates, in Hz. 8 kHz still carries the 2083 Hz mark tone.
+ */
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 192000;
+
+/**
+ * Most output channels. Every channel carries the same audio.
+ */
+const MAX_CHANNELS = 8;
+
+/**
+ * Longest message audio, in seconds. EAS messages are limited to two minutes.
+ */
+const MAX_MESSAGE_LENGTH = 120;
+
+/**
+ * Default normalization targets: the FSK level in dBFS for peak, and LUFS for loudness.
+ */
+const NORMALIZE_TARGETS = {
+    peak: -3,
+    loudness: -16
+};
+
+/**
+ * Default silence threshold for trimSilence: true, in dBFS.
+ */
+const TRIM_THRESHOLD = -50;
+
+/**
+ * What to do with message audio longer than maxMessageLength.
+ */
+const OVERLENGTH = ['truncate', 'reject'];
+
+/**
+ * Renders an EAS alert as samples: the header, attention tone, message and end of message.
+ *
+ * This is the part of generateEASAlert() that needs neither files nor ffmpeg. The
+ * message audio is given as samples that are already mono and at the sample rate.
+ *
+ * @param {string} zczcMessage - The ZCZC message for the alert.
+ * @param {Object} [options={}] - Options for rendering.
+ * @param {string|object} [options.mode=MODES.DEFAULT] - The mode for the alert: a built-in or registered mode name, or a profile object.
+ * @param {boolean} [options.attentionTone=true] - Whether to include the attention tone.
+ * @param {Float32Array|null} [options.messageSamples=null] - Mono message audio at the sample rate, from -1 to 1.
+ * @param {number} [options.sampleRate=24000] - The sample rate in Hz, from 8000 to 192000.
+ * @param {string|false} [options.normalize=false] - Normalize the message audio by peak or loudness, as for generateEASAlert().
+ * @param {number} [options.normalizeTarget] - The level to normalize to, as for generateEASAlert().
+ * @param {boolean|number} [options.trimSilence=false] - Trim leading and trailing silence, as for generateEASAlert().
+ * @param {number} [options.fadeIn=0] - Fade the message audio in over this many ms.
+ * @param {number} [options.fadeOut=0] - Fade the message audio out over this many ms.
+ * @param {number} [options.maxMessageLength=120] - The longest message audio allowed, in seconds.
+ * @param {string} [options.overlength='truncate'] - truncate or reject message audio longer than maxMessageLength.
+ * @param {boolean} [options.validate=false] - Check the header with validateSameHeader() first, and reject it on the first error.
+ * @param {Object} [options.impairments] - Channel impairments and header bit errors to apply, as for generateEASAlert().
+ * @param {boolean} [options.report=false] - Return { audio, report } with the message audio levels, instead of the samples alone.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {Float32Array|{audio: Float32Array, report: object|null}} The mono samples, with the message audio report when asked for.
+ * @throws {EASError} If an option or the message samples are invalid, the header fails validation, or the message is too long and overlength is reject.
+ */
+function renderEASAlert(zczcMessage, options = {}) {
+    const { attentionTone = true, messageSamples = null, report = false, locale } = options;
+    const messages = resolveMessages(locals, locale);
+
+    const settings = resolveAlertSettings(zczcMessage, options, { codecs: ['wav'], defaultCodec: 'wav' }, messages);
+    if (messageSamples !== null && !(messageSamples instanceof Float32Array)) {
+        throw new EASError(ERROR_CODES.INVALID_AUDIO, messages.samplesinvalid, { field: 'messageSamples' });
+    }
+
+    const rendered = renderAlert(zczcMessage, messageSamples ?? new Float32Array(0), { ...settings, attentionTone }, messages);
+    return report ? { audio: rendered.samples, report: rendered.report } : rendered.samples;
+}
+
+/**
+ * Checks the header and every rendering option before any audio is loaded.
+ * @param {string} zczcMessage - The ZCZC message for the alert.
+ * @param {Object} options - The options passed to generateEASAlert() or renderEASAlert().
+ * @param {{codecs: string[], defaultCodec: string}} output - The codecs the caller can write, and the one used when none is given.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {{profile: object, format: object, processing: object, impairments: object|null}} The encoder profile, audio format, message audio settings and impairments.
+ * @throws {EASError} If the header fails validation or an option is invalid.
+ */
+function resolveAlertSettings(zczcMessage, options, output, messages) {
+    if (options.validate) {
+        const violation = validateSameHeader(zczcMessage, { locale: options.locale }).find(({ severity }) => severity === 'error');
+        if (violation) {
+            const { code, message, field, position, value } = violation;
+            throw new EASError(code, message, { field, position, value });
+        }
+    }
+
+    const profile = resolveProfile(options.mode, messages);
+    return {
+        profile,
+        format: resolveAudioFormat(options, output, messages),
+        processing: resolveMessageProcessing(options, messages),
+        impairments: options.impairments === undefined
+            ? null
+            : resolveImpairments(options.impairments, { data: zczcMessage, bursts: profile.header.bursts.length, locale: options.locale })
+    };
+}
+
+/**
+ * Renders the alert from settings already checked by resolveAlertSettings().
+ * @param {string} zczcMessage - The ZCZC message for the alert.
+ * @param {Float32Array} messageAudio - Mono message audio at the sample rate; empty for none.
+ * @param {{profile: object, format: object, processing: object, impairments: object|null, attentionTone: boolean}} settings - The alert settings.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {{samples: Float32Array, report: object|null}} The mono samples, and the message audio report or null.
+ * @throws {EASError} If the message audio is too long and overlength is reject.
+ */
+function renderAlert(zczcMessage, messageAudio, { profile, format, processing, impairments = null, attentionTone }, messages) {
+    const processed = messageAudio.length > 0
+        ? processMessageAudio(messageAudio, format.sampleRate, processing, formatMessage(messages.messagetoolong, { limit: processing.maxLength }))
+        : { samples: messageAudio, report: null };
+    const audioBuffer = processed.samples;
+
+    const segments = [
+        silence(profile.leadIn),
+        ...encodeTransmission(profile.header, zczcMessage, profile, impairments?.bitErrors),
+        silence(profile.afterHeader)
+    ];
+
+    if (attentionTone) {
+        const { frequencies, duration, level } = profile.attentionTone;
+        segments.push(tone(frequencies, duration, level), silence(profile.afterAttentionTone));
+    }
+
+    if (audioBuffer.length > 0) {
+        segments.push(pcm(audioBuffer), silence(profile.afterMessage));
+    }
+
+    segments.push(...encodeTransmission(profile.eom, 'NNNN', profile), silence(profile.tail));
+    const samples = renderSegments(segments, format.sampleRate);
+    return {
+        samples: impairments ? applyImpairments(samples, format.sampleRate, impairments) : samples,
+        report: processed.report
+    };
+}
+
+/**
+ * Describes a header or EOM transmission: each burst of the profile's layout, with the gaps between them.
+ * @param {{bursts: object[], gap: number}} layout - The profile's header or EOM layout.
+ * @param {string} data - The data sent in every burst, after the preamble.
+ * @param {object} profile - The encoder profile.
+ * @param {number[][]} [bitErrors=[]] - The bits of the data to flip in each burst.
+ * @returns {object[]} The segments of the transmission.
+ */
+function encodeTransmission(layout, data, profile, bitErrors = []) {
+    return layout.bursts.flatMap(({ prefix, suffix }, i) => [
+        ...(i > 0 ? [silence(layout.gap)] : []),
+        fsk(prefix + profile.preamble + flipBits(data, bitErrors[i] ?? []) + suffix, profile.fskLevel)
+    ]);
+}
+
+/**
+ * Validates the audio format options, filling in the defaults.
+ * @param {Object} options - The options passed to generateEASAlert() or renderEASAlert().
+ * @param {{codecs: string[], defaultCodec: string}} output - The codecs the caller can write, and the one used when none is given.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {{codec: string, sampleRate: number, bitDepth: string, channels: number, bitrate: string|null}} The audio format.
+ * @throws {EASError} If an option is invalid.
+ */
+function resolveAudioFormat(options, { codecs, defaultCodec }, messages) {
+    const invalid = (field, message) => new EASError(ERROR_CODES.INVALID_OPTION, message, { field, value: options[field] });
+
+    const codecOption = options.codec === undefined ? 'format' : 'codec';
+    const codec = String(options[codecOption] ?? defaultCodec).toLowerCase();
+    if (!codecs.includes(codec)) throw invalid(codecOption, messages.formatinvalid);
+
+    const { sampleRate = SAMPLE_RATE, channels = 1 } = options;
+    if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+        throw invalid('sampleRate', messages.samplerateinvalid);
+    }
+    if (!Number.isInteger(channels) || channels < 1 || channels > MAX_CHANNELS) {
+        throw invalid('channels', messages.channelsinvalid);
+    }
+
+    const bitDepth = String(options.bitDepth ?? BIT_DEPTH).toLowerCase();
+    if (!Object.hasOwn(BIT_DEPTHS, bitDepth)) throw invalid('bitDepth', messages.bitdepthinvalid);
+
+    // Without a bitrate, each codec uses its own default; see CODECS in encodeAudio.js.
+    const bitrate = typeof options.bitrate === 'number' ? `${options.bitrate}k` : options.bitrate == null ? null : String(options.bitrate).toLowerCase();
+    if (bitrate !== null && !/^[1-9]\d*k$/.test(bitrate)) throw invalid('bitrate', messages.bitrateinvalid);
+
+    return { codec, sampleRate, bitDepth, channels, bitrate };
+}
+
+/**
+ * Validates the message audio processing options, filling in the defaults.
+ * @param {Object} options - The options passed to generateEASAlert() or renderEASAlert().
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {object} The settings for processMessageAudio().
+ * @throws {EASError} If an option is invalid.
+ */
+function resolveMessageProcessing(options, messages) {
+    const invalid = (field, message) => new EASError(ERROR_CODES.INVALID_OPTION, message, { field, value: options[field] });
+
+    const {
+        normalize = false,
+        trimSilence = false,
+        fadeIn = 0,
+        fadeOut = 0,
+        maxMessageLength = MAX_MESSAGE_LENGTH,
+        overlength = 'truncate'
+    } = options;
+
+    if (normalize !== false && !Object.hasOwn(NORMALIZE_TARGETS, normalize)) throw invalid('normalize', messages.normalizeinvalid);
+    const target = options.normalizeTarget ?? NORMALIZE_TARGETS[normalize];
+    if (normalize !== false && (!Number.isFinite(target) || target > 0)) throw invalid('normalizeTarget', messages.normalizetargetinvalid);
+
+    let trimThreshold = false;
+    if (trimSilence === true) {
+        trimThreshold = TRIM_THRESHOLD;
+    } else if (typeof trimSilence === 'number' && trimSilence <= 0) {
+        trimThreshold = trimSilence;
+    } else if (trimSilence !== false) {
+        throw invalid('trimSilence', messages.trimsilenceinvalid);
+    }
+
+    for (const [field, value] of [['fadeIn', fadeIn], ['fadeOut', fadeOut]]) {
+        if (!Number.isFinite(value) || value < 0) throw invalid(field, messages.fadeinvalid);
+    }
+    if (typeof maxMessageLength !== 'number' || !(maxMessageLength > 0)) throw invalid('maxMessageLength', messages.maxlengthinvalid);
+    if (!OVERLENGTH.includes(overlength)) throw invalid('overlength', messages.overlengthinvalid);
+
+    return { normalize, target, trimThreshold, fadeIn, fadeOut, maxLength: maxMessageLength, overlength };
+}
+
+module.exports = {
+    renderEASAlert,
+    resolveAlertSettings,
+    renderAlert
+};
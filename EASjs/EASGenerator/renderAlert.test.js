@@ -0,0 +1,40 @@
+const { renderEASAlert } = require('./renderAlert');
+const { generateEASAlert } = require('./EASGenerator');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const HEADER = 'ZCZC-WXR-RWT-027133+0015-3441441-ERN/CRTV-';
+const SAMPLE_RATE = 8000;
+
+describe('renderEASAlert', () => {
+    it('should render the same samples generateEASAlert encodes', async () => {
+        const samples = renderEASAlert(HEADER, { mode: 'SAGE', sampleRate: SAMPLE_RATE });
+        const raw = await generateEASAlert(HEADER, { mode: 'SAGE', sampleRate: SAMPLE_RATE, output: 'buffer', codec: 'raw', bitDepth: '32f' });
+
+        expect(samples).toBeInstanceOf(Float32Array);
+        expect(samples).toEqual(new Float32Array(raw.buffer.slice(raw.byteOffset, raw.byteOffset + raw.length)));
+    });
+
+    it('should place the message samples after the attention tone', () => {
+        const silent = renderEASAlert(HEADER, { sampleRate: SAMPLE_RATE, attentionTone: false });
+        const message = new Float32Array(SAMPLE_RATE).fill(0.25);
+        const { audio, report } = renderEASAlert(HEADER, {
+            sampleRate: SAMPLE_RATE,
+            attentionTone: false,
+            messageSamples: message,
+            normalize: 'peak',
+            report: true
+        });
+
+        // One second of message audio and the default second of silence after it.
+        expect(audio.length - silent.length).toBe(2 * SAMPLE_RATE);
+        expect(report.output.peak).toBeCloseTo(-3, 5);
+    });
+
+    it('should reject invalid samples and headers', () => {
+        expect(() => renderEASAlert(HEADER, { messageSamples: [0, 0.5] }))
+            .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_AUDIO, field: 'messageSamples' }));
+        expect(() => renderEASAlert(HEADER, { sampleRate: 4000 })).toThrow(expect.objectContaining({ field: 'sampleRate' }));
+        expect(() => renderEASAlert('ZCZC-WXR-EAN-027133+0015-3441441-ERN/CRTV-', { validate: true }))
+            .toThrow(expect.objectContaining({ field: 'event' }));
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Audio synthesizer for the EASjs library
+ * @module synthesizer
+ */
+
+/**
+ * SAME bit rate: 520 5/6 bits per second.
+ */
+const BAUD = 3125 / 6;
+
+/**
+ * Mark (1) frequency, four cycles per bit: 2083 1/3 Hz.
+ */
+const MARK_FREQUENCY = BAUD * 4;
+
+/**
+ * Space (0) frequency, three cycles per bit: 1562.5 Hz.
+ */
+const SPACE_FREQUENCY = BAUD * 3;
+
+/**
+ * Level of the FSK bursts, in decibels.
+ */
+const FSK_VOLUME_DB = -3;
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Samples between exact phase corrections in addSine().
+ */
+const SINE_BLOCK = 1024;
+
+/**
+ * Describes a stretch of silence.
+ * @param {number} durationMs - The duration in milliseconds.
+ * @returns {object} The segment.
+ */
+const silence = (durationMs) => ({ type: 'silence', durationMs });
+
+/**
+ * Describes a steady tone. Several frequencies are mixed at equal level.
+ * @param {number[]} frequencies - The frequencies in Hz. Example: [853, 960]
+ * @param {number} durationMs - The duration in milliseconds.
+ * @param {number} [volumeDB=0] - The level in decibels.
+ * @returns {object} The segment.
+ */
+const tone = (frequencies, durationMs, volumeDB = 0) => ({ type: 'tone', frequencies, durationMs, volumeDB });
+
+/**
+ * Describes an FSK burst. Each character is sent as 8 bits, least significant bit first.
+ * @param {string} data - The characters to send, one byte each.
+ * @param {number} [volumeDB=FSK_VOLUME_DB] - The level in decibels.
+ * @returns {object} The segment.
+ */
+const fsk = (data, volumeDB = FSK_VOLUME_DB) => ({ type: 'fsk', data, volumeDB });
+
+/**
+ * Describes audio that is already sampled, such as the message audio.
+ * @param {Float32Array} data - The samples, at the rate being rendered.
+ * @returns {object} The segment.
+ */
+const pcm = (data) => ({ type: 'pcm', samples: data });
+
+/**
+ * Counts the samples a segment renders to.
+ * FSK lengths come from the exact bit rate, so long bursts do not drift.
+ * @param {object} segment - The segment.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @returns {number} The number of samples.
+ */
+const segmentLength = (segment, sampleRate) => {
+    switch (segment.type) {
+        case 'fsk':
+            return Math.round((segment.data.length * 8 * sampleRate) / BAUD);
+        case 'pcm':
+            return segment.samples.length;
+        default:
+            return Math.round((segment.durationMs / 1000) * sampleRate);
+    }
+};
+
+/**
+ * Renders segments into a single buffer, allocated once at its final size.
+ * @param {object[]} segments - The segments, in order.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @returns {Float32Array} The rendered audio.
+ */
+const renderSegments = (segments, sampleRate) => {
+    const lengths = segments.map((segment) => segmentLength(segment, sampleRate));
+    const output = new Float32Array(lengths.reduce((total, length) => total + length, 0));
+
+    let offset = 0;
+    segments.forEach((segment, i) => {
+        const target = output.subarray(offset, offset + lengths[i]);
+        switch (segment.type) {
+            case 'fsk':
+                writeFsk(target, segment, sampleRate);
+                break;
+            case 'tone':
+                writeTone(target, segment, sampleRate);
+                break;
+            case 'pcm':
+                target.set(segment.samples);
+                break;
+        }
+        offset += lengths[i];
+    });
+
+    return output;
+};
+
+/**
+ * Writes an FSK burst. The phase carries over between bits, so mark/space
+ * changes have no discontinuities, and each bit ends on the sample nearest its
+ * exact time, so the fractional bit length never accumulates.
+ * @param {Float32Array} output - Where to write, sized by segmentLength().
+ * @param {object} segment - The FSK segment.
+ * @param {number} sampleRate - The sample rate in Hz.
+ */
+const writeFsk = (output, { data, volumeDB }, sampleRate) => {
+    const amplitude = 10 ** (volumeDB / 20);
+    const samplesPerBit = sampleRate / BAUD;
+    const markStep = (TWO_PI * MARK_FREQUENCY) / sampleRate;
+    const spaceStep = (TWO_PI * SPACE_FREQUENCY) / sampleRate;
+
+    let phase = 0;
+    let start = 0;
+    for (let byte = 0; byte < data.length; byte++) {
+        const code = data.charCodeAt(byte);
+        for (let bit = 0; bit < 8; bit++) {
+            const end = Math.round((byte * 8 + bit + 1) * samplesPerBit);
+            phase = addSine(output, start, end, phase, (code >> bit) & 1 ? markStep : spaceStep, amplitude);
+            start = end;
+        }
+    }
+};
+
+/**
+ * Writes a steady tone.
+ * @param {Float32Array} output - Where to write, sized by segmentLength().
+ * @param {object} segment - The tone segment.
+ * @param {number} sampleRate - The sample rate in Hz.
+ */
+const writeTone = (output, { frequencies, volumeDB }, sampleRate) => {
+    const amplitude = 10 ** (volumeDB / 20) / frequencies.length;
+    for (const frequency of frequencies) {
+        addSine(output, 0, output.length, 0, (TWO_PI * frequency) / sampleRate, amplitude);
+    }
+};
+
+/**
+ * Adds a sine wave to part of a buffer.
+ *
+ * Samples are stepped by rotation rather than calling Math.sin() for each one,
+ * which is several times faster (and far faster inside a vm context, as under
+ * Jest). The rotation restarts from the exact phase every block so rounding
+ * never builds up.
+ *
+ * @param {Float32Array} output - The buffer to add to.
+ * @param {number} start - The first sample to write.
+ * @param {number} end - The sample after the last one to write.
+ * @param {number} phase - The phase at the first sample, in radians.
+ * @param {number} step - The phase change per sample, in radians.
+ * @param {number} amplitude - The peak level.
+ * @returns {number} The phase at `end`, between 0 and 2π.
+ */
+const addSine = (output, start, end, phase, step, amplitude) => {
+    const cosStep = Math.cos(step);
+    const sinStep = Math.sin(step);
+
+    for (let block = start; block < end; block += SINE_BLOCK) {
+        const blockPhase = phase + step * (block - start);
+        let re = Math.cos(blockPhase);
+        let im = Math.sin(blockPhase);
+        const blockEnd = Math.min(block + SINE_BLOCK, end);
+        for (let i = block; i < blockEnd; i++) {
+            output[i] += amplitude * im;
+            const next = re * cosStep - im * sinStep;
+            im = re * sinStep + im * cosStep;
+            re = next;
+        }
+    }
+
+    return (phase + step * (end - start)) % TWO_PI;
+};
+
+module.exports = {
+    BAUD,
+    MARK_FREQUENCY,
+    SPACE_FREQUENCY,
+    silence,
+    tone,
+    fsk,
+    pcm,
+    segmentLength,
+    renderSegments
+};
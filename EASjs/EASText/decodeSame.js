@@ -3,79 +3,194 @@
  * @module decodeSame
  */
 
-const EASData = require('../../EASData.json');
-const messages = require('./locals/en_us.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, getLocaleData, getLocaleTag, formatMessage } = require('../Locale/locale.js');
+const { resolveCountry, detectCountry, lookupLocation, locationTimeZone, regionAbbreviation } = require('../Locations/locations.js');
+const { getEventDetails } = require('../EventTranslator/eventRegistry.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
 
 /**
  * Decodes a SAME (Specific Area Message Encoding) header.
+ *
+ * In lenient mode nothing past the initial checks throws. Every problem is
+ * collected instead: fields that could not be decoded go to `errors`, and
+ * problems that were worked around (a missing ZCZC, an unknown location code
+ * shown as-is, a missing sender) go to `warnings`.
+ *
  * @param {string} data - The SAME header to decode.
- * @returns {object} Decoded SAME header information.
- * @throws {Error} If the SAME header format is invalid.
+ * @param {Object} [options={}] - Options for decoding.
+ * @param {boolean} [options.structured=false] - Return raw codes, location objects and ISO 8601 times instead of English text.
+ * @param {Date} [options.referenceDate=new Date()] - The date the header is decoded against; the issue year closest to it is used.
+ * @param {boolean} [options.lenient=false] - Decode as much as possible and report problems instead of throwing.
+ * @param {string} [options.locale] - The locale for names, the formatted sentence and messages; defaults to the one set with setLocale().
+ * @param {string} [options.country='auto'] - Where the location codes come from: US (FIPS), CA (CLC), or auto to try both, Canada first for Weatheradio Canada senders.
+ * @param {string} [options.timeZone] - The IANA time zone the times are shown in, or auto for the zones of the alert's locations,
+ * the first location's first. Defaults to the system time zone. Example: America/Chicago
+ * @returns {object} Decoded SAME header information, with the event's type, severity, level and Part 11 status
+ * under `eventDetails` (null for unknown events), and `errors` and `warnings` arrays in lenient mode. Structured
+ * results list the zones the formatted times are shown in under `timeZones`.
+ * @throws {EASError} If the SAME header format is invalid.
  */
-const decodeSame = (data) => {
+const decodeSame = (data, options = {}) => {
+    const localized = {
+        messages: resolveMessages(locals, options.locale),
+        data: getLocaleData(options.locale),
+        tag: getLocaleTag(options.locale)
+    };
+    const { messages } = localized;
+
     if (typeof data !== 'string' || data.trim() === '') {
-        throw new Error(messages.nodata);
+        throw new EASError(ERROR_CODES.NO_DATA, messages.nodata);
+    }
+
+    const { structured = false, referenceDate = new Date(), lenient = false } = options;
+
+    if (!(referenceDate instanceof Date) || Number.isNaN(referenceDate.getTime())) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.referencedateinvalid, { field: 'referenceDate' });
     }
 
+    const { timeZone } = options;
+    if (timeZone !== undefined && !isAutoTimeZone(timeZone) && !isTimeZone(timeZone)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.timezoneinvalid, { field: 'timeZone', value: timeZone });
+    }
+
+    const country = resolveCountry(options.country, options.locale);
+    const report = createReporter(lenient);
+
     const cleanData = data.endsWith('-') ? data.slice(0, -1) : data;
     const parts = cleanData.split('-');
+    const offsets = parts.map((part, i) => parts.slice(0, i).reduce((acc, p) => acc + p.length + 1, 0));
 
-    validateHeader(parts);
+    const preferred = detectCountry(parts[parts.length - 1]);
+    const lookup = (code) => lookupLocation(code, country, preferred);
 
-    const orgInfo = parseOrgCode(parts[1]);
-    const eventInfo = parseEventCode(parts[2]);
-    const { locations, startTime, endTime, sender } = parseFipsAndTime(parts);
+    validateHeader(parts, report, messages);
 
-    return formatResponse(orgInfo, eventInfo, locations, startTime, endTime, sender);
+    const orgInfo = parseOrgCode(parts[1], offsets[1], report, localized);
+    const eventInfo = parseEventCode(parts[2], offsets[2], report, localized);
+    const { fipsCodes, locations, startTime, endTime, duration, sender } = parseFipsAndTime(parts, offsets, referenceDate, report, localized, lookup);
+
+    const eventDetails = getEventDetails(parts[2], options.locale);
+    const timeZones = resolveTimeZones(timeZone, fipsCodes, (code) => locationTimeZone(code, country, preferred));
+
+    const response = formatResponse(orgInfo, eventInfo, locations, startTime, endTime, sender, timeZones, localized);
+    const result = structured
+        ? {
+            originator: parts[1] ?? null,
+            event: parts[2] ?? null,
+            eventName: eventInfo,
+            eventDetails,
+            locations: fipsCodes.map((code) => parseLocation(code, localized, lookup)),
+            start: startTime?.toISOString() ?? null,
+            end: endTime?.toISOString() ?? null,
+            duration,
+            expired: endTime ? endTime.getTime() <= referenceDate.getTime() : null,
+            timeZones,
+            sender,
+            formatted: response.formatted
+        }
+        : { ...response, eventDetails };
+
+    if (!lenient) return result;
+    return { ...result, errors: report.errors, warnings: report.warnings };
+};
+
+/**
+ * Creates the problem reporter for a decode.
+ * Strict decodes throw the first problem; lenient decodes collect them all.
+ * @param {boolean} lenient - Whether problems are collected rather than thrown.
+ * @returns {object} The reporter, with `error()`, `warning()` and the collected `errors` and `warnings`.
+ */
+const createReporter = (lenient) => {
+    const errors = [];
+    const warnings = [];
+    return {
+        lenient,
+        errors,
+        warnings,
+        error: (error) => {
+            if (!lenient) throw error;
+            errors.push(error);
+        },
+        warning: (error) => {
+            if (!lenient) throw error;
+            warnings.push(error);
+        }
+    };
 };
 
 /**
  * Validates the SAME header parts.
  * @param {string[]} parts - The parts of the SAME header.
- * @throws {Error} If the SAME header is invalid.
+ * @param {object} report - The problem reporter.
+ * @param {object} messages - The messages in the decode's locale.
+ * @throws {EASError} If the SAME header is invalid.
  */
-const validateHeader = (parts) => {
+const validateHeader = (parts, report, messages) => {
     if (!Array.isArray(parts) || parts.length < 5) {
-        throw new Error(messages.invalidsameheader);
+        report.error(new EASError(ERROR_CODES.INVALID_HEADER, messages.invalidsameheader, { field: 'header', position: 0 }));
     }
     if (parts[0] !== 'ZCZC') {
-        throw new Error(messages.zczcnotfound);
+        report.warning(new EASError(ERROR_CODES.MISSING_ZCZC, messages.zczcnotfound, { field: 'header', position: 0, value: parts[0] }));
     }
 };
 
 /**
  * Parses the organization code from the SAME header.
  * @param {string} orgCode - The organization code.
+ * @param {number} position - The offset of the code within the header.
+ * @param {object} report - The problem reporter.
+ * @param {object} localized - The messages and data in the decode's locale.
  * @returns {string} The organization information.
- * @throws {Error} If the organization code is invalid.
+ * @throws {EASError} If the organization code is invalid.
  */
-const parseOrgCode = (orgCode) => {
-    const org = EASData.ORGS?.[orgCode];
-    if (!org) throw new Error(messages.orgcodeinvalid);
+const parseOrgCode = (orgCode, position, report, { messages, data }) => {
+    const org = data.ORGS?.[orgCode];
+    if (!org) {
+        report.error(new EASError(ERROR_CODES.UNKNOWN_ORIGINATOR, messages.orgcodeinvalid, { field: 'originator', position, value: orgCode }));
+        return messages.unknownorganization;
+    }
     return org;
 };
 
 /**
  * Parses the event code from the SAME header.
  * @param {string} eventCode - The event code.
+ * @param {number} position - The offset of the code within the header.
+ * @param {object} report - The problem reporter.
+ * @param {object} localized - The messages and data in the decode's locale.
  * @returns {string} The event information.
- * @throws {Error} If the event code is invalid.
+ * @throws {EASError} If the event code is invalid.
  */
-const parseEventCode = (eventCode) => {
-    const event = EASData.EVENTS?.[eventCode];
-    if (!event) throw new Error(messages.eventcodeinvalid);
+const parseEventCode = (eventCode, position, report, { messages, data }) => {
+    const event = data.EVENTS?.[eventCode];
+    if (!event) {
+        report.error(new EASError(ERROR_CODES.UNKNOWN_EVENT, messages.eventcodeinvalid, { field: 'event', position, value: eventCode }));
+        return eventCode ?? messages.unknownevent;
+    }
     return event;
 };
 
 /**
  * Parses the FIPS codes and time from the SAME header.
  * @param {string[]} parts - The parts of the SAME header.
- * @returns {object} The parsed locations, start time, end time, and sender.
- * @throws {Error} If the FIPS codes or time are invalid.
+ * @param {number[]} offsets - The offset of every part within the header.
+ * @param {Date} referenceDate - The date the issue year is chosen against.
+ * @param {object} report - The problem reporter.
+ * @param {object} localized - The messages and data in the decode's locale.
+ * @param {Function} lookup - Finds the country and name of a 5-digit location code.
+ * @returns {object} The parsed location codes and names, start time, end time, duration in minutes, and sender.
+ * @throws {EASError} If the FIPS codes or time are invalid.
  */
-const parseFipsAndTime = (parts) => {
+const parseFipsAndTime = (parts, offsets, referenceDate, report, { messages, data }, lookup) => {
     const fipsCodes = [];
     let timeOffset = null;
+    let timePosition = null;
     let senderIndex = 0;
 
     for (let i = 3; i < parts.length; i++) {
@@ -83,56 +198,78 @@ const parseFipsAndTime = (parts) => {
             const [fipsCode, time] = parts[i].split('+');
             fipsCodes.push(fipsCode);
             timeOffset = time;
+            timePosition = offsets[i] + fipsCode.length + 1;
             senderIndex = i + 1;
             break;
         }
         fipsCodes.push(parts[i]);
     }
 
-    if (!timeOffset) throw new Error(messages.expiretimeinvalid);
+    if (!timeOffset) {
+        report.error(new EASError(ERROR_CODES.BAD_PURGE_TIME, messages.expiretimeinvalid, { field: 'purge' }));
 
+        // Without the "+" the locations can only be told apart from the timestamp by their length.
+        fipsCodes.length = 0;
+        senderIndex = 3;
+        while (/^\d{6}$/.test(parts[senderIndex] ?? '')) fipsCodes.push(parts[senderIndex++]);
+    }
+
+    let startTime = null;
     const timeString = parts[senderIndex] ?? '';
-    if (timeString.length !== 7) throw new Error(messages.datetimeinvalid);
+    const timestampError = new EASError(ERROR_CODES.BAD_TIMESTAMP, messages.datetimeinvalid, {
+        field: 'issued',
+        position: offsets[senderIndex],
+        value: timeString
+    });
 
-    const currentYear = new Date().getFullYear();
-    const julianDay = parseInt(timeString.slice(0, 3), 10);
-    const hour = parseInt(timeString.slice(3, 5), 10);
-    const minute = parseInt(timeString.slice(5, 7), 10);
+    if (timeString.length !== 7) {
+        report.error(timestampError);
+    } else {
+        const julianDay = parseInt(timeString.slice(0, 3), 10);
+        const hour = parseInt(timeString.slice(3, 5), 10);
+        const minute = parseInt(timeString.slice(5, 7), 10);
 
-    const isLeapYear = (year) =>
-        year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+        startTime = resolveIssueTime(julianDay, hour, minute, referenceDate);
+        if (!startTime) report.error(timestampError);
+    }
 
-    const julianToDate = (julianDay, year) => {
-        const maxDays = isLeapYear(year) ? 366 : 365;
-        if (julianDay < 1 || julianDay > maxDays) {
-            throw new Error(messages.datetimeinvalid);
+    let duration = null;
+    if (timeOffset !== null) {
+        if (!/^\d{4}$/.test(timeOffset)) {
+            report.error(new EASError(ERROR_CODES.BAD_PURGE_TIME, messages.expiretimeinvalid, {
+                field: 'purge',
+                position: timePosition,
+                value: timeOffset
+            }));
+        } else {
+            const expireHours = parseInt(timeOffset.slice(0, 2), 10);
+            const expireMinutes = parseInt(timeOffset.slice(2), 10);
+            duration = expireHours * 60 + expireMinutes;
         }
-        const date = new Date(year - 1, 11, 31);
-        date.setDate(date.getDate() + julianDay);
-        return date;
-    };
-
-    const startTime = julianToDate(julianDay, currentYear);
-    startTime.setUTCHours(hour, minute, 0, 0);
-
-    if (timeOffset.length !== 4) throw new Error(messages.expiretimeinvalid);
-    const expireHours = parseInt(timeOffset.slice(0, 2), 10);
-    const expireMinutes = parseInt(timeOffset.slice(2), 10);
-    const endTime = new Date(startTime.getTime() + (expireHours * 60 + expireMinutes) * 60 * 1000);
+    }
+    const endTime = startTime && duration !== null
+        ? new Date(startTime.getTime() + duration * 60 * 1000)
+        : null;
 
+    let position = offsets[3];
     const locations = fipsCodes.map((code) => {
         const subdiv = code.slice(0, 1);
         const loccode = code.slice(1, 6);
+        const details = { field: 'locations', position, value: code };
+        position += code.length + 1;
 
-        const subdivName = EASData.SUBDIV?.[subdiv];
-        const sameLoc = EASData.SAME?.[loccode];
+        const subdivName = data.SUBDIV?.[subdiv];
+        const location = lookup(loccode);
+        const sameLoc = location?.marine?.name ?? location?.name;
 
         if (!subdivName && subdiv !== "0") {
-            throw new Error(`${messages.fipsinvalid} (${code})`);
+            report.warning(new EASError(ERROR_CODES.INVALID_SUBDIVISION, `${messages.fipsinvalid} (${code})`, details));
+            return code;
         }
 
-        if (!sameLoc) {
-            throw new Error(`${messages.fipsinvalid} (${code})`);
+        if (!sameLoc || code.length !== 6) {
+            report.warning(new EASError(ERROR_CODES.INVALID_FIPS, `${messages.fipsinvalid} (${code})`, details));
+            return code;
         }
 
         return `${subdiv === "0" ? "" : subdivName}${sameLoc}`;
@@ -141,7 +278,128 @@ const parseFipsAndTime = (parts) => {
     const senderParts = parts.slice(senderIndex);
     const sender = senderParts.join('-').split('-').slice(1).join('-');
 
-    return { locations, startTime, endTime, sender };
+    // Strict decodes have always accepted a missing sender, so it is only reported when lenient.
+    if (sender.trim() === '' && report.lenient) {
+        report.warning(new EASError(ERROR_CODES.INVALID_SENDER, messages.senderinvalid, { field: 'sender', position: offsets[senderIndex + 1] }));
+    }
+
+    return { fipsCodes, locations, startTime, endTime, duration, sender };
+};
+
+/**
+ * Resolves a Julian day and UTC time to the issue date closest to the reference date.
+ * Headers carry no year, so one issued late in December and decoded in January belongs to the previous year.
+ * @param {number} julianDay - The day of the year (1-366).
+ * @param {number} hour - The UTC hour.
+ * @param {number} minute - The UTC minute.
+ * @param {Date} referenceDate - The date to choose the year against.
+ * @returns {Date|null} The issue time, or null if the day or time is invalid.
+ */
+const resolveIssueTime = (julianDay, hour, minute, referenceDate) => {
+    if (Number.isNaN(julianDay) || Number.isNaN(hour) || Number.isNaN(minute) || hour > 23 || minute > 59) {
+        return null;
+    }
+
+    const isLeapYear = (year) =>
+        year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+
+    const referenceYear = referenceDate.getUTCFullYear();
+    const candidates = [referenceYear - 1, referenceYear, referenceYear + 1]
+        .filter((year) => julianDay >= 1 && julianDay <= (isLeapYear(year) ? 366 : 365))
+        .map((year) => new Date(Date.UTC(year, 0, julianDay, hour, minute)));
+
+    if (candidates.length === 0) return null;
+
+    const distance = (date) => Math.abs(date.getTime() - referenceDate.getTime());
+    return candidates.reduce((closest, date) => (distance(date) < distance(closest) ? date : closest));
+};
+
+/**
+ * Checks whether the timeZone option asks for the zones of the alert's locations.
+ * @param {*} timeZone - The timeZone option.
+ * @returns {boolean} True for auto, in any case.
+ */
+const isAutoTimeZone = (timeZone) => typeof timeZone === 'string' && timeZone.toLowerCase() === 'auto';
+
+/**
+ * Checks whether Intl knows a time zone.
+ * @param {*} timeZone - The time zone name.
+ * @returns {boolean} True if the name is a time zone.
+ */
+const isTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Chooses the time zones the alert's times are shown in.
+ * @param {string|undefined} timeZone - The timeZone option: an IANA name, auto, or undefined for the system zone.
+ * @param {string[]} fipsCodes - The header's location codes.
+ * @param {Function} zoneOf - Finds the time zone of a 5-digit location code.
+ * @returns {string[]} The zones, in the order their locations appear. UTC when auto finds none.
+ */
+const resolveTimeZones = (timeZone, fipsCodes, zoneOf) => {
+    if (timeZone === undefined) return [new Intl.DateTimeFormat().resolvedOptions().timeZone];
+    if (!isAutoTimeZone(timeZone)) return [timeZone];
+
+    const zones = fipsCodes.filter((code) => code.length === 6).map((code) => zoneOf(code.slice(1))).filter(Boolean);
+    return zones.length > 0 ? [...new Set(zones)] : ['UTC'];
+};
+
+/**
+ * Breaks a location code into its parts.
+ * @param {string} code - The 6-digit location code.
+ * @param {object} localized - The messages and data in the decode's locale.
+ * @param {Function} lookup - Finds the country and name of a 5-digit location code.
+ * @returns {object} The code, subdivision, county (null when statewide), state or province abbreviation and country;
+ * marine zones have `marine: true` with the zone ID, water body and office instead of a county and state.
+ */
+const parseLocation = (code, { messages, data }, lookup) => {
+    const subdiv = code.slice(0, 1);
+    const loccode = code.slice(1, 6);
+    const location = code.length === 6 ? lookup(loccode) : null;
+
+    if (!location || data.SUBDIV?.[subdiv] === undefined) {
+        return { code, subdivision: null, county: null, state: null, statewide: false, name: code, country: null };
+    }
+
+    const subdivision = subdiv === '0' ? messages.all : data.SUBDIV[subdiv].trim();
+
+    if (location.marine) {
+        const { zone, name, waterBody, office } = location.marine;
+        return {
+            code,
+            subdivision,
+            county: null,
+            state: null,
+            statewide: false,
+            name,
+            country: location.country,
+            marine: true,
+            zone,
+            waterBody,
+            office
+        };
+    }
+
+    const stateCode = loccode.slice(0, 2);
+    const statewide = loccode.endsWith('000');
+    const [county, state] = location.name.split(',').map((part) => part.trim());
+
+    return {
+        code,
+        subdivision,
+        county: statewide ? null : county,
+        state: statewide ? regionAbbreviation(stateCode, location.country) : state,
+        statewide,
+        name: location.name,
+        country: location.country
+    };
 };
 
 /**
@@ -149,18 +407,27 @@ const parseFipsAndTime = (parts) => {
  * @param {string} org - The organization information.
  * @param {string} event - The event information.
  * @param {string[]} locations - The locations.
- * @param {Date} startTime - The start time.
- * @param {Date} endTime - The end time.
+ * @param {Date|null} startTime - The start time.
+ * @param {Date|null} endTime - The end time.
  * @param {string} sender - The sender information.
+ * @param {string[]} timeZones - The time zones to show the times in.
+ * @param {object} localized - The messages and language tag of the decode's locale.
  * @returns {object} The formatted response.
  */
-const formatResponse = (org, event, locations, startTime, endTime, sender) => {
+const formatResponse = (org, event, locations, startTime, endTime, sender, timeZones, { messages, tag }) => {
+    const formatters = timeZones.map((timeZone) => ({
+        time: new Intl.DateTimeFormat(tag, { hour: 'numeric', minute: 'numeric', timeZoneName: 'short', timeZone }),
+        date: new Intl.DateTimeFormat(tag, { month: 'long', day: 'numeric', timeZone })
+    }));
+
+    // Zones that show the same time, such as two Eastern zones, are only listed once.
     const formatTime = (date) => {
-        const options = { hour: 'numeric', minute: 'numeric', hour12: true };
-        const time = date.toLocaleTimeString('en-US', options);
-        const month = date.toLocaleString('default', { month: 'long' });
-        const day = date.getDate();
-        return `${time} on ${month} ${day}`;
+        if (!date) return messages.unknowntime;
+        const times = formatters.map((formatter) => {
+            const parts = Object.fromEntries(formatter.date.formatToParts(date).map(({ type, value }) => [type, value]));
+            return formatMessage(messages.time, { time: formatter.time.format(date), month: parts.month, day: parts.day });
+        });
+        return [...new Set(times)].join(' / ');
     };
 
     return {
@@ -172,7 +439,15 @@ const formatResponse = (org, event, locations, startTime, endTime, sender) => {
             end: formatTime(endTime)
         },
         sender,
-        formatted: `${org}a${new RegExp('^[aeiouAEIOU]').test(event) ? 'n' : ''} ${event} for ${locations.join('; ')}; beginning at ${formatTime(startTime)} and ending at ${formatTime(endTime)}. Message from ${sender}`
+        formatted: formatMessage(messages.sentence, {
+            organization: org,
+            article: /^[aeiou]/i.test(event) ? messages.articlevowel : messages.article,
+            event,
+            locations: locations.join('; '),
+            start: formatTime(startTime),
+            end: formatTime(endTime),
+            sender
+        })
     };
 };
 
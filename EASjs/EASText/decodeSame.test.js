@@ -1,6 +1,7 @@
 const decodeSame = require('./decodeSame');
 const EASData = require('../../EASData.json');
 const messages = require('./locals/en_us.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError');
 
 describe('decodeSame', () => {
     test('should throw an error if no data is provided', () => {
@@ -50,6 +51,7 @@ describe('decodeSame', () => {
         expect(result).toEqual({
             organization: EASData.ORGS['WXR'],
             event: EASData.EVENTS['SQW'],
+            eventDetails: expect.objectContaining({ code: 'SQW', type: 'warning' }),
             locations: 'Rock, MN',
             timing: {
                 start: expect.any(String),
@@ -59,4 +61,245 @@ describe('decodeSame', () => {
             formatted: expect.any(String),
         });
     });
-});
\ No newline at end of file
+
+    test('should return structured data when requested', () => {
+        const header = 'ZCZC-WXR-TSW-006081-206013-006000+0130-3401900-WJON/BLU-';
+        const referenceDate = new Date(Date.UTC(2024, 11, 5, 19, 30));
+        const result = decodeSame(header, { structured: true, referenceDate });
+
+        expect(result).toEqual({
+            originator: 'WXR',
+            event: 'TSW',
+            eventName: 'Tsunami Warning',
+            eventDetails: {
+                code: 'TSW',
+                name: 'Tsunami Warning',
+                type: 'warning',
+                severity: 'Extreme',
+                level: 'local',
+                part11: 'optional',
+                deprecated: false
+            },
+            locations: [
+                { code: '006081', subdivision: 'All', county: 'San Mateo', state: 'CA', statewide: false, name: 'San Mateo, CA', country: 'US' },
+                { code: '206013', subdivision: 'Northern', county: 'Contra Costa', state: 'CA', statewide: false, name: 'Contra Costa, CA', country: 'US' },
+                { code: '006000', subdivision: 'All', county: null, state: 'CA', statewide: true, name: 'California', country: 'US' }
+            ],
+            start: '2024-12-05T19:00:00.000Z',
+            end: '2024-12-05T20:30:00.000Z',
+            duration: 90,
+            expired: false,
+            timeZones: [Intl.DateTimeFormat().resolvedOptions().timeZone],
+            sender: 'WJON/BLU',
+            formatted: expect.any(String)
+        });
+    });
+
+    test('should describe the event type, severity and Part 11 status', () => {
+        const test = decodeSame('ZCZC-PEP-EAN-000000+0100-3441441-ERN/CRTV-', { structured: true });
+        expect(test.eventDetails).toEqual(expect.objectContaining({ type: 'emergency', level: 'national', part11: 'required' }));
+
+        const spanish = decodeSame('ZCZC-WXR-RWT-027133+0100-3441441-ERN/CRTV-', { locale: 'es_us' });
+        expect(spanish.eventDetails).toEqual(expect.objectContaining({ name: 'Prueba Semanal Requerida', type: 'test' }));
+
+        const unknown = decodeSame('ZCZC-WXR-AAA-027133+0100-3441441-ERN/CRTV-', { lenient: true });
+        expect(unknown.eventDetails).toBeNull();
+    });
+
+    test('should flag alerts whose purge time has passed as expired', () => {
+        const header = 'ZCZC-WXR-TOR-027133+0015-3441441-ERN/CRTV-';
+        const referenceDate = new Date(Date.UTC(2024, 11, 9, 15, 0));
+        expect(decodeSame(header, { structured: true, referenceDate }).expired).toBe(true);
+    });
+
+    test('should choose the issue year closest to the reference date', () => {
+        const header = 'ZCZC-WXR-WSW-027133+0600-3652300-ERN/CRTV-';
+
+        const january = decodeSame(header, { structured: true, referenceDate: new Date(Date.UTC(2026, 0, 1, 1, 0)) });
+        expect(january.start).toBe('2025-12-31T23:00:00.000Z');
+
+        const december = decodeSame('ZCZC-WXR-WSW-027133+0600-0010100-ERN/CRTV-', {
+            structured: true,
+            referenceDate: new Date(Date.UTC(2025, 11, 31, 23, 0))
+        });
+        expect(december.start).toBe('2026-01-01T01:00:00.000Z');
+    });
+
+    test('should resolve day 366 to the nearest leap year', () => {
+        const header = 'ZCZC-WXR-WSW-027133+0600-3661200-ERN/CRTV-';
+        const result = decodeSame(header, { structured: true, referenceDate: new Date(Date.UTC(2025, 0, 2)) });
+        expect(result.start).toBe('2024-12-31T12:00:00.000Z');
+        expect(() => decodeSame(header, { referenceDate: new Date(Date.UTC(2026, 5, 1)) })).toThrow(messages.datetimeinvalid);
+    });
+
+    test('should throw an error if the reference date is invalid', () => {
+        const header = 'ZCZC-WXR-SQW-027133+0100-3441441-ERN/CRTV-';
+        expect(() => decodeSame(header, { referenceDate: 'yesterday' })).toThrow(messages.referencedateinvalid);
+    });
+
+    test('should throw an EASError with a code and the offending field', () => {
+        const header = 'ZCZC-WXR-AAA-027133+0100-3441441-ERN/CRTV-';
+        expect(() => decodeSame(header)).toThrow(EASError);
+        try {
+            decodeSame(header);
+        } catch (error) {
+            expect(error.code).toBe(ERROR_CODES.UNKNOWN_EVENT);
+            expect(error.field).toBe('event');
+            expect(error.position).toBe(9);
+            expect(error.value).toBe('AAA');
+        }
+    });
+
+    test('should report the position of an invalid FIPS code', () => {
+        try {
+            decodeSame('ZCZC-WXR-SQW-027133-098765+0100-3441441-ERN/CRTV-');
+            throw new Error('Expected decodeSame to throw');
+        } catch (error) {
+            expect(error.code).toBe(ERROR_CODES.INVALID_FIPS);
+            expect(error.position).toBe(20);
+            expect(error.value).toBe('098765');
+        }
+    });
+
+    test('should return no problems for a valid header when lenient', () => {
+        const result = decodeSame('ZCZC-WXR-SQW-027133+0100-3441441-ERN/CRTV-', { lenient: true });
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([]);
+        expect(result.locations).toBe('Rock, MN');
+    });
+
+    test('should show unknown FIPS codes as the raw code when lenient', () => {
+        const result = decodeSame('ZCZC-WXR-SQW-027133-098765+0100-3441441-ERN/CRTV-', { lenient: true });
+        expect(result.locations).toBe('Rock, MN; 098765');
+        expect(result.errors).toEqual([]);
+        expect(result.warnings.map((warning) => warning.code)).toEqual([ERROR_CODES.INVALID_FIPS]);
+    });
+
+    test('should collect every problem in a garbled header when lenient', () => {
+        const result = decodeSame('ZCZD-WHA-AAA-027133-0X9999+01X0-3449941-ERN/CRTV-', { lenient: true });
+
+        expect(result.errors.map((error) => error.code)).toEqual([
+            ERROR_CODES.UNKNOWN_ORIGINATOR,
+            ERROR_CODES.UNKNOWN_EVENT,
+            ERROR_CODES.BAD_TIMESTAMP,
+            ERROR_CODES.BAD_PURGE_TIME
+        ]);
+        expect(result.warnings.map((warning) => warning.code)).toEqual([
+            ERROR_CODES.MISSING_ZCZC,
+            ERROR_CODES.INVALID_FIPS
+        ]);
+        expect(result.errors[0].position).toBe(5);
+        expect(result.event).toBe('AAA');
+        expect(result.locations).toBe('Rock, MN; 0X9999');
+        expect(result.timing).toEqual({ start: messages.unknowntime, end: messages.unknowntime });
+        expect(result.sender).toBe('ERN/CRTV');
+    });
+
+    test('should decode what it can from a header missing its purge time when lenient', () => {
+        const result = decodeSame('ZCZC-WXR-SQW-027133-3441441-ERN/CRTV-', {
+            lenient: true,
+            structured: true,
+            referenceDate: new Date(Date.UTC(2024, 11, 9))
+        });
+
+        expect(result.errors.map((error) => error.code)).toEqual([ERROR_CODES.BAD_PURGE_TIME]);
+        expect(result.locations.map((location) => location.code)).toEqual(['027133']);
+        expect(result.start).toBe('2024-12-09T14:41:00.000Z');
+        expect(result.end).toBeNull();
+        expect(result.expired).toBeNull();
+    });
+
+    test('should still throw for missing data when lenient', () => {
+        expect(() => decodeSame('', { lenient: true })).toThrow(messages.nodata);
+    });
+
+    test('should decode in the locale asked for', () => {
+        const header = 'ZCZC-WXR-TOR-227137-027141+0030-3441940-KMPX/NWS-';
+        const referenceDate = new Date(Date.UTC(2024, 11, 9));
+
+        const spanish = decodeSame(header, { locale: 'es_us', referenceDate });
+        expect(spanish.organization).toBe('El Servicio Meteorológico Nacional ha emitido ');
+        expect(spanish.event).toBe('Aviso de Tornado');
+        expect(spanish.locations).toBe('Norte de St. Louis, MN; Sherburne, MN');
+        expect(spanish.formatted).toMatch(/^El Servicio Meteorológico Nacional ha emitido la alerta Aviso de Tornado para Norte de St\. Louis, MN; Sherburne, MN; desde las .+ de diciembre hasta las .+\. Mensaje de KMPX\/NWS$/);
+
+        const french = decodeSame(header, { locale: 'fr_ca', referenceDate, structured: true });
+        expect(french.eventName).toBe('Avertissement de tornade');
+        expect(french.locations[0]).toEqual(expect.objectContaining({ subdivision: 'Nord de', name: 'St. Louis, MN' }));
+        expect(french.locations[1].subdivision).toBe('Tout');
+        expect(french.formatted).toMatch(/ décembre à /);
+    });
+
+    test('should throw errors in the locale asked for', () => {
+        const esMessages = require('./locals/es_us.json');
+        expect(() => decodeSame('', { locale: 'es_us' })).toThrow(esMessages.nodata);
+        expect(() => decodeSame('ZCZC-WHA-SQW-027133+0100-3441441-ERN/CRTV-', { locale: 'es_us' }))
+            .toThrow(esMessages.orgcodeinvalid);
+        expect(() => decodeSame('ZCZC-WXR-SQW-027133+0100-3441441-ERN/CRTV-', { locale: 'xx_xx' }))
+            .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION }));
+    });
+
+    test('should resolve Canadian Location Codes', () => {
+        const header = 'ZCZC-WXR-TOR-035000+0030-3441940-EC/GC/CA-';
+        const result = decodeSame(header, { structured: true, referenceDate: new Date(Date.UTC(2024, 11, 9)) });
+
+        expect(result.locations).toEqual([
+            { code: '035000', subdivision: 'All', county: null, state: 'ON', statewide: true, name: 'Ontario', country: 'CA' }
+        ]);
+        expect(result.formatted).toContain('Tornado Warning for Ontario;');
+    });
+
+    test('should look location codes up in the country asked for', () => {
+        const header = 'ZCZC-WXR-TOR-035000+0030-3441940-KABQ/NWS-';
+        expect(decodeSame(header).locations).toBe('New Mexico');
+        expect(decodeSame(header, { country: 'CA' }).locations).toBe('Ontario');
+        expect(decodeSame('ZCZC-WXR-TOR-035000+0030-3441940-EC/GC/CA-', { country: 'US' }).locations).toBe('New Mexico');
+        expect(() => decodeSame(header, { country: 'MX' })).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'country' }));
+    });
+
+    test('should format marine zones', () => {
+        const header = 'ZCZC-WXR-SMW-057915-077033+0100-3441940-KMFL/NWS-';
+        const referenceDate = new Date(Date.UTC(2024, 11, 9));
+
+        expect(decodeSame(header, { referenceDate }).locations)
+            .toBe('Florence, OR to Point St. George between 150 NM and 250 NM offshore; Gulf waters from East Cape Sable to Chokoloskee 20 to 60 NM out and beyond 5 fathoms');
+
+        const [pacific, gulf] = decodeSame(header, { referenceDate, structured: true }).locations;
+        expect(pacific).toEqual(expect.objectContaining({ marine: true, zone: 'PZZ915', office: 'OPC', county: null, state: null }));
+        expect(gulf).toEqual(expect.objectContaining({ zone: 'GMZ033', office: 'KEY' }));
+    });
+
+    test('should show times in the time zone asked for, with its abbreviation', () => {
+        const header = 'ZCZC-WXR-TOR-029095+0030-3442350-KEAX/NWS-';
+        const referenceDate = new Date(Date.UTC(2024, 11, 9));
+
+        expect(decodeSame(header, { referenceDate, timeZone: 'UTC' }).timing)
+            .toEqual({ start: expect.stringMatching(/^11:50\sPM UTC on December 9$/), end: expect.stringMatching(/^12:20\sAM UTC on December 10$/) });
+        expect(decodeSame(header, { referenceDate, timeZone: 'America/Chicago' }).formatted)
+            .toMatch(/beginning at 5:50\sPM CST on December 9 and ending at 6:20\sPM CST on December 9\./);
+        expect(decodeSame(header.replace('3442350', '1861850'), { referenceDate, timeZone: 'America/Chicago' }).timing.start)
+            .toMatch(/^1:50\sPM CDT on July 4$/);
+        expect(decodeSame(header, { referenceDate, timeZone: 'America/Chicago', structured: true }).timeZones).toEqual(['America/Chicago']);
+    });
+
+    test('should take the time zones from the locations in auto mode', () => {
+        const referenceDate = new Date(Date.UTC(2024, 11, 9));
+        const decode = (header) => decodeSame(header, { referenceDate, timeZone: 'auto', structured: true });
+
+        expect(decode('ZCZC-WXR-TOR-029095+0030-3441707-KEAX/NWS-').formatted).toMatch(/beginning at 11:07\sAM CST on December 9/);
+
+        // Lake County, Indiana keeps Central time; Marion County and Louisville are Eastern.
+        const indiana = decode('ZCZC-WXR-TOR-018089-018097-021111+0030-3441707-KIND/NWS-');
+        expect(indiana.timeZones).toEqual(['America/Chicago', 'America/Indiana/Indianapolis', 'America/Kentucky/Louisville']);
+        expect(indiana.formatted).toMatch(/beginning at 11:07\sAM CST on December 9 \/ 12:07\sPM EST on December 9 and ending/);
+
+        expect(decode('ZCZC-WXR-TOR-035000+0030-3441707-EC/GC/CA-').timeZones).toEqual(['America/Toronto']);
+        expect(decode('ZCZC-WXR-SMW-077033+0030-3441707-KKEY/NWS-').timeZones).toEqual(['America/New_York']);
+        expect(decode('ZCZC-PEP-EAN-000000+0030-3441707-KEAX/NWS-').timeZones).toEqual(['UTC']);
+    });
+
+    test('should throw an error if the time zone is invalid', () => {
+        expect(() => decodeSame('ZCZC-WXR-TOR-029095+0030-3441707-KEAX/NWS-', { timeZone: 'America/Gotham' }))
+            .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'timeZone', message: messages.timezoneinvalid }));
+    });
+});
@@ -0,0 +1,266 @@
+/**
+ * SAME header compliance validator for the EASjs library
+ * @module validateSameHeader
+ */
+
+const EASData = require('../../EASData.json');
+const EventData = require('../../EventData.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, formatMessage } = require('../Locale/locale.js');
+const { resolveCountry, detectCountry, lookupLocation } = require('../Locations/locations.js');
+const { listEvents } = require('../EventTranslator/eventRegistry.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * The rules checked, with the part of the FCC's EAS rules (47 CFR Part 11) each one comes from.
+ */
+const RULES = {
+    'header-format': '47 CFR 11.31(c)',
+    'originator': '47 CFR 11.31(d)',
+    'event': '47 CFR 11.31(e)',
+    'originator-event': '47 CFR 11.31(d), (e)',
+    'location-count': '47 CFR 11.31(c)',
+    'location-format': '47 CFR 11.31(c)',
+    'location-unknown': '47 CFR 11.31(f)',
+    'location-duplicate': '47 CFR 11.31(c)',
+    'purge-format': '47 CFR 11.31(c)',
+    'purge-increment': '47 CFR 11.31(c)',
+    'purge-maximum': '47 CFR 11.31(c)',
+    'issued': '47 CFR 11.31(c)',
+    'sender': '47 CFR 11.31(c)'
+};
+
+/**
+ * Most location codes a single header can carry.
+ */
+const MAX_LOCATIONS = 31;
+
+/**
+ * Longest purge time a header can carry, in minutes (99:30).
+ */
+const MAX_PURGE = 99 * 60 + 30;
+
+/**
+ * National activations and tests, which only the Primary Entry Point system originates.
+ */
+const NATIONAL_EVENTS = listEvents({ level: 'national' }).map(({ code }) => code);
+
+/**
+ * Events PEP originates besides the national ones.
+ */
+const PEP_EVENTS = [...NATIONAL_EVENTS, 'RMT', 'RWT'];
+
+/**
+ * Checks a SAME header against the FCC Part 11 rules, as an encoder or ENDEC would before airing it.
+ *
+ * Errors are violations that equipment may reject or that Part 11 does not allow. Warnings are
+ * headers that will air but are probably mistakes, such as a location listed twice.
+ *
+ * @param {string} header - The SAME header. Example: ZCZC-WXR-TOR-029095+0030-3441707-KEAX/NWS-
+ * @param {Object} [options={}] - Options for validating.
+ * @param {string} [options.locale] - The locale for messages; defaults to the one set with setLocale().
+ * @param {string} [options.country='auto'] - Where the location codes come from: US (FIPS), CA (CLC), or auto to try both.
+ * @returns {object[]} The violations, in header order; empty when the header complies. Each has `severity` (error or warning),
+ * `rule`, `reference` (the Part 11 section), an ERROR_CODES `code`, `message`, and the `field`, `position` and `value` at fault.
+ * @throws {EASError} If no header is given, or an option is invalid.
+ */
+const validateSameHeader = (header, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+
+    if (typeof header !== 'string' || header.trim() === '') {
+        throw new EASError(ERROR_CODES.NO_DATA, messages.nodata);
+    }
+
+    const country = resolveCountry(options.country, options.locale);
+    const violations = [];
+    const report = (severity, rule, code, message, details = {}) => {
+        violations.push({ severity, rule, reference: RULES[rule], code, message, ...details });
+    };
+    const error = (...args) => report('error', ...args);
+    const warning = (...args) => report('warning', ...args);
+    const inOrder = () => violations.sort((a, b) => a.position - b.position);
+
+    const lead = header.length - header.trimStart().length;
+    const text = header.trim();
+
+    if (text !== header) {
+        warning('header-format', ERROR_CODES.INVALID_HEADER, messages.whitespace, { field: 'header', position: 0 });
+    }
+    const invalidCharacter = text.search(/[^\x20-\x7E]/);
+    if (invalidCharacter !== -1) {
+        error('header-format', ERROR_CODES.INVALID_CHARACTERS, messages.charactersinvalid, {
+            field: 'header',
+            position: lead + invalidCharacter,
+            value: text[invalidCharacter]
+        });
+    }
+    if (!text.startsWith('ZCZC-')) {
+        error('header-format', ERROR_CODES.MISSING_ZCZC, messages.zczcmissing, { field: 'header', position: lead, value: text.slice(0, 5) });
+        return inOrder();
+    }
+    if (!text.endsWith('-')) {
+        warning('header-format', ERROR_CODES.INVALID_HEADER, messages.trailingdash, { field: 'header', position: lead + text.length });
+    }
+
+    // Split into dash-separated fields, keeping each one's position in the header.
+    const body = text.endsWith('-') ? text.slice(0, -1) : text;
+    const fields = [];
+    let offset = lead;
+    for (const value of body.split('-')) {
+        fields.push({ value, position: offset });
+        offset += value.length + 1;
+    }
+
+    const [, originator = { value: '', position: offset }, event = { value: '', position: offset }] = fields;
+    checkOriginator(originator, event, messages, { error, warning });
+
+    const plus = fields.findIndex((field, i) => i >= 3 && field.value.includes('+'));
+    if (plus === -1) {
+        error('purge-format', ERROR_CODES.BAD_PURGE_TIME, messages.purgemissing, { field: 'purge', position: lead + text.length });
+        return inOrder();
+    }
+
+    const [lastLocation, purge] = fields[plus].value.split('+');
+    const locations = [
+        ...fields.slice(3, plus),
+        { value: lastLocation, position: fields[plus].position }
+    ];
+    const lookup = (code) => lookupLocation(code, country, detectCountry(fields.slice(plus + 2).map((field) => field.value).join('-')));
+    checkLocations(locations, lookup, messages, { error, warning });
+
+    checkPurge({ value: purge, position: fields[plus].position + lastLocation.length + 1 }, messages, { error });
+
+    const issued = fields[plus + 1] ?? { value: '', position: lead + text.length };
+    if (!validIssueTime(issued.value)) {
+        error('issued', ERROR_CODES.BAD_TIMESTAMP, messages.issuedinvalid, { field: 'issued', position: issued.position, value: issued.value });
+    }
+
+    // The sender cannot contain dashes, so anything left over belongs to it.
+    const senderFields = fields.slice(plus + 2);
+    const sender = senderFields.map((field) => field.value).join('-');
+    if (senderFields.length !== 1 || sender.length !== 8 || sender.trim() === '') {
+        error('sender', ERROR_CODES.INVALID_SENDER, messages.senderinvalid, {
+            field: 'sender',
+            position: senderFields[0]?.position ?? lead + text.length,
+            value: sender
+        });
+    }
+
+    return inOrder();
+};
+
+/**
+ * Checks the originator and event codes, and that they make sense together.
+ * @param {{value: string, position: number}} originator - The originator field.
+ * @param {{value: string, position: number}} event - The event field.
+ * @param {object} messages - The messages in the validation's locale.
+ * @param {object} report - Adds errors and warnings.
+ */
+const checkOriginator = (originator, event, messages, { error, warning }) => {
+    const org = originator.value;
+    const code = event.value;
+    const validOrg = Boolean(EASData.ORGS[org]);
+    const validEvent = Boolean(EASData.EVENTS[code]);
+
+    if (!validOrg) {
+        error('originator', ERROR_CODES.UNKNOWN_ORIGINATOR, formatMessage(messages.originatorinvalid, { value: org }), {
+            field: 'originator',
+            ...originator
+        });
+    } else if (org === 'EAN') {
+        warning('originator', ERROR_CODES.UNKNOWN_ORIGINATOR, messages.originatordeprecated, { field: 'originator', ...originator });
+    }
+
+    if (!validEvent) {
+        error('event', ERROR_CODES.UNKNOWN_EVENT, formatMessage(messages.eventinvalid, { value: code }), { field: 'event', ...event });
+    } else if (EventData.EVENTS[code]?.deprecated) {
+        warning('event', ERROR_CODES.UNKNOWN_EVENT, formatMessage(messages.eventdeprecated, { value: code }), { field: 'event', ...event });
+    }
+
+    if (!validOrg || !validEvent) return;
+
+    const national = NATIONAL_EVENTS.includes(code);
+    if (national && org !== 'PEP') {
+        error('originator-event', ERROR_CODES.INVALID_HEADER, formatMessage(messages.nationalevent, { event: code, originator: org }), {
+            field: 'event',
+            ...event
+        });
+    } else if (org === 'PEP' && !PEP_EVENTS.includes(code)) {
+        warning('originator-event', ERROR_CODES.INVALID_HEADER, formatMessage(messages.pepevent, { event: code }), { field: 'event', ...event });
+    }
+};
+
+/**
+ * Checks the location codes: their number, format, whether they exist, and repeats.
+ * @param {{value: string, position: number}[]} locations - The location fields.
+ * @param {Function} lookup - Finds a 5-digit location code.
+ * @param {object} messages - The messages in the validation's locale.
+ * @param {object} report - Adds errors and warnings.
+ */
+const checkLocations = (locations, lookup, messages, { error, warning }) => {
+    const listed = locations.filter((location) => location.value !== '');
+    if (listed.length === 0) {
+        error('location-count', ERROR_CODES.NO_LOCATIONS, messages.nolocations, { field: 'locations', position: locations[0].position });
+        return;
+    }
+    if (listed.length > MAX_LOCATIONS) {
+        error('location-count', ERROR_CODES.TOO_MANY_LOCATIONS, formatMessage(messages.toomanylocations, { count: listed.length }), {
+            field: 'locations',
+            position: listed[MAX_LOCATIONS].position,
+            value: listed.length
+        });
+    }
+
+    const seen = new Set();
+    for (const { value, position } of locations) {
+        const details = { field: 'locations', position, value };
+        if (!/^\d{6}$/.test(value)) {
+            error('location-format', ERROR_CODES.INVALID_FIPS, formatMessage(messages.locationinvalid, { value }), details);
+            continue;
+        }
+        if (seen.has(value)) {
+            warning('location-duplicate', ERROR_CODES.INVALID_FIPS, formatMessage(messages.locationduplicate, { value }), details);
+        } else if (!lookup(value.slice(1))) {
+            warning('location-unknown', ERROR_CODES.INVALID_FIPS, formatMessage(messages.locationunknown, { value }), details);
+        }
+        seen.add(value);
+    }
+};
+
+/**
+ * Checks the purge time: HHMM, in 15 minute steps up to an hour, then 30 minute steps up to 99:30.
+ * @param {{value: string, position: number}} purge - The purge time field.
+ * @param {object} messages - The messages in the validation's locale.
+ * @param {object} report - Adds errors.
+ */
+const checkPurge = ({ value, position }, messages, { error }) => {
+    const details = { field: 'purge', position, value };
+    if (!/^\d{4}$/.test(value) || parseInt(value.slice(2), 10) > 59) {
+        error('purge-format', ERROR_CODES.BAD_PURGE_TIME, messages.purgeinvalid, details);
+        return;
+    }
+
+    const minutes = parseInt(value.slice(0, 2), 10) * 60 + parseInt(value.slice(2), 10);
+    if (minutes > MAX_PURGE) {
+        error('purge-maximum', ERROR_CODES.BAD_PURGE_TIME, formatMessage(messages.purgemaximum, { value }), details);
+    } else if (minutes === 0 || minutes % (minutes <= 60 ? 15 : 30) !== 0) {
+        error('purge-increment', ERROR_CODES.BAD_PURGE_TIME, formatMessage(messages.purgeincrement, { value }), details);
+    }
+};
+
+/**
+ * Checks an issue time: JJJHHMM, with a Julian day from 1 to 366 and a valid UTC time.
+ * @param {string} value - The issue time.
+ * @returns {boolean} Whether it is valid.
+ */
+const validIssueTime = (value) => /^\d{7}$/.test(value)
+    && parseInt(value.slice(0, 3), 10) >= 1 && parseInt(value.slice(0, 3), 10) <= 366
+    && parseInt(value.slice(3, 5), 10) <= 23
+    && parseInt(value.slice(5, 7), 10) <= 59;
+
+module.exports = validateSameHeader;
@@ -0,0 +1,125 @@
+const validateSameHeader = require('./validateSameHeader');
+const buildSameHeader = require('../EASBuilder/buildSameHeader');
+const { generateEASAlert } = require('../EASGenerator/EASGenerator');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const VALID = 'ZCZC-WXR-TOR-029095-029165+0030-3441707-KEAX/NWS-';
+
+/**
+ * The rules a header breaks, with their severity.
+ */
+const rules = (header, options) => validateSameHeader(header, options).map(({ severity, rule }) => `${severity}:${rule}`);
+
+describe('validateSameHeader', () => {
+    it('should pass a compliant header', () => {
+        expect(validateSameHeader(VALID)).toEqual([]);
+        expect(validateSameHeader('ZCZC-PEP-EAN-000000+0600-0010000-WHITEHSE-')).toEqual([]);
+    });
+
+    it('should pass headers from buildSameHeader', () => {
+        const header = buildSameHeader({ originator: 'CIV', event: 'CAE', locations: ['006081'], duration: 90, sender: 'KXYZ/FM' });
+        expect(validateSameHeader(header)).toEqual([]);
+    });
+
+    it('should describe each violation with its rule and Part 11 reference', () => {
+        const [violation] = validateSameHeader('ZCZC-WXR-TOR-029095+0017-3441707-KEAX/NWS-');
+        expect(violation).toEqual({
+            severity: 'error',
+            rule: 'purge-increment',
+            reference: '47 CFR 11.31(c)',
+            code: ERROR_CODES.BAD_PURGE_TIME,
+            message: expect.stringContaining('0017'),
+            field: 'purge',
+            position: 20,
+            value: '0017'
+        });
+    });
+
+    it('should only allow 15 minute purge steps up to an hour, then 30 minute steps', () => {
+        for (const purge of ['0015', '0045', '0100', '0130', '0600', '9930']) {
+            expect(rules(VALID.replace('0030', purge))).toEqual([]);
+        }
+        for (const purge of ['0000', '0010', '0115', '0145']) {
+            expect(rules(VALID.replace('0030', purge))).toEqual(['error:purge-increment']);
+        }
+        expect(rules(VALID.replace('0030', '9945'))).toEqual(['error:purge-maximum']);
+        expect(rules(VALID.replace('0030', '0075'))).toEqual(['error:purge-format']);
+        expect(rules(VALID.replace('+0030', ''))).toEqual(['error:purge-format']);
+    });
+
+    it('should allow no more than 31 locations', () => {
+        const locations = Array.from({ length: 32 }, (_, i) => `0060${String(i * 2 + 1).padStart(2, '0')}`);
+        const violations = validateSameHeader(`ZCZC-WXR-TOR-${locations.join('-')}+0030-3441707-KEAX/NWS-`);
+
+        expect(violations).toEqual([expect.objectContaining({ rule: 'location-count', code: ERROR_CODES.TOO_MANY_LOCATIONS, value: 32 })]);
+        expect(violations[0].position).toBe(13 + 31 * 7);
+    });
+
+    it('should check location codes', () => {
+        expect(rules('ZCZC-WXR-TOR-029095-029095+0030-3441707-KEAX/NWS-')).toEqual(['warning:location-duplicate']);
+        expect(rules('ZCZC-WXR-TOR-02909+0030-3441707-KEAX/NWS-')).toEqual(['error:location-format']);
+        expect(rules('ZCZC-WXR-TOR-079999+0030-3441707-KEAX/NWS-')).toEqual(['warning:location-unknown']);
+        expect(rules('ZCZC-WXR-TOR-+0030-3441707-KEAX/NWS-')).toEqual(['error:location-count']);
+    });
+
+    it('should check the Julian day and time', () => {
+        expect(rules(VALID.replace('3441707', '3661707'))).toEqual([]);
+        for (const issued of ['0001707', '3671707', '3442407', '3441760', '344170']) {
+            expect(rules(VALID.replace('3441707', issued))).toEqual(['error:issued']);
+        }
+    });
+
+    it('should require an 8 character sender without dashes', () => {
+        expect(rules(VALID.replace('KEAX/NWS', 'KEAX'))).toEqual(['error:sender']);
+        expect(rules(VALID.replace('KEAX/NWS', 'KEAX-NWS'))).toEqual(['error:sender']);
+        expect(rules(VALID.replace('KEAX/NWS', 'KEAX/NWS1'))).toEqual(['error:sender']);
+        expect(rules(VALID.replace('KEAX/NWS', 'KXYZ    '))).toEqual([]);
+    });
+
+    it('should flag originator and event combinations that do not make sense', () => {
+        expect(rules('ZCZC-WXR-EAN-000000+0600-3441707-KEAX/NWS-')).toEqual(['error:originator-event']);
+        expect(rules('ZCZC-CIV-NPT-000000+0600-3441707-KXYZ/FM -')).toEqual(['error:originator-event']);
+        expect(rules('ZCZC-CIV-NST-000000+0600-3441707-KXYZ/FM -')).toEqual(['error:originator-event']);
+        expect(rules('ZCZC-PEP-NAT-000000+0600-3441707-WHITEHSE-')).toEqual([]);
+        expect(rules('ZCZC-PEP-TOR-029095+0030-3441707-WHITEHSE-')).toEqual(['warning:originator-event']);
+        expect(rules('ZCZC-PEP-RWT-000000+0015-3441707-WHITEHSE-')).toEqual([]);
+    });
+
+    it('should check the originator and event codes', () => {
+        expect(rules(VALID.replace('WXR', 'NWS'))).toEqual(['error:originator']);
+        expect(rules(VALID.replace('TOR', 'XYZ'))).toEqual(['error:event']);
+        expect(rules(VALID.replace('TOR', 'TOW'))).toEqual(['warning:event']);
+    });
+
+    it('should check the header format', () => {
+        expect(rules(`  ${VALID}\n`)).toEqual(['warning:header-format']);
+        expect(rules(VALID.slice(0, -1))).toEqual(['warning:header-format']);
+        expect(rules(VALID.replace('KEAX/NWS', 'KEAXéNWS'))).toEqual(['error:header-format']);
+        expect(validateSameHeader('ZCZ-WXR-TOR-029095+0030-3441707-KEAX/NWS-')).toEqual([
+            expect.objectContaining({ rule: 'header-format', code: ERROR_CODES.MISSING_ZCZC, position: 0 })
+        ]);
+    });
+
+    it('should give positions in the original header', () => {
+        const [, violation] = validateSameHeader(`  ${VALID.replace('0030', '0020')}`);
+        expect(violation).toEqual(expect.objectContaining({ rule: 'purge-increment', position: 29 }));
+    });
+
+    it('should report in other locales', () => {
+        const [violation] = validateSameHeader(VALID.replace('KEAX/NWS', 'KEAX'), { locale: 'es_us' });
+        expect(violation.message).toContain('remitente');
+    });
+
+    it('should throw when no header is given', () => {
+        expect(() => validateSameHeader('')).toThrow(expect.objectContaining({ code: ERROR_CODES.NO_DATA }));
+        expect(() => validateSameHeader(null)).toThrow(expect.objectContaining({ code: ERROR_CODES.NO_DATA }));
+    });
+
+    it('should stop generateEASAlert from encoding a header with errors', async () => {
+        await expect(generateEASAlert('ZCZC-WXR-EAN-000000+0600-3441707-KEAX/NWS-', { output: 'buffer', validate: true }))
+            .rejects.toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_HEADER, field: 'event', position: 9 }));
+
+        const buffer = await generateEASAlert('ZCZC-WXR-TOR-029095-029095+0030-3441707-KEAX/NWS-', { output: 'buffer', validate: true });
+        expect(buffer.toString('ascii', 0, 4)).toBe('RIFF');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Event code registry for the EASjs library
+ * @module eventRegistry
+ */
+
+const EventData = require('../../EventData.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, getLocaleData } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * The values each event field can take, and so the filters listEvents() accepts.
+ */
+const FIELDS = {
+    type: ['warning', 'watch', 'emergency', 'statement', 'test', 'administrative'],
+    severity: ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'],
+    level: ['national', 'state', 'local'],
+    part11: ['required', 'optional', 'none'],
+    deprecated: [true, false]
+};
+
+/**
+ * Gets the details of an event code.
+ *
+ * `type` is the kind of message, `severity` uses the CAP 1.2 scale, and `level`
+ * is who issues it. `part11` is "required" for the national codes every EAS
+ * participant must relay, "optional" for the other codes listed in 47 CFR 11.31,
+ * and "none" for codes only used on NOAA Weather Radio or by some equipment.
+ * Deprecated codes are no longer listed or have a preferred replacement.
+ *
+ * @param {string} code - The upper-case event code. Example: TOR
+ * @param {string} [locale] - The locale for the name; defaults to the one set with setLocale().
+ * @returns {object|null} The code, name, type, severity, level, part11 and deprecated fields, or null if the code is unknown.
+ */
+const getEventDetails = (code, locale) => {
+    const name = getLocaleData(locale).EVENTS?.[code];
+    const details = EventData.EVENTS[code];
+    if (!name || !details) return null;
+    return { code, name, ...details };
+};
+
+/**
+ * Lists the event codes, optionally filtered by their details.
+ * @param {Object} [filter={}] - The values to match. Each can be a single value or an array of accepted values.
+ * @param {string|string[]} [filter.type] - warning, watch, emergency, statement, test or administrative.
+ * @param {string|string[]} [filter.severity] - Extreme, Severe, Moderate, Minor or Unknown.
+ * @param {string|string[]} [filter.level] - national, state or local.
+ * @param {string|string[]} [filter.part11] - required, optional or none.
+ * @param {boolean} [filter.deprecated] - Whether to list only deprecated, or only current, codes.
+ * @param {Object} [options={}] - Options for listing.
+ * @param {string} [options.locale] - The locale for names and messages; defaults to the one set with setLocale().
+ * @returns {object[]} The matching events, sorted by code, in the form returned by getEventDetails().
+ * @throws {EASError} If a filter field or value is unknown.
+ */
+const listEvents = (filter = {}, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+
+    const criteria = Object.entries(filter ?? {})
+        .filter(([, value]) => value !== undefined)
+        .map(([field, value]) => {
+            const accepted = Array.isArray(value) ? value : [value];
+            if (!FIELDS[field] || accepted.some((entry) => !FIELDS[field].includes(entry))) {
+                throw new EASError(ERROR_CODES.INVALID_OPTION, messages.filterinvalid, { field, value });
+            }
+            return [field, accepted];
+        });
+
+    return Object.keys(EventData.EVENTS)
+        .sort()
+        .map((code) => getEventDetails(code, options.locale))
+        .filter((event) => event && criteria.every(([field, accepted]) => accepted.includes(event[field])));
+};
+
+module.exports = {
+    getEventDetails,
+    listEvents
+};
@@ -0,0 +1,46 @@
+const { getEventDetails, listEvents } = require('./eventRegistry');
+const messages = require('./locals/en_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
+const EASData = require('../../EASData.json');
+
+describe('eventRegistry', () => {
+    it('describes every event code', () => {
+        expect(listEvents().map((event) => event.code)).toEqual(Object.keys(EASData.EVENTS).sort());
+    });
+
+    it('returns the details of an event code', () => {
+        expect(getEventDetails('TOA')).toEqual({
+            code: 'TOA',
+            name: 'Tornado Watch',
+            type: 'watch',
+            severity: 'Severe',
+            level: 'local',
+            part11: 'optional',
+            deprecated: false
+        });
+        expect(getEventDetails('RWT')).toEqual(expect.objectContaining({ type: 'test', level: 'local', part11: 'optional' }));
+        expect(getEventDetails('RMT')).toEqual(expect.objectContaining({ type: 'test', level: 'state', part11: 'optional' }));
+        expect(getEventDetails('XYZ')).toBeNull();
+    });
+
+    it('lists the national codes Part 11 requires', () => {
+        const codes = listEvents({ part11: 'required' }).map((event) => event.code);
+        expect(codes).toEqual(['EAN', 'NIC', 'NPT']);
+    });
+
+    it('combines filters and accepts several values', () => {
+        const codes = listEvents({ type: ['warning', 'watch'], severity: 'Extreme', part11: 'none' }).map((event) => event.code);
+        expect(codes).toEqual(['DBW', 'TOW']);
+        expect(listEvents({ deprecated: true }).map((event) => event.code)).toEqual(['EAT', 'SVW', 'TOW']);
+    });
+
+    it('lists names in the locale asked for', () => {
+        expect(getEventDetails('NPT', 'fr_ca').name).toBe("Test national du système d'alerte d'urgence");
+        expect(listEvents({}, { locale: 'es_us' }).find((entry) => entry.code === 'TOR').name).toBe('Aviso de Tornado');
+    });
+
+    it('throws for unknown filters', () => {
+        expect(() => listEvents({ type: 'advisory' })).toThrow(messages.filterinvalid);
+        expect(() => listEvents({ color: 'red' })).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'color' }));
+    });
+});
@@ -3,36 +3,49 @@
  * @module eventTranslator
  */
 
-const fipsData = require('../../EASData.json');
-const messages = require('./locals/en_us.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, getLocaleData } = require('../Locale/locale.js');
+const { getEventDetails } = require('./eventRegistry.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
 
 /**
  * Translates an Event code to its corresponding event information.
  * @param {string} data - The event code to translate.
- * @returns {string} Translated event name.
- * @throws {Error} If the event code is invalid.
+ * @param {Object} [options={}] - Options for translating.
+ * @param {string} [options.locale] - The locale for the name and messages; defaults to the one set with setLocale().
+ * @param {boolean} [options.detailed=false] - Return the event's type, severity, level and Part 11 status with its name.
+ * @returns {string|object} Translated event name, or the event details from getEventDetails() when detailed.
+ * @throws {EASError} If the event code is invalid.
  */
-const eventTranslator = (data) => {
+const eventTranslator = (data, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+    const fipsData = getLocaleData(options.locale);
+
     if (typeof data !== 'string' || data.trim() === '') {
-        throw new Error(messages.nodata);
+        throw new EASError(ERROR_CODES.NO_DATA, messages.nodata, { field: 'event' });
     }
 
     if (data.length !== 3) {
-        throw new Error(messages.eventinvalid);
+        throw new EASError(ERROR_CODES.UNKNOWN_EVENT, messages.eventinvalid, { field: 'event', value: data });
     }
 
     if (!/^[a-zA-Z]{3}$/.test(data)) {
-        throw new Error(messages.invalidcharacters);
+        throw new EASError(ERROR_CODES.INVALID_CHARACTERS, messages.invalidcharacters, { field: 'event', position: data.search(/[^a-zA-Z]/), value: data });
     }
 
     const eventCode = data.toUpperCase();
     const eventResponse = fipsData.EVENTS?.[eventCode];
 
     if (!eventResponse) {
-        throw new Error(messages.eventinvalid);
+        throw new EASError(ERROR_CODES.UNKNOWN_EVENT, messages.eventinvalid, { field: 'event', value: data });
     }
 
-    return eventResponse;
+    return options.detailed ? getEventDetails(eventCode, options.locale) : eventResponse;
 };
 
 module.exports = eventTranslator;
@@ -1,5 +1,7 @@
+const { setLocale } = require('../Locale/locale');
 const eventTranslator = require('./eventTranslator');
 const messages = require('./locals/en_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
 const fipsData = require('../../EASData.json');
 
 describe('eventTranslator', () => {
@@ -30,4 +32,36 @@ describe('eventTranslator', () => {
     it('throws an error if the event code is not found in fipsData', () => {
         expect(() => eventTranslator('XYZ')).toThrow(messages.eventinvalid);
     });
-});
\ No newline at end of file
+
+    it('throws errors with stable codes', () => {
+        expect(() => eventTranslator('XYZ')).toThrow(expect.objectContaining({ code: ERROR_CODES.UNKNOWN_EVENT, value: 'XYZ' }));
+        expect(() => eventTranslator('T0R')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_CHARACTERS, position: 1 }));
+    });
+
+    it('translates the event name in the locale asked for', () => {
+        expect(eventTranslator('TOR', { locale: 'es_us' })).toBe('Aviso de Tornado');
+        expect(eventTranslator('TOR', { locale: 'fr_ca' })).toBe('Avertissement de tornade');
+    });
+
+    it('returns the event details when asked to', () => {
+        expect(eventTranslator('tor', { detailed: true })).toEqual({
+            code: 'TOR',
+            name: 'Tornado Warning',
+            type: 'warning',
+            severity: 'Extreme',
+            level: 'local',
+            part11: 'optional',
+            deprecated: false
+        });
+        expect(eventTranslator('EAT', { detailed: true })).toEqual(expect.objectContaining({ deprecated: true, part11: 'none' }));
+    });
+
+    it('uses the global locale when none is passed', () => {
+        setLocale('es_us');
+        try {
+            expect(eventTranslator('RWT')).toBe('Prueba Semanal Requerida');
+        } finally {
+            setLocale('en_us');
+        }
+    });
+});
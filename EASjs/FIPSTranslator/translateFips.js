@@ -3,60 +3,104 @@
  * @module translateFips
  */
 
-const fipsData = require('../../EASData.json');
-const messages = require('./locals/en_us.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, getLocaleData, formatMessage } = require('../Locale/locale.js');
+const { resolveCountry, lookupLocation } = require('../Locations/locations.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
 
 /**
  * Translates a FIPS code to its corresponding county and region.
  *
+ * Canadian Location Codes (CLC) resolve to their province; only province-wide
+ * codes are known. The same digits are often valid in both countries, so auto
+ * mode tries the US first.
+ * Marine zones return the zone ID, name, water body and governing office
+ * instead of a county and region, with `marine: true`.
+ *
  * @param {string} data - The FIPS code to translate.
+ * @param {Object} [options={}] - Options for translating.
+ * @param {string} [options.locale] - The locale for names and messages; defaults to the one set with setLocale().
+ * @param {string} [options.country='auto'] - The dataset to look the code up in: US, CA, or auto to try both.
  * @returns {object} Translated FIPS information.
- * @throws {Error} If the FIPS code is invalid.
+ * @throws {EASError} If the FIPS code is invalid.
  */
-const translateFips = (data) => {
+const translateFips = (data, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+    const fipsData = getLocaleData(options.locale);
+    const country = resolveCountry(options.country, options.locale);
+
     if (typeof data !== 'string' || data.trim() === '') {
-        throw new Error(messages.nodata);
+        throw new EASError(ERROR_CODES.NO_DATA, messages.nodata, { field: 'fips' });
     }
 
     if (!/^\d{6}$/.test(data)) {
-        throw new Error(data.length !== 6 ? messages.fipsinvalid : messages.invalidcharacters);
+        throw data.length !== 6
+            ? new EASError(ERROR_CODES.INVALID_FIPS, messages.fipsinvalid, { field: 'fips', value: data })
+            : new EASError(ERROR_CODES.INVALID_CHARACTERS, messages.invalidcharacters, { field: 'fips', position: data.search(/\D/), value: data });
     }
 
     const subdivisionCode = data[0];
     const fipsCode = data.slice(1, 6);
-    const dataResponse = fipsData.SAME?.[fipsCode];
+    const location = lookupLocation(fipsCode, country);
+    const dataResponse = location?.name;
 
     if (!dataResponse) {
-        throw new Error(messages.fipsinvalid);
+        throw new EASError(ERROR_CODES.INVALID_FIPS, messages.fipsinvalid, { field: 'fips', position: 1, value: data });
     }
 
     const subdivision = subdivisionCode === '0' && (!fipsData.SUBDIV?.[subdivisionCode] || fipsData.SUBDIV[subdivisionCode] === '')
-        ? 'All'
+        ? messages.all
         : fipsData.SUBDIV?.[subdivisionCode];
 
     if (!subdivision) {
-        throw new Error(messages.subdivisioninvalid);
+        throw new EASError(ERROR_CODES.INVALID_SUBDIVISION, messages.subdivisioninvalid, { field: 'fips', position: 0, value: data });
+    }
+
+    if (location.marine) {
+        const { zone, name, waterBody, office } = location.marine;
+        return {
+            subdivision,
+            zone,
+            name,
+            waterBody,
+            office,
+            formatted: formatMessage(subdivisionCode === '0' ? messages.marine : messages.marinepart, {
+                subdivision: subdivision.trim(),
+                name,
+                zone
+            }),
+            country: location.country,
+            marine: true,
+        };
     }
 
     const isStatewide = fipsCode.endsWith('000');
     const [countyRaw, regionRaw] = dataResponse.split(',');
 
     if (!countyRaw) {
-        throw new Error(messages.fipsinvalid);
+        throw new EASError(ERROR_CODES.INVALID_FIPS, messages.fipsinvalid, { field: 'fips', position: 1, value: data });
     }
 
     const county = countyRaw.trim();
-    const region = isStatewide ? county : regionRaw?.trim() ?? 'Unknown';
+    const region = isStatewide ? county : regionRaw?.trim() ?? messages.unknownregion;
 
-    const formatted = isStatewide
-        ? `${subdivision} of ${county}`
-        : `${subdivision} ${county}, ${region}`;
+    const formatted = formatMessage(isStatewide ? messages.statewide : messages.county, {
+        subdivision: subdivision.trim(),
+        county,
+        region
+    });
 
     return {
         subdivision,
         county,
         region,
         formatted,
+        country: location.country,
     };
 };
 
@@ -1,5 +1,7 @@
 const translateFips = require('./translateFips');
 const messages = require('./locals/en_us.json');
+const esMessages = require('./locals/es_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
 
 describe('translateFips', () => {
     it('should translate a valid FIPS code to county and region', () => {
@@ -8,7 +10,8 @@ describe('translateFips', () => {
             subdivision: 'All',
             county: 'Cascade',
             region: 'MT',
-            formatted: 'All Cascade, MT'
+            formatted: 'All Cascade, MT',
+            country: 'US'
         });
     });
 
@@ -33,4 +36,55 @@ describe('translateFips', () => {
         expect(() => translateFips('A30013')).toThrow(messages.invalidcharacters);
         expect(() => translateFips('AAAAAA')).toThrow(messages.invalidcharacters);
     });
-});
\ No newline at end of file
+
+    it('should throw errors with stable codes', () => {
+        expect(() => translateFips('000001')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_FIPS }));
+        expect(() => translateFips('A30013')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_CHARACTERS, position: 0 }));
+    });
+
+    it('should translate subdivisions in the locale asked for', () => {
+        expect(translateFips('227137', { locale: 'es_us' })).toEqual({
+            subdivision: 'Norte de ',
+            county: 'St. Louis',
+            region: 'MN',
+            formatted: 'Norte de St. Louis, MN',
+            country: 'US'
+        });
+        expect(translateFips('030013', { locale: 'fr_ca' }).formatted).toBe('Tout Cascade, MT');
+        expect(() => translateFips('A30013', { locale: 'es_us' })).toThrow(esMessages.invalidcharacters);
+    });
+
+    it('should translate Canadian Location Codes', () => {
+        expect(translateFips('059000', { country: 'CA' })).toEqual({
+            subdivision: 'All',
+            county: 'British Columbia',
+            region: 'British Columbia',
+            formatted: 'All of British Columbia',
+            country: 'CA'
+        });
+        // 59 is not a US state, so auto mode falls back to Canada.
+        expect(translateFips('059000').country).toBe('CA');
+        expect(translateFips('035000').county).toBe('New Mexico');
+        expect(() => translateFips('006081', { country: 'CA' })).toThrow(messages.fipsinvalid);
+    });
+
+    it('should describe marine zones', () => {
+        expect(translateFips('073250')).toEqual({
+            subdivision: 'All',
+            zone: 'ANZ250',
+            name: 'Coastal waters east of Ipswich Bay and the Stellwagen Bank National Marine Sanctuary',
+            waterBody: 'Western North Atlantic Ocean, along the U.S. East Coast from the Canadian border south to Currituck Beach Light, NC',
+            office: 'BOX',
+            formatted: 'Coastal waters east of Ipswich Bay and the Stellwagen Bank National Marine Sanctuary (ANZ250)',
+            country: 'US',
+            marine: true
+        });
+    });
+
+    it('should keep commas inside marine zone names', () => {
+        const result = translateFips('057915');
+        expect(result.name).toBe('Florence, OR to Point St. George between 150 NM and 250 NM offshore');
+        expect(result.zone).toBe('PZZ915');
+        expect(translateFips('091144')).toEqual(expect.objectContaining({ zone: 'LSZ144', waterBody: 'Lake Superior', office: 'DLH' }));
+    });
+});
@@ -0,0 +1,399 @@
+/**
+ * Channel impairments for the EASjs library
+ * @module impairments
+ *
+ * Degrades rendered alerts the way a radio channel does, so decoders can be
+ * tested against hard signals without capturing real RF. Every random choice
+ * comes from a seeded generator, so the same seed always gives the same audio.
+ */
+
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, formatMessage } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Impairments that can be asked for, in the order they are applied: the transmitter's
+ * clock and oscillator first, then the channel, then the receiver's noise and clipping.
+ */
+const IMPAIRMENTS = ['clockError', 'frequencyOffset', 'drift', 'fading', 'dropouts', 'noise', 'clipping'];
+
+/**
+ * Noise colours for the noise impairment.
+ */
+const NOISE_TYPES = ['white', 'pink'];
+
+/**
+ * Largest clock error, in percent, and largest frequency offset, in Hz.
+ */
+const MAX_CLOCK_ERROR = 10;
+const MAX_FREQUENCY_OFFSET = 1000;
+
+/**
+ * Taps in the Hilbert transformer used to shift frequencies. Odd, so the delay is a whole sample.
+ */
+const HILBERT_TAPS = 255;
+
+/**
+ * Offsets that give each impairment its own random sequence, so turning one on
+ * does not change what another does with the same seed.
+ */
+const STREAMS = {
+    bitErrors: 1,
+    fading: 2,
+    dropouts: 3,
+    noise: 4
+};
+
+const TWO_PI = 2 * Math.PI;
+const fromDB = (dB) => 10 ** (dB / 20);
+
+/**
+ * Applies channel impairments to mono samples.
+ *
+ * Bit errors need the header, so they can only be asked for through the
+ * `impairments` option of generateEASAlert() or renderEASAlert().
+ *
+ * @param {Float32Array} samples - The mono samples, such as those returned by renderEASAlert().
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @param {Object} [impairments={}] - The impairments to apply; any left out are not applied.
+ * @param {number} [impairments.seed=1] - The seed for every random choice.
+ * @param {{type?: string, snr: number}} [impairments.noise] - White or pink noise, at this signal-to-noise ratio in dB.
+ * @param {number} [impairments.frequencyOffset] - Shift every frequency by this many Hz.
+ * @param {number} [impairments.drift] - Let the frequency offset drift by this many Hz per second.
+ * @param {number} [impairments.clockError] - Run the transmitter's clock this many percent fast, or slow when negative.
+ * @param {{depth: number, rate: number}} [impairments.fading] - Fade down by up to depth dB, this many times per second.
+ * @param {number} [impairments.clipping] - Clip the signal at this level in dBFS.
+ * @param {{rate: number, duration: number}} [impairments.dropouts] - Drop the signal for duration ms, this many times per second on average.
+ * @param {Object} [options={}] - Options for error messages.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {Float32Array} The impaired samples. Clock errors change how many there are.
+ * @throws {EASError} If the samples, sample rate or an impairment are invalid.
+ */
+const impairAudio = (samples, sampleRate, impairments = {}, { locale } = {}) => {
+    const messages = resolveMessages(locals, locale);
+    if (!(samples instanceof Float32Array)) {
+        throw new EASError(ERROR_CODES.INVALID_AUDIO, messages.samplesinvalid, { field: 'samples' });
+    }
+    if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.samplerateinvalid, { field: 'sampleRate', value: sampleRate });
+    }
+
+    return applyImpairments(samples, sampleRate, resolveImpairments(impairments, { locale }));
+};
+
+/**
+ * Validates the impairments, filling in the defaults and choosing the bits to flip.
+ * @param {Object} impairments - The impairments asked for.
+ * @param {Object} [context={}] - What is being impaired.
+ * @param {string} [context.data] - The data sent in each header burst; bit errors are rejected without it.
+ * @param {number} [context.bursts=0] - How many header bursts there are.
+ * @param {string} [context.locale] - The locale for error messages.
+ * @returns {object} The settings for applyImpairments(), with bitErrors holding the bits to flip in each burst.
+ * @throws {EASError} If an impairment is invalid.
+ */
+const resolveImpairments = (impairments, { data = '', bursts = 0, locale } = {}) => {
+    const messages = resolveMessages(locals, locale);
+    const invalid = (name, message, value = impairments[name]) => new EASError(ERROR_CODES.INVALID_OPTION, message, { field: `impairments.${name}`, value });
+
+    if (impairments === null || typeof impairments !== 'object' || Array.isArray(impairments)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.impairmentsinvalid, { field: 'impairments', value: impairments });
+    }
+    const unknown = Object.keys(impairments).find((name) => name !== 'seed' && name !== 'bitErrors' && !IMPAIRMENTS.includes(name));
+    if (unknown) throw invalid(unknown, formatMessage(messages.impairmentunknown, { name: unknown }));
+
+    const { seed = 1, noise, frequencyOffset = 0, drift = 0, clockError = 0, fading, clipping, dropouts, bitErrors = [] } = impairments;
+    if (!Number.isInteger(seed)) throw invalid('seed', messages.seedinvalid);
+
+    if (noise !== undefined) {
+        const { type = 'white', snr } = noise ?? {};
+        if (!NOISE_TYPES.includes(type) || !Number.isFinite(snr)) throw invalid('noise', messages.noiseinvalid);
+    }
+    if (!Number.isFinite(frequencyOffset) || Math.abs(frequencyOffset) > MAX_FREQUENCY_OFFSET) {
+        throw invalid('frequencyOffset', formatMessage(messages.frequencyoffsetinvalid, { limit: MAX_FREQUENCY_OFFSET }));
+    }
+    if (!Number.isFinite(drift)) throw invalid('drift', messages.driftinvalid);
+    if (!Number.isFinite(clockError) || Math.abs(clockError) > MAX_CLOCK_ERROR) {
+        throw invalid('clockError', formatMessage(messages.clockerrorinvalid, { limit: MAX_CLOCK_ERROR }));
+    }
+    if (fading !== undefined && !(fading?.depth > 0 && fading.rate > 0 && Number.isFinite(fading.depth) && Number.isFinite(fading.rate))) {
+        throw invalid('fading', messages.fadinginvalid);
+    }
+    if (clipping !== undefined && !(Number.isFinite(clipping) && clipping <= 0)) throw invalid('clipping', messages.clippinginvalid);
+    if (dropouts !== undefined && !(dropouts?.rate > 0 && dropouts.duration > 0 && Number.isFinite(dropouts.rate) && Number.isFinite(dropouts.duration))) {
+        throw invalid('dropouts', messages.dropoutsinvalid);
+    }
+
+    return {
+        seed,
+        noise: noise === undefined ? null : { type: noise.type ?? 'white', snr: noise.snr },
+        frequencyOffset,
+        drift,
+        clockError,
+        fading: fading ?? null,
+        clipping: clipping ?? null,
+        dropouts: dropouts ?? null,
+        bitErrors: resolveBitErrors(bitErrors, data, bursts, seed, messages)
+    };
+};
+
+/**
+ * Checks the bit errors and chooses the positions of the random ones.
+ * @param {object[]} bitErrors - The bit errors asked for: { burst, bits } or { burst, count }.
+ * @param {string} data - The data sent in each header burst.
+ * @param {number} bursts - How many header bursts there are; 0 when there is no header.
+ * @param {number} seed - The seed for the random positions.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {number[][]} The bit positions to flip in each burst, in order.
+ * @throws {EASError} If a bit error is invalid.
+ */
+const resolveBitErrors = (bitErrors, data, bursts, seed, messages) => {
+    const invalid = (message, value = bitErrors) => new EASError(ERROR_CODES.INVALID_OPTION, message, { field: 'impairments.bitErrors', value });
+
+    if (!Array.isArray(bitErrors)) throw invalid(messages.biterrorsinvalid);
+    if (bitErrors.length > 0 && bursts === 0) throw invalid(messages.biterrorsneedheader);
+
+    const length = data.length * 8;
+    const random = createRandom(seed, STREAMS.bitErrors);
+    const flips = Array.from({ length: bursts }, () => new Set());
+    for (const error of bitErrors) {
+        const { burst, bits, count } = error ?? {};
+        if (!Number.isInteger(burst) || burst < 1 || burst > bursts) {
+            throw invalid(formatMessage(messages.burstinvalid, { bursts }), error);
+        }
+        if ((bits === undefined) === (count === undefined)) throw invalid(messages.biterrorsinvalid, error);
+
+        if (bits !== undefined) {
+            if (!Array.isArray(bits) || !bits.every((bit) => Number.isInteger(bit) && bit >= 0 && bit < length)) {
+                throw invalid(formatMessage(messages.bitsinvalid, { last: length - 1 }), error);
+            }
+            bits.forEach((bit) => flips[burst - 1].add(bit));
+        } else {
+            if (!Number.isInteger(count) || count < 0 || count > length) {
+                throw invalid(formatMessage(messages.countinvalid, { length }), error);
+            }
+            pickPositions(length, count, random).forEach((bit) => flips[burst - 1].add(bit));
+        }
+    }
+
+    return flips.map((positions) => [...positions].sort((a, b) => a - b));
+};
+
+/**
+ * Chooses distinct positions at random.
+ * @param {number} length - How many positions there are.
+ * @param {number} count - How many to choose.
+ * @param {function(): number} random - The random number generator.
+ * @returns {number[]} The chosen positions.
+ */
+const pickPositions = (length, count, random) => {
+    const positions = Array.from({ length }, (_, i) => i);
+    for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(random() * (length - i));
+        [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+    return positions.slice(0, count);
+};
+
+/**
+ * Flips bits in data about to be sent. Bits are counted in the order they are sent, least significant first.
+ * @param {string} data - The data, one byte per character.
+ * @param {number[]} positions - The bits to flip.
+ * @returns {string} The data with the bits flipped.
+ */
+const flipBits = (data, positions) => {
+    if (positions.length === 0) return data;
+
+    const codes = Array.from(data, (character) => character.charCodeAt(0));
+    for (const position of positions) codes[position >> 3] ^= 1 << (position & 7);
+    return String.fromCharCode(...codes);
+};
+
+/**
+ * Applies the signal impairments from resolveImpairments(). Bit errors are applied by the renderer.
+ * @param {Float32Array} samples - The mono samples.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @param {object} settings - The settings from resolveImpairments().
+ * @returns {Float32Array} The impaired samples; the input itself when nothing is applied.
+ */
+const applyImpairments = (samples, sampleRate, settings) => {
+    const { seed, noise, frequencyOffset, drift, clockError, fading, clipping, dropouts } = settings;
+    // Noise is measured against the signal as sent, so fades and dropouts lower the SNR as they would on air.
+    const signalPower = noise ? measurePower(samples) : 0;
+
+    let output = samples;
+    if (clockError !== 0) output = resample(output, 1 + clockError / 100);
+    if (frequencyOffset !== 0 || drift !== 0) output = shiftFrequency(output, sampleRate, frequencyOffset, drift);
+    if (output === samples && (fading || dropouts || noise || clipping !== null)) output = Float32Array.from(samples);
+
+    if (fading) applyFading(output, sampleRate, fading, createRandom(seed, STREAMS.fading));
+    if (dropouts) applyDropouts(output, sampleRate, dropouts, createRandom(seed, STREAMS.dropouts));
+    if (noise) addNoise(output, noise, signalPower, createRandom(seed, STREAMS.noise));
+    if (clipping !== null) {
+        const limit = fromDB(clipping);
+        for (let i = 0; i < output.length; i++) output[i] = Math.max(-limit, Math.min(limit, output[i]));
+    }
+    return output;
+};
+
+/**
+ * Measures the average power of the signal, leaving out silence.
+ * @param {Float32Array} samples - The samples.
+ * @returns {number} The mean square of the samples that are not zero; 0 if all are.
+ */
+const measurePower = (samples) => {
+    let sumSquares = 0;
+    let count = 0;
+    for (let i = 0; i < samples.length; i++) {
+        if (samples[i] === 0) continue;
+        sumSquares += samples[i] * samples[i];
+        count++;
+    }
+    return count > 0 ? sumSquares / count : 0;
+};
+
+/**
+ * Resamples the signal as if the transmitter's clock ran at a different speed,
+ * which changes the baud rate and every frequency together.
+ * @param {Float32Array} samples - The samples.
+ * @param {number} ratio - How fast the clock runs: 1.01 is 1% fast.
+ * @returns {Float32Array} The resampled signal, shorter when the clock is fast.
+ */
+const resample = (samples, ratio) => {
+    const output = new Float32Array(Math.round(samples.length / ratio));
+    const at = (i) => samples[Math.max(0, Math.min(samples.length - 1, i))];
+
+    for (let n = 0; n < output.length; n++) {
+        const position = n * ratio;
+        const i = Math.floor(position);
+        const t = position - i;
+        // Catmull-Rom interpolation between samples i and i + 1.
+        const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+        output[n] = p1 + 0.5 * t * (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)));
+    }
+    return output;
+};
+
+/**
+ * Shifts every frequency in the signal by the same amount, as a receiver tuned
+ * off frequency would. Uses the analytic signal from a Hilbert transformer.
+ * @param {Float32Array} samples - The samples.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @param {number} offset - The shift at the start, in Hz.
+ * @param {number} drift - How fast the shift changes, in Hz per second.
+ * @returns {Float32Array} The shifted signal.
+ */
+const shiftFrequency = (samples, sampleRate, offset, drift) => {
+    const half = (HILBERT_TAPS - 1) / 2;
+    // Blackman-windowed ideal Hilbert transformer; only the odd taps are non-zero.
+    const taps = new Float64Array(half + 1);
+    for (let k = 1; k <= half; k += 2) {
+        const window = 0.42 + 0.5 * Math.cos((Math.PI * k) / (half + 1)) + 0.08 * Math.cos((TWO_PI * k) / (half + 1));
+        taps[k] = (2 / (Math.PI * k)) * window;
+    }
+
+    const output = new Float32Array(samples.length);
+    const at = (i) => (i >= 0 && i < samples.length ? samples[i] : 0);
+    for (let n = 0; n < samples.length; n++) {
+        let quadrature = 0;
+        for (let k = 1; k <= half; k += 2) quadrature += taps[k] * (at(n - k) - at(n + k));
+
+        const time = n / sampleRate;
+        const phase = TWO_PI * (offset * time + (drift * time * time) / 2);
+        output[n] = samples[n] * Math.cos(phase) - quadrature * Math.sin(phase);
+    }
+    return output;
+};
+
+/**
+ * Fades the signal up and down smoothly, starting at a random point in the cycle.
+ * @param {Float32Array} output - The samples, changed in place.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @param {{depth: number, rate: number}} fading - The deepest fade in dB, and fades per second.
+ * @param {function(): number} random - The random number generator.
+ */
+const applyFading = (output, sampleRate, { depth, rate }, random) => {
+    const start = TWO_PI * random();
+    const step = (TWO_PI * rate) / sampleRate;
+    for (let i = 0; i < output.length; i++) {
+        output[i] *= fromDB((-depth * (1 - Math.cos(start + step * i))) / 2);
+    }
+};
+
+/**
+ * Silences the signal at random times.
+ * @param {Float32Array} output - The samples, changed in place.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @param {{rate: number, duration: number}} dropouts - Dropouts per second on average, and how long each lasts in ms.
+ * @param {function(): number} random - The random number generator.
+ */
+const applyDropouts = (output, sampleRate, { rate, duration }, random) => {
+    const length = Math.round((duration / 1000) * sampleRate);
+    let position = 0;
+    for (;;) {
+        // The time to the next dropout is exponentially distributed.
+        position += Math.round((-Math.log(1 - random()) / rate) * sampleRate);
+        if (position >= output.length) return;
+        output.fill(0, position, position + length);
+        position += length;
+    }
+};
+
+/**
+ * Adds white or pink noise at a signal-to-noise ratio.
+ * @param {Float32Array} output - The samples, changed in place.
+ * @param {{type: string, snr: number}} noise - The noise colour, and the SNR in dB.
+ * @param {number} signalPower - The power the SNR is measured against.
+ * @param {function(): number} random - The random number generator.
+ */
+const addNoise = (output, { type, snr }, signalPower, random) => {
+    if (signalPower === 0) return;
+
+    const noise = new Float64Array(output.length);
+    let b0 = 0, b1 = 0, b2 = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < noise.length; i++) {
+        // Box-Muller transform from two uniform values.
+        const white = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(TWO_PI * random());
+        if (type === 'pink') {
+            // Paul Kellet's filter, close to -3 dB per octave across the audio band.
+            b0 = 0.99765 * b0 + white * 0.0990460;
+            b1 = 0.96300 * b1 + white * 0.2965164;
+            b2 = 0.57000 * b2 + white * 1.0526913;
+            noise[i] = b0 + b1 + b2 + white * 0.1848;
+        } else {
+            noise[i] = white;
+        }
+        sumSquares += noise[i] * noise[i];
+    }
+
+    const gain = Math.sqrt((signalPower / 10 ** (snr / 10)) / (sumSquares / noise.length));
+    for (let i = 0; i < output.length; i++) output[i] += noise[i] * gain;
+};
+
+/**
+ * Creates a seeded random number generator (mulberry32).
+ * @param {number} seed - The seed.
+ * @param {number} stream - Which impairment the numbers are for.
+ * @returns {function(): number} A function returning numbers from 0 up to 1.
+ */
+const createRandom = (seed, stream) => {
+    let state = (seed + Math.imul(stream, 0x9E3779B9)) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+module.exports = {
+    impairAudio,
+    resolveImpairments,
+    applyImpairments,
+    flipBits
+};
@@ -0,0 +1,138 @@
+const { impairAudio } = require('./impairments');
+const { renderEASAlert } = require('../EASGenerator/renderAlert');
+const decodeSameAudio = require('../EASDecoder/decodeSameAudio');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const HEADER = 'ZCZC-WXR-TOR-027133+0030-3441441-ERN/CRTV-';
+const SAMPLE_RATE = 24000;
+
+/**
+ * One second of a sine wave at the given frequency.
+ */
+const sine = (frequency, amplitude = 0.5) =>
+    Float32Array.from({ length: SAMPLE_RATE }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+
+/**
+ * Estimates the frequency of a tone from its rising zero crossings.
+ */
+const measureFrequency = (samples) => {
+    let crossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+    }
+    return (crossings * SAMPLE_RATE) / samples.length;
+};
+
+const power = (samples) => samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length;
+
+describe('impairAudio', () => {
+    it('should give the same audio for the same seed and leave the input alone', () => {
+        const input = sine(1000);
+        const impairments = { noise: { type: 'pink', snr: 10 }, fading: { depth: 12, rate: 2 }, dropouts: { rate: 4, duration: 20 } };
+
+        const first = impairAudio(input, SAMPLE_RATE, impairments);
+        expect(impairAudio(input, SAMPLE_RATE, impairments)).toEqual(first);
+        expect(impairAudio(input, SAMPLE_RATE, { ...impairments, seed: 2 })).not.toEqual(first);
+        expect(input).toEqual(sine(1000));
+        expect(impairAudio(input, SAMPLE_RATE)).toBe(input);
+    });
+
+    it('should add noise at the signal-to-noise ratio', () => {
+        const input = sine(1000);
+        for (const type of ['white', 'pink']) {
+            const output = impairAudio(input, SAMPLE_RATE, { noise: { type, snr: 6 } });
+            const noise = output.map((sample, i) => sample - input[i]);
+            expect(10 * Math.log10(power(input) / power(noise))).toBeCloseTo(6, 1);
+        }
+    });
+
+    it('should shift frequencies and resample for clock errors', () => {
+        const shifted = impairAudio(sine(1000), SAMPLE_RATE, { frequencyOffset: 100 });
+        expect(measureFrequency(shifted)).toBeCloseTo(1100, -1);
+
+        const drifting = impairAudio(sine(1000), SAMPLE_RATE, { drift: 200 });
+        expect(measureFrequency(drifting.subarray(SAMPLE_RATE / 2))).toBeCloseTo(1150, -1);
+
+        // A clock 2% fast sends the same audio in less time, at higher frequencies.
+        const fast = impairAudio(sine(1000), SAMPLE_RATE, { clockError: 2 });
+        expect(fast.length).toBe(Math.round(SAMPLE_RATE / 1.02));
+        expect(measureFrequency(fast)).toBeCloseTo(1020, -1);
+    });
+
+    it('should fade, drop out and clip the signal', () => {
+        const faded = impairAudio(sine(1000), SAMPLE_RATE, { fading: { depth: 20, rate: 1 } });
+        const peaks = Array.from({ length: 10 }, (_, i) => Math.max(...faded.subarray(i * 2400, (i + 1) * 2400)));
+        expect(Math.max(...peaks)).toBeGreaterThan(0.4);
+        expect(Math.min(...peaks)).toBeLessThan(0.1);
+
+        const dropped = impairAudio(sine(1000), SAMPLE_RATE, { dropouts: { rate: 5, duration: 50 } });
+        const silent = dropped.filter((sample) => sample === 0).length;
+        expect(silent).toBeGreaterThan(0.05 * SAMPLE_RATE);
+        expect(silent).toBeLessThan(0.6 * SAMPLE_RATE);
+
+        const clipped = impairAudio(sine(1000), SAMPLE_RATE, { clipping: -12 });
+        expect(Math.max(...clipped)).toBeCloseTo(10 ** (-12 / 20), 5);
+    });
+
+    it('should flip bits in the chosen header bursts', async () => {
+        // Bit 0 turns the first Z (0x5A) into [ (0x5B); bit 8 turns the C (0x43) into B (0x42).
+        const samples = renderEASAlert(HEADER, {
+            sampleRate: SAMPLE_RATE,
+            attentionTone: false,
+            impairments: { bitErrors: [{ burst: 1, bits: [0] }, { burst: 3, bits: [8] }] }
+        });
+        const { headers } = await decodeSameAudio(samples, { sampleRate: SAMPLE_RATE, decode: false });
+
+        expect(headers[0].bursts.map(({ text }) => text.slice(0, 4))).toEqual(['[CZC', 'ZCZC', 'ZBZC']);
+
+        const random = { bitErrors: [{ burst: 2, count: 8 }], seed: 7 };
+        const first = renderEASAlert(HEADER, { sampleRate: SAMPLE_RATE, impairments: random });
+        expect(renderEASAlert(HEADER, { sampleRate: SAMPLE_RATE, impairments: random })).toEqual(first);
+        expect(first).not.toEqual(renderEASAlert(HEADER, { sampleRate: SAMPLE_RATE }));
+    });
+
+    it('should still decode an alert through a moderately bad channel', async () => {
+        const samples = renderEASAlert(HEADER, {
+            sampleRate: SAMPLE_RATE,
+            impairments: {
+                seed: 42,
+                noise: { snr: 10 },
+                frequencyOffset: 20,
+                clockError: 1,
+                fading: { depth: 6, rate: 0.5 },
+                bitErrors: [{ burst: 2, count: 10 }]
+            }
+        });
+        const { headers, eoms } = await decodeSameAudio(samples, { sampleRate: SAMPLE_RATE });
+
+        expect(headers[0].header).toBe(HEADER);
+        expect(headers[0].bursts[1].text).not.toBe(HEADER);
+        expect(eoms).toHaveLength(1);
+    });
+
+    it('should reject invalid impairments', () => {
+        const input = sine(1000);
+        const field = (impairments) => {
+            try {
+                impairAudio(input, SAMPLE_RATE, impairments);
+            } catch (error) {
+                expect(error.code).toBe(ERROR_CODES.INVALID_OPTION);
+                return error.field;
+            }
+            return null;
+        };
+
+        expect(field({ noise: { type: 'brown', snr: 10 } })).toBe('impairments.noise');
+        expect(field({ clockError: 20 })).toBe('impairments.clockError');
+        expect(field({ clipping: 3 })).toBe('impairments.clipping');
+        expect(field({ seed: 1.5 })).toBe('impairments.seed');
+        expect(field({ hum: 60 })).toBe('impairments.hum');
+        expect(field({ bitErrors: [{ burst: 1, count: 1 }] })).toBe('impairments.bitErrors');
+        expect(() => impairAudio([0, 1], SAMPLE_RATE)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_AUDIO }));
+
+        expect(() => renderEASAlert(HEADER, { impairments: { bitErrors: [{ burst: 4, count: 1 }] } }))
+            .toThrow(expect.objectContaining({ field: 'impairments.bitErrors', message: expect.stringMatching(/1 to 3/) }));
+        expect(() => renderEASAlert(HEADER, { impairments: { bitErrors: [{ burst: 1, bits: [HEADER.length * 8] }] } }))
+            .toThrow(expect.objectContaining({ field: 'impairments.bitErrors' }));
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Locale selection for the EASjs library
+ * @module locale
+ */
+
+const EASData = require('../../EASData.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+
+/**
+ * Supported locales and their BCP 47 language tags.
+ */
+const LOCALES = {
+    en_us: 'en-US',
+    es_us: 'es-US',
+    fr_ca: 'fr-CA'
+};
+
+/**
+ * Translated names that replace the English ones in EASData.json.
+ */
+const dataOverlays = {
+    en_us: {},
+    es_us: require('./data/es_us.json'),
+    fr_ca: require('./data/fr_ca.json')
+};
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+const dataCache = new Map();
+let currentLocale = 'en_us';
+
+/**
+ * Normalizes a locale name. Example: es-US becomes es_us
+ * @param {string} locale - The locale name.
+ * @returns {string} The normalized locale name.
+ */
+const normalizeLocale = (locale) => String(locale).trim().toLowerCase().replace('-', '_');
+
+/**
+ * Resolves the locale to use for a call.
+ * @param {string} [locale] - The locale asked for; the global locale is used when omitted.
+ * @returns {string} The normalized locale name.
+ * @throws {EASError} If the locale is not supported.
+ */
+const resolveLocale = (locale) => {
+    if (locale === undefined || locale === null) return currentLocale;
+
+    const name = normalizeLocale(locale);
+    if (!LOCALES[name]) {
+        const messages = { ...locals.en_us, ...locals[currentLocale] };
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.localeinvalid, { field: 'locale', value: locale });
+    }
+    return name;
+};
+
+/**
+ * Sets the locale used when a call does not pass one.
+ * @param {string} locale - The locale. Example: es_us
+ * @returns {string} The normalized locale name.
+ * @throws {EASError} If the locale is not supported.
+ */
+const setLocale = (locale) => {
+    currentLocale = resolveLocale(locale ?? '');
+    return currentLocale;
+};
+
+/**
+ * Gets the locale used when a call does not pass one.
+ * @returns {string} The locale name. Example: en_us
+ */
+const getLocale = () => currentLocale;
+
+/**
+ * Lists the supported locales.
+ * @returns {string[]} The locale names.
+ */
+const getLocales = () => Object.keys(LOCALES);
+
+/**
+ * Gets the BCP 47 language tag of a locale, for Intl and CAP.
+ * @param {string} [locale] - The locale; the global locale is used when omitted.
+ * @returns {string} The language tag. Example: es-US
+ */
+const getLocaleTag = (locale) => LOCALES[resolveLocale(locale)];
+
+/**
+ * Picks a module's messages for a locale, falling back to English for missing keys.
+ * @param {Object<string, object>} moduleLocals - The module's messages, by locale name.
+ * @param {string} [locale] - The locale; the global locale is used when omitted.
+ * @returns {object} The messages.
+ * @throws {EASError} If the locale is not supported.
+ */
+const resolveMessages = (moduleLocals, locale) => ({ ...moduleLocals.en_us, ...moduleLocals[resolveLocale(locale)] });
+
+/**
+ * Gets EASData.json with event, originator and subdivision names in a locale.
+ * @param {string} [locale] - The locale; the global locale is used when omitted.
+ * @returns {object} The translated data.
+ * @throws {EASError} If the locale is not supported.
+ */
+const getLocaleData = (locale) => {
+    const name = resolveLocale(locale);
+    if (!dataCache.has(name)) {
+        const overlay = dataOverlays[name];
+        const data = { ...EASData };
+        for (const [key, values] of Object.entries(overlay)) {
+            data[key] = { ...EASData[key], ...values };
+        }
+        dataCache.set(name, data);
+    }
+    return dataCache.get(name);
+};
+
+/**
+ * Fills the {placeholders} of a message template.
+ * @param {string} template - The template. Example: Audio file not found: {path}
+ * @param {object} values - The values, by placeholder name.
+ * @returns {string} The filled message; unknown placeholders are left as-is.
+ */
+const formatMessage = (template, values) =>
+    template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+module.exports = {
+    setLocale,
+    getLocale,
+    getLocales,
+    getLocaleTag,
+    resolveLocale,
+    resolveMessages,
+    getLocaleData,
+    formatMessage
+};
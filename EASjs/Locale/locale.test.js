@@ -0,0 +1,53 @@
+const { setLocale, getLocale, getLocales, getLocaleTag, resolveMessages, getLocaleData, formatMessage } = require('./locale');
+const EASData = require('../../EASData.json');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+describe('locale', () => {
+    afterEach(() => {
+        setLocale('en_us');
+    });
+
+    it('defaults to US English', () => {
+        expect(getLocale()).toBe('en_us');
+        expect(getLocaleTag()).toBe('en-US');
+    });
+
+    it('lists the supported locales', () => {
+        expect(getLocales()).toEqual(['en_us', 'es_us', 'fr_ca']);
+    });
+
+    it('sets the global locale and accepts language tags', () => {
+        expect(setLocale('es-US')).toBe('es_us');
+        expect(getLocale()).toBe('es_us');
+        expect(getLocaleTag('FR_CA')).toBe('fr-CA');
+    });
+
+    it('throws for unsupported locales and keeps the current one', () => {
+        setLocale('fr_ca');
+        expect(() => setLocale('de_de')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'locale' }));
+        expect(() => setLocale()).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION }));
+        expect(getLocale()).toBe('fr_ca');
+    });
+
+    it('falls back to English for missing messages', () => {
+        const locals = { en_us: { a: 'A', b: 'B' }, es_us: { a: 'Á' } };
+        expect(resolveMessages(locals, 'es_us')).toEqual({ a: 'Á', b: 'B' });
+        expect(resolveMessages(locals, 'fr_ca')).toEqual({ a: 'A', b: 'B' });
+    });
+
+    it('translates every event, originator and subdivision name', () => {
+        for (const locale of ['es_us', 'fr_ca']) {
+            const data = getLocaleData(locale);
+            for (const key of ['EVENTS', 'ORGS', 'ORGS2', 'SUBDIV']) {
+                expect(Object.keys(data[key])).toEqual(Object.keys(EASData[key]));
+            }
+            expect(data.EVENTS.TOR).not.toBe(EASData.EVENTS.TOR);
+            expect(data.SAME).toBe(EASData.SAME);
+        }
+    });
+
+    it('fills message placeholders', () => {
+        expect(formatMessage('{a} and {b}', { a: 1, b: 'two' })).toBe('1 and two');
+        expect(formatMessage('{a} and {missing}', { a: 1 })).toBe('1 and {missing}');
+    });
+});
@@ -0,0 +1,325 @@
+/**
+ * Location boundaries for the EASjs library
+ * @module locationGeometry
+ *
+ * County, state and national outlines come from the us-atlas package: the
+ * Census Bureau's 1:10,000,000 cartographic boundaries, simplified. Canadian
+ * locations, marine zones and the freely associated states have no outlines.
+ */
+
+const { feature } = require('topojson-client');
+const decodeSame = require('../EASText/decodeSame.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Counties EASData.json still lists under codes the Census Bureau has since
+ * retired, and the current counties that cover them.
+ */
+const RENAMED_COUNTIES = {
+    '02201': ['02198'],
+    '02232': ['02105', '02230'],
+    '02270': ['02158'],
+    '02280': ['02195', '02275'],
+    '46113': ['46102']
+};
+
+/**
+ * The listed code for each current county that replaced a retired one.
+ */
+const LISTED_COUNTIES = Object.fromEntries(
+    Object.entries(RENAMED_COUNTIES).flatMap(([listed, current]) => current.map((id) => [id, listed]))
+);
+
+/**
+ * Where each subdivision digit lies in a 3 by 3 grid over the area, as [row, column] from the northwest.
+ */
+const SUBDIVISION_CELLS = {
+    1: [0, 0], 2: [0, 1], 3: [0, 2],
+    4: [1, 0], 5: [1, 1], 6: [1, 2],
+    7: [2, 0], 8: [2, 1], 9: [2, 2]
+};
+
+let boundaries = null;
+
+/**
+ * Decodes the boundaries the first time they are needed, since they are the largest data the library carries.
+ * @returns {{counties: object[], countyById: Map, states: Map, nation: object}} The county outlines with their bounding
+ * boxes, the state outlines by 2-digit code, and the national outline.
+ */
+const loadBoundaries = () => {
+    if (boundaries) return boundaries;
+
+    const topology = require('us-atlas/counties-10m.json');
+    const counties = feature(topology, topology.objects.counties).features
+        .map(({ id, geometry }) => ({ id, geometry, bbox: boundingBox(geometry) }));
+
+    boundaries = {
+        counties,
+        countyById: new Map(counties.map((county) => [county.id, county])),
+        states: new Map(feature(topology, topology.objects.states).features.map(({ id, geometry }) => [id, geometry])),
+        nation: feature(topology, topology.objects.nation).features[0].geometry
+    };
+    return boundaries;
+};
+
+/**
+ * Finds the location codes that cover a point: the county, the part of the county
+ * its subdivision code names, the state, and the whole country.
+ *
+ * Subdivisions are approximate: the county's bounding box is cut into a 3 by 3
+ * grid, and the point gets the code of the cell it falls in.
+ *
+ * @param {number} lat - The latitude in degrees, from -90 to 90.
+ * @param {number} lon - The longitude in degrees, from -180 to 180.
+ * @param {Object} [options={}] - Options for the lookup.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {string[]} The 6-digit codes, counties first; empty if the point is outside every county.
+ * @throws {EASError} If the latitude or longitude is invalid.
+ */
+const locationsAtPoint = (lat, lon, { locale } = {}) => {
+    const messages = resolveMessages(locals, locale);
+    if (typeof lat !== 'number' || !(lat >= -90 && lat <= 90)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.latitudeinvalid, { field: 'lat', value: lat });
+    }
+    if (typeof lon !== 'number' || !(lon >= -180 && lon <= 180)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.longitudeinvalid, { field: 'lon', value: lon });
+    }
+
+    const counties = loadBoundaries().counties
+        .filter(({ bbox }) => {
+            const [west, south, east, north] = bbox;
+            const x = alongBox(lon, bbox);
+            return x >= west && x <= east && lat >= south && lat <= north;
+        })
+        .filter(({ geometry }) => containsPoint(geometry, lon, lat));
+    if (counties.length === 0) return [];
+
+    const codes = new Set();
+    for (const { id } of counties) {
+        const listed = LISTED_COUNTIES[id] ?? id;
+        codes.add(`0${listed}`);
+        codes.add(`${subdivisionAt(boundingBox(countyGeometry(listed)), lon, lat)}${listed}`);
+    }
+    for (const { id } of counties) codes.add(`0${id.slice(0, 2)}000`);
+    codes.add('000000');
+    return [...codes];
+};
+
+/**
+ * Decodes a header and outlines every location it names, as a GeoJSON FeatureCollection.
+ *
+ * Each location is a Feature whose `id` is its 6-digit code. Subdivision codes are
+ * flagged with `partial: true`, and their geometry is the matching ninth of the
+ * county's bounding box, clipped to the county. Locations without an outline
+ * have a null geometry.
+ *
+ * @param {string} zczcMessage - The SAME header.
+ * @param {Object} [options={}] - Options for decoding.
+ * @param {string} [options.locale] - The locale for names and error messages; defaults to the one set with setLocale().
+ * @param {string} [options.country='auto'] - Where the location codes come from: US, CA or auto.
+ * @returns {{type: 'FeatureCollection', features: object[]}} The alert area.
+ * @throws {EASError} If the header cannot be decoded.
+ */
+const alertAreaGeoJSON = (zczcMessage, { locale, country } = {}) => {
+    const { locations } = decodeSame(zczcMessage, { structured: true, locale, country });
+
+    return {
+        type: 'FeatureCollection',
+        features: locations.map(({ code, name, subdivision, statewide, country: locationCountry, marine = false }) => ({
+            type: 'Feature',
+            id: code,
+            geometry: locationCountry === 'US' && !marine ? locationGeometry(code) : null,
+            properties: {
+                code,
+                name,
+                subdivision: code[0] === '0' ? null : subdivision,
+                partial: code[0] !== '0',
+                statewide,
+                country: locationCountry
+            }
+        }))
+    };
+};
+
+/**
+ * Outlines a US location code.
+ * @param {string} code - The 6-digit location code.
+ * @returns {object|null} The GeoJSON geometry, or null if there is no outline for it.
+ */
+const locationGeometry = (code) => {
+    const area = code.slice(1);
+    const whole = area === '00000'
+        ? loadBoundaries().nation
+        : area.endsWith('000') ? loadBoundaries().states.get(area.slice(0, 2)) ?? null : countyGeometry(area);
+
+    if (!whole || code[0] === '0') return whole;
+    return clipToSubdivision(whole, code[0]);
+};
+
+/**
+ * Outlines a county, joining the current counties that replaced a retired code.
+ * @param {string} id - The 5-digit county code.
+ * @returns {object|null} The GeoJSON geometry, or null if the county has no outline.
+ */
+const countyGeometry = (id) => {
+    const { countyById } = loadBoundaries();
+    const parts = (RENAMED_COUNTIES[id] ?? [id]).map((current) => countyById.get(current)).filter(Boolean);
+    if (parts.length === 0) return null;
+    if (parts.length === 1) return parts[0].geometry;
+    return { type: 'MultiPolygon', coordinates: parts.flatMap(({ geometry }) => polygonsOf(geometry)) };
+};
+
+/**
+ * Cuts a geometry down to the part a subdivision digit names.
+ * @param {object} geometry - The GeoJSON Polygon or MultiPolygon.
+ * @param {string} digit - The subdivision digit, 1 to 9.
+ * @returns {object|null} The clipped MultiPolygon, or null if the digit is not a subdivision.
+ */
+const clipToSubdivision = (geometry, digit) => {
+    const cell = SUBDIVISION_CELLS[digit];
+    if (!cell) return null;
+
+    const [west, south, east, north] = boundingBox(geometry);
+    const [row, column] = cell;
+    const width = (east - west) / 3;
+    const height = (north - south) / 3;
+    const bounds = [west + column * width, north - (row + 1) * height, west + (column + 1) * width, north - row * height];
+
+    const coordinates = [];
+    for (const polygon of polygonsOf(geometry)) {
+        // Polygons never cross the antimeridian themselves, so one shift moves a whole polygon onto the box and back.
+        const shift = polygon[0].some(([x]) => x < west) ? 360 : 0;
+        const [outer, ...holes] = polygon.map((ring) => ring.map(([x, y]) => [x + shift, y]));
+        const clip = (ring) => clipRing(ring, bounds).map(([x, y]) => [x - shift, y]);
+
+        const clipped = clip(outer);
+        // A polygon whose outer ring was clipped away is gone, holes and all.
+        if (clipped.length === 0) continue;
+        coordinates.push([clipped, ...holes.map(clip).filter((hole) => hole.length > 0)]);
+    }
+    return { type: 'MultiPolygon', coordinates };
+};
+
+/**
+ * Clips a ring to a rectangle (Sutherland-Hodgman).
+ * @param {number[][]} ring - The closed ring of [lon, lat] positions.
+ * @param {number[]} bounds - The rectangle: [west, south, east, north].
+ * @returns {number[][]} The clipped, closed ring; empty if nothing is left.
+ */
+const clipRing = (ring, [west, south, east, north]) => {
+    const edges = [
+        [(p) => p[0] >= west, (a, b) => crossX(a, b, west)],
+        [(p) => p[0] <= east, (a, b) => crossX(a, b, east)],
+        [(p) => p[1] >= south, (a, b) => crossY(a, b, south)],
+        [(p) => p[1] <= north, (a, b) => crossY(a, b, north)]
+    ];
+
+    let points = ring.slice(0, -1);
+    for (const [inside, cross] of edges) {
+        const input = points;
+        points = [];
+        for (let i = 0; i < input.length; i++) {
+            const current = input[i];
+            const previous = input[(i + input.length - 1) % input.length];
+            if (inside(current)) {
+                if (!inside(previous)) points.push(cross(previous, current));
+                points.push(current);
+            } else if (inside(previous)) {
+                points.push(cross(previous, current));
+            }
+        }
+    }
+    return points.length >= 3 ? [...points, points[0]] : [];
+};
+
+const crossX = ([x1, y1], [x2, y2], x) => [x, y1 + ((y2 - y1) * (x - x1)) / (x2 - x1)];
+const crossY = ([x1, y1], [x2, y2], y) => [x1 + ((x2 - x1) * (y - y1)) / (y2 - y1), y];
+
+/**
+ * Finds the subdivision digit of the cell of an area's bounding box a point falls in.
+ * @param {number[]} bbox - The bounding box: [west, south, east, north].
+ * @param {number} lon - The longitude.
+ * @param {number} lat - The latitude.
+ * @returns {string} The digit, 1 to 9.
+ */
+const subdivisionAt = (bbox, lon, lat) => {
+    const [west, south, east, north] = bbox;
+    const column = Math.min(2, Math.floor(((alongBox(lon, bbox) - west) / (east - west)) * 3));
+    const row = Math.min(2, Math.floor(((north - lat) / (north - south)) * 3));
+    return String(row * 3 + column + 1);
+};
+
+/**
+ * Checks whether a point is inside a geometry, by the even-odd rule over every ring.
+ * @param {object} geometry - The GeoJSON Polygon or MultiPolygon.
+ * @param {number} x - The longitude.
+ * @param {number} y - The latitude.
+ * @returns {boolean} True if the point is inside.
+ */
+const containsPoint = (geometry, x, y) => polygonsOf(geometry).some((rings) => {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+        }
+    }
+    return inside;
+});
+
+/**
+ * Measures the bounding box of a geometry.
+ *
+ * For an area that crosses the antimeridian, such as Aleutians West or Alaska, the
+ * box would span the globe; instead its western longitudes are shifted by 360, so
+ * the box runs east past 180. Use alongBox() to place a longitude on such a box.
+ *
+ * @param {object} geometry - The GeoJSON Polygon or MultiPolygon.
+ * @returns {number[]} The box: [west, south, east, north].
+ */
+const boundingBox = (geometry) => {
+    const measure = (unwrap) => {
+        const box = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const rings of polygonsOf(geometry)) {
+            for (const [lon, y] of rings[0]) {
+                const x = unwrap(lon);
+                box[0] = Math.min(box[0], x);
+                box[1] = Math.min(box[1], y);
+                box[2] = Math.max(box[2], x);
+                box[3] = Math.max(box[3], y);
+            }
+        }
+        return box;
+    };
+
+    const box = measure((x) => x);
+    return box[2] - box[0] > 180 ? measure((x) => (x < 0 ? x + 360 : x)) : box;
+};
+
+/**
+ * Places a longitude on a bounding box from boundingBox(), shifting it by 360 when the box runs past 180.
+ * @param {number} lon - The longitude, from -180 to 180.
+ * @param {number[]} bbox - The bounding box: [west, south, east, north].
+ * @returns {number} The longitude, from the box's west edge on.
+ */
+const alongBox = (lon, [west]) => (lon < west ? lon + 360 : lon);
+
+/**
+ * Lists the polygons of a geometry.
+ * @param {object} geometry - The GeoJSON Polygon or MultiPolygon.
+ * @returns {number[][][][]} The polygons, each a list of rings.
+ */
+const polygonsOf = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+
+module.exports = {
+    locationsAtPoint,
+    alertAreaGeoJSON
+};
@@ -0,0 +1,109 @@
+const { locationsAtPoint, alertAreaGeoJSON } = require('./locationGeometry');
+const messages = require('./locals/en_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+// Downtown Kansas City, in western Jackson County, Missouri.
+const KANSAS_CITY = [39.0997, -94.5786];
+
+/**
+ * The box around every position of a GeoJSON Polygon or MultiPolygon.
+ */
+const bounds = (geometry) => {
+    const positions = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates).flat(2);
+    return {
+        west: Math.min(...positions.map(([lon]) => lon)),
+        east: Math.max(...positions.map(([lon]) => lon)),
+        south: Math.min(...positions.map(([, lat]) => lat)),
+        north: Math.max(...positions.map(([, lat]) => lat))
+    };
+};
+
+describe('locationGeometry', () => {
+    it('should find the codes covering a point', () => {
+        expect(locationsAtPoint(...KANSAS_CITY)).toEqual(['029095', '429095', '029000', '000000']);
+        // Gary is in Lake County, Indiana.
+        expect(locationsAtPoint(41.5934, -87.3464)).toEqual(['018089', '218089', '018000', '000000']);
+        expect(locationsAtPoint(45, -30)).toEqual([]);
+    });
+
+    it('should return the codes EASData lists for renamed counties', () => {
+        // Oglala Lakota County was Shannon County (46113); Petersburg was part of Wrangell-Petersburg (02280).
+        expect(locationsAtPoint(43.0255, -102.5563)).toEqual(expect.arrayContaining(['046113', '046000']));
+        expect(locationsAtPoint(56.8125, -132.9556)).toEqual(expect.arrayContaining(['002280', '002000']));
+    });
+
+    it('should reject invalid coordinates', () => {
+        expect(() => locationsAtPoint(91, 0)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'lat', message: messages.latitudeinvalid }));
+        expect(() => locationsAtPoint(39, '-94')).toThrow(expect.objectContaining({ field: 'lon', message: messages.longitudeinvalid }));
+        expect(() => locationsAtPoint(NaN, 0)).toThrow(expect.objectContaining({ field: 'lat' }));
+    });
+
+    it('should outline every location of an alert', () => {
+        const area = alertAreaGeoJSON('ZCZC-WXR-TOR-029095-029000-000000-035000+0030-3441707-KEAX/NWS-');
+
+        expect(area.type).toBe('FeatureCollection');
+        expect(area.features.map(({ id }) => id)).toEqual(['029095', '029000', '000000', '035000']);
+        expect(area.features[0]).toEqual({
+            type: 'Feature',
+            id: '029095',
+            geometry: { type: 'Polygon', coordinates: expect.any(Array) },
+            properties: { code: '029095', name: 'Jackson, MO', subdivision: null, partial: false, statewide: false, country: 'US' }
+        });
+
+        const county = bounds(area.features[0].geometry);
+        expect(county.west).toBeLessThan(KANSAS_CITY[1]);
+        expect(county.east).toBeGreaterThan(KANSAS_CITY[1]);
+        expect(county.south).toBeLessThan(KANSAS_CITY[0]);
+        expect(county.north).toBeGreaterThan(KANSAS_CITY[0]);
+
+        const state = bounds(area.features[1].geometry);
+        expect(state.west).toBeLessThan(county.west);
+        expect(state.north).toBeGreaterThan(county.north);
+        expect(area.features[2].geometry.type).toBe('MultiPolygon');
+        expect(area.features[3].properties.name).toBe('New Mexico');
+    });
+
+    it('should flag subdivisions as partial, with the matching part of the county', () => {
+        const [whole, northwest, southeast] = alertAreaGeoJSON('ZCZC-WXR-TOR-029095-129095-929095+0030-3441707-KEAX/NWS-').features;
+        const county = bounds(whole.geometry);
+        const width = county.east - county.west;
+        const height = county.north - county.south;
+
+        expect(northwest.properties).toEqual(expect.objectContaining({ subdivision: 'Northwestern', partial: true }));
+        const nw = bounds(northwest.geometry);
+        expect(nw.west).toBeCloseTo(county.west, 6);
+        expect(nw.east).toBeLessThanOrEqual(county.west + width / 3 + 1e-9);
+        expect(nw.south).toBeGreaterThanOrEqual(county.north - height / 3 - 1e-9);
+
+        const se = bounds(southeast.geometry);
+        expect(se.east).toBeLessThanOrEqual(county.east + 1e-9);
+        expect(se.west).toBeGreaterThanOrEqual(county.east - width / 3 - 1e-9);
+        expect(se.north).toBeLessThanOrEqual(county.south + height / 3 + 1e-9);
+    });
+
+    it('should split counties that cross the antimeridian into ninths of their real extent', () => {
+        // Aleutians West runs from Attu, at 173 degrees east, to past 170 degrees west.
+        expect(locationsAtPoint(52.9, 173.2)).toEqual(['002016', '702016', '002000', '000000']);
+        expect(locationsAtPoint(51.88, -176.65)).toEqual(['002016', '802016', '002000', '000000']);
+
+        const area = alertAreaGeoJSON('ZCZC-WXR-TSW-702016-902016-302016+0030-3441707-PAFC/NWS-').features;
+        const [southwest, southeast, northeast] = area.map(({ geometry }) => bounds(geometry));
+        expect(southwest.west).toBeGreaterThan(172);
+        expect(southwest.east).toBeLessThanOrEqual(180);
+        expect(southeast.west).toBeGreaterThanOrEqual(-180);
+        expect(southeast.east).toBeLessThan(-160);
+        // The Pribilof Islands, in the northeast.
+        expect(northeast.north).toBeGreaterThan(57);
+        for (const { geometry } of area) expect(geometry.coordinates.length).toBeGreaterThan(0);
+    });
+
+    it('should leave locations without an outline unlocated', () => {
+        const [canada] = alertAreaGeoJSON('ZCZC-WXR-TOR-035000+0030-3441707-EC/GC/CA-').features;
+        expect(canada).toEqual(expect.objectContaining({ id: '035000', geometry: null }));
+        expect(canada.properties).toEqual(expect.objectContaining({ name: 'Ontario', country: 'CA' }));
+
+        const [marine] = alertAreaGeoJSON('ZCZC-WXR-SMW-057915+0100-3441940-KMFL/NWS-').features;
+        expect(marine.geometry).toBeNull();
+        expect(() => alertAreaGeoJSON('ZCZC-WXR-XYZ-029095+0030-3441707-KEAX/NWS-')).toThrow(expect.objectContaining({ field: 'event' }));
+    });
+});
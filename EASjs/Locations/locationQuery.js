@@ -0,0 +1,296 @@
+/**
+ * Location search and state listings for the EASjs library
+ * @module locationQuery
+ */
+
+const EASData = require('../../EASData.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+const { marineZone } = require('./locations.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Words that are written more than one way in place names, and the form they are compared in.
+ */
+const ABBREVIATIONS = {
+    saint: 'st',
+    sainte: 'ste',
+    fort: 'ft',
+    mount: 'mt'
+};
+
+/**
+ * Lowest fuzzy similarity (0 to 1) for a misspelled query to still match.
+ */
+const MIN_SIMILARITY = 0.75;
+
+let index = null;
+
+/**
+ * Searches the locations by name.
+ *
+ * Matching ignores case, accents and punctuation, treats "St." and "Saint"
+ * alike, and tolerates typos. A state abbreviation or name after the county
+ * narrows the match. Example: "santa clara ca"
+ *
+ * @param {string} query - The text to search for.
+ * @param {Object} [options={}] - Options for searching.
+ * @param {string} [options.state] - Only search this state (abbreviation, name or 2-digit code).
+ * @param {number} [options.limit=10] - The most results to return.
+ * @param {boolean} [options.marine=true] - Whether to include marine zones.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {object[]} The matching locations, best first, each with a `score` from 0 to 1.
+ * @throws {EASError} If the query is not a string or the state is unknown.
+ */
+const findLocations = (query, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+    if (typeof query !== 'string') {
+        throw new EASError(ERROR_CODES.NO_DATA, messages.nodata, { field: 'query' });
+    }
+
+    const { limit = 10, marine = true } = options;
+    const state = options.state === undefined ? null : findState(options.state, messages);
+    const search = normalize(query);
+    if (search === '') return [];
+
+    return getIndex().locations
+        .filter((location) => (marine || !location.marine) && (!state || location.state === state.abbreviation))
+        .map((location) => ({
+            location,
+            score: Math.max(...location.keys.map((key) => matchScore(search, key)))
+        }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.location.name.localeCompare(b.location.name))
+        .slice(0, limit)
+        .map(({ location, score }) => ({ ...publicLocation(location), score: Math.round(score * 1000) / 1000 }));
+};
+
+/**
+ * Lists the states and territories that have a statewide code.
+ * @returns {object[]} Each state's 2-digit code, abbreviation, name and statewide location code.
+ */
+const getStates = () => getIndex().states.map(({ code, abbreviation, name, statewide }) => ({ code, abbreviation, name, statewide }));
+
+/**
+ * Lists the counties of a state.
+ * @param {string} state - The state abbreviation, name or 2-digit code. Example: CA
+ * @param {Object} [options={}] - Options for listing.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {object[]} The counties, sorted by name.
+ * @throws {EASError} If the state is unknown.
+ */
+const getLocationsByState = (state, options = {}) => {
+    const { abbreviation } = findState(state, resolveMessages(locals, options.locale));
+    return getIndex().locations
+        .filter((location) => location.state === abbreviation && !location.statewide && !location.marine)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(publicLocation);
+};
+
+/**
+ * Gets the statewide location code of a state.
+ * @param {string} state - The state abbreviation, name or 2-digit code. Example: CA
+ * @param {Object} [options={}] - Options for the lookup.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {string} The 6-digit statewide code. Example: 006000
+ * @throws {EASError} If the state is unknown.
+ */
+const getStateCode = (state, options = {}) => findState(state, resolveMessages(locals, options.locale)).statewide;
+
+/**
+ * Expands a state into the location codes of all its counties.
+ * @param {string} state - The state abbreviation, name or 2-digit code. Example: RI
+ * @param {Object} [options={}] - Options for expanding.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {string[]} The 6-digit county codes. Example: ['044001', '044003', ...]
+ * @throws {EASError} If the state is unknown.
+ */
+const expandState = (state, options = {}) => getLocationsByState(state, options).map((location) => location.code);
+
+/**
+ * Expands a location into the codes for each of its nine parts (northwestern to southeastern).
+ * @param {string} code - The 6-digit location code; its subdivision digit is ignored. Example: 006081
+ * @param {Object} [options={}] - Options for expanding.
+ * @param {string} [options.locale] - The locale for error messages; defaults to the one set with setLocale().
+ * @returns {string[]} The codes for subdivisions 1 to 9. Example: ['106081', '206081', ...]
+ * @throws {EASError} If the location code is unknown.
+ */
+const expandSubdivisions = (code, options = {}) => {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code) || !EASData.SAME[code.slice(1)]) {
+        const messages = resolveMessages(locals, options.locale);
+        throw new EASError(ERROR_CODES.INVALID_FIPS, messages.fipsinvalid, { field: 'fips', value: code });
+    }
+    return Object.keys(EASData.SUBDIV)
+        .filter((subdivision) => subdivision !== '0')
+        .map((subdivision) => `${subdivision}${code.slice(1)}`);
+};
+
+/**
+ * Builds the search index from EASData.json on first use.
+ * @returns {{locations: object[], states: object[]}} Every location with its search keys, and every state.
+ */
+const getIndex = () => {
+    if (index) return index;
+
+    const countyStates = {};
+    for (const [code, name] of Object.entries(EASData.SAME)) {
+        if (!code.endsWith('000') && name.includes(',')) countyStates[code.slice(0, 2)] ??= name.split(',').pop().trim();
+    }
+
+    const states = Object.entries(EASData.SAME)
+        .filter(([code]) => code.endsWith('000') && code !== '00000')
+        .map(([code, name]) => ({
+            code: code.slice(0, 2),
+            abbreviation: countyStates[code.slice(0, 2)] ?? null,
+            name,
+            statewide: `0${code}`,
+            key: normalize(name)
+        }))
+        .sort((a, b) => a.code.localeCompare(b.code));
+    const stateNames = Object.fromEntries(states.map((state) => [state.abbreviation, state.key]));
+    const stateAbbreviations = Object.fromEntries(states.map((state) => [state.code, state.abbreviation]));
+
+    const locations = Object.entries(EASData.SAME)
+        .filter(([code]) => code !== '00000')
+        .map(([code, name]) => {
+            const zone = marineZone(code);
+            if (zone) {
+                return {
+                    code: `0${code}`,
+                    name: zone.name,
+                    county: null,
+                    state: null,
+                    statewide: false,
+                    marine: true,
+                    zone: zone.zone,
+                    keys: [normalize(zone.name)]
+                };
+            }
+
+            const statewide = code.endsWith('000');
+            const [county, state] = name.split(',').map((part) => part.trim());
+            const abbreviation = statewide ? stateAbbreviations[code.slice(0, 2)] : state ?? null;
+            const keys = statewide
+                ? [normalize(name), normalize(abbreviation ?? '')]
+                : [normalize(county), normalize(`${county} ${abbreviation}`), normalize(`${county} ${stateNames[abbreviation] ?? ''}`)];
+
+            return {
+                code: `0${code}`,
+                name,
+                county: statewide ? null : county,
+                state: abbreviation,
+                statewide,
+                marine: false,
+                keys: keys.filter((key) => key !== '')
+            };
+        });
+
+    index = { locations, states };
+    return index;
+};
+
+/**
+ * Strips the search keys from an indexed location.
+ * @param {object} location - The indexed location.
+ * @returns {object} The location as returned to callers.
+ */
+const publicLocation = ({ keys, ...location }) => location;
+
+/**
+ * Finds a state by abbreviation, name or 2-digit code.
+ * Names are matched loosely, so "Massachusetts" finds the dataset's "Massechusets".
+ * @param {string} state - The state to find.
+ * @param {object} messages - The error messages in the caller's locale.
+ * @returns {object} The indexed state.
+ * @throws {EASError} If the state is unknown.
+ */
+const findState = (state, messages) => {
+    const search = typeof state === 'string' ? normalize(state) : '';
+    const { states } = getIndex();
+
+    const found = states.find((entry) => entry.code === search
+            || entry.abbreviation?.toLowerCase() === search
+            || entry.key === search)
+        ?? (search.length >= 5 ? states.find((entry) => levenshtein(entry.key, search) <= 2) : undefined);
+
+    if (!found) {
+        throw new EASError(ERROR_CODES.UNKNOWN_STATE, messages.stateinvalid, { field: 'state', value: state });
+    }
+    return found;
+};
+
+/**
+ * Scores how well a search matches a key.
+ * @param {string} search - The normalized search text.
+ * @param {string} key - The normalized key.
+ * @returns {number} 1 for an exact match down to 0 for no match.
+ */
+const matchScore = (search, key) => {
+    if (key === search) return 1;
+    if (key.startsWith(search)) return 0.9;
+
+    const words = key.split(' ');
+    if (search.split(' ').every((word) => words.some((candidate) => candidate.startsWith(word)))) return 0.8;
+    if (key.includes(search)) return 0.7;
+    // Typos rarely change the first letter, and skipping those keys keeps typeahead fast.
+    if (search.length < 3 || key[0] !== search[0]) return 0;
+
+    // Compare against the start of the key for partly typed names, and against the whole key
+    // when the lengths are close enough for a match to be possible.
+    const allowed = Math.floor(search.length * (1 - MIN_SIMILARITY));
+    let distance = levenshtein(search, key.slice(0, search.length));
+    if (Math.abs(key.length - search.length) <= allowed) distance = Math.min(distance, levenshtein(search, key));
+
+    const similarity = 1 - distance / search.length;
+    return similarity >= MIN_SIMILARITY ? 0.6 * similarity : 0;
+};
+
+/**
+ * Normalizes text for comparison: lower case, no accents or punctuation, common abbreviations.
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text. Example: "Doña Ana" becomes "dona ana"
+ */
+const normalize = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map((word) => ABBREVIATIONS[word] ?? word)
+    .join(' ');
+
+/**
+ * Counts the single-character edits between two strings.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The edit distance.
+ */
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+module.exports = {
+    findLocations,
+    getStates,
+    getLocationsByState,
+    getStateCode,
+    expandState,
+    expandSubdivisions
+};
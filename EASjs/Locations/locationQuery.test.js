@@ -0,0 +1,105 @@
+const { findLocations, getStates, getLocationsByState, getStateCode, expandState, expandSubdivisions } = require('./locationQuery');
+const messages = require('./locals/en_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+describe('locationQuery', () => {
+    describe('findLocations', () => {
+        it('should find a county by name and state', () => {
+            const [result] = findLocations('Santa Clara, CA');
+            expect(result).toEqual({
+                code: '006085',
+                name: 'Santa Clara, CA',
+                county: 'Santa Clara',
+                state: 'CA',
+                statewide: false,
+                marine: false,
+                score: 1
+            });
+        });
+
+        it('should ignore case, accents and punctuation', () => {
+            expect(findLocations('DOÑA ANA')[0].name).toBe('Dona Ana, NM');
+            expect(findLocations("st marys md")[0].name).toBe("St. Mary's, MD");
+        });
+
+        it('should treat Saint and St. alike', () => {
+            const names = findLocations('Saint Louis', { limit: 3 }).map((location) => location.name);
+            expect(names).toEqual(['St. Louis, MN', 'St. Louis, MO', 'St. Louis, MO']);
+            expect(findLocations('sainte genevieve')[0].name).toBe('Ste. Genevieve, MO');
+        });
+
+        it('should match partly typed and misspelled names', () => {
+            expect(findLocations('san mat', { state: 'CA' })[0].name).toBe('San Mateo, CA');
+            expect(findLocations('snta clra')[0].name).toBe('Santa Clara, CA');
+            expect(findLocations('xqzv')).toEqual([]);
+        });
+
+        it('should rank statewide codes for state names', () => {
+            const [result] = findLocations('California');
+            expect(result).toEqual(expect.objectContaining({ code: '006000', statewide: true, state: 'CA' }));
+        });
+
+        it('should find marine zones unless asked not to', () => {
+            expect(findLocations('Ipswich Bay')[0]).toEqual(expect.objectContaining({ marine: true, zone: 'ANZ250' }));
+            expect(findLocations('Ipswich Bay', { marine: false })).toEqual([]);
+        });
+
+        it('should honor the limit and the state filter', () => {
+            expect(findLocations('Washington', { limit: 5 })).toHaveLength(5);
+            expect(findLocations('Washington', { state: 'OR' }).map((location) => location.state)).toEqual(['OR']);
+        });
+
+        it('should return nothing for a blank query and throw for a missing one', () => {
+            expect(findLocations('  ')).toEqual([]);
+            expect(() => findLocations()).toThrow(messages.nodata);
+        });
+    });
+
+    describe('states', () => {
+        it('should list the states by code', () => {
+            const states = getStates();
+            expect(states[0]).toEqual({ code: '01', abbreviation: 'AL', name: 'Alabama', statewide: '001000' });
+            expect(states.map((state) => state.abbreviation)).toContain('PR');
+        });
+
+        it('should list the counties of a state', () => {
+            const counties = getLocationsByState('RI');
+            expect(counties.map((county) => county.name)).toEqual([
+                'Bristol, RI',
+                'Kent, RI',
+                'Newport, RI',
+                'Providence, RI',
+                'Washington, RI'
+            ]);
+            expect(getLocationsByState('California')).toHaveLength(58);
+        });
+
+        it('should find the statewide code by abbreviation, name or code', () => {
+            expect(getStateCode('CA')).toBe('006000');
+            expect(getStateCode('california')).toBe('006000');
+            expect(getStateCode('06')).toBe('006000');
+            expect(getStateCode('Massachusetts')).toBe('025000');
+        });
+
+        it('should expand a state into its county codes', () => {
+            expect(expandState('RI')).toEqual(['044001', '044003', '044005', '044007', '044009']);
+        });
+
+        it('should throw for unknown states', () => {
+            expect(() => getStateCode('ZZ')).toThrow(messages.stateinvalid);
+            expect(() => getLocationsByState()).toThrow(expect.objectContaining({ code: ERROR_CODES.UNKNOWN_STATE }));
+        });
+    });
+
+    describe('expandSubdivisions', () => {
+        it('should expand a county into its nine parts', () => {
+            expect(expandSubdivisions('006081')).toEqual([
+                '106081', '206081', '306081', '406081', '506081', '606081', '706081', '806081', '906081'
+            ]);
+        });
+
+        it('should throw for unknown codes', () => {
+            expect(() => expandSubdivisions('098765')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_FIPS }));
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Country-aware location lookup for the EASjs library
+ * @module locations
+ */
+
+const EASData = require('../../EASData.json');
+const CLCData = require('../../CLCData.json');
+const MarineData = require('../../MarineData.json');
+const TimeZoneData = require('../../TimeZoneData.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Location datasets by country: US county FIPS codes and Canadian Location Codes (CLC).
+ * The CLC dataset only has province-wide codes.
+ */
+const DATASETS = {
+    US: EASData.SAME,
+    CA: CLCData.CLC
+};
+
+/**
+ * Sender identifications that mark a header as Canadian. Weatheradio Canada sends EC/GC/CA.
+ */
+const CANADIAN_SENDERS = ['EC/GC/CA'];
+
+/**
+ * Validates the country option.
+ * @param {string} [country='auto'] - US, CA, or auto to try both.
+ * @param {string} [locale] - The locale for the error message.
+ * @returns {string} US, CA or auto.
+ * @throws {EASError} If the country is not supported.
+ */
+const resolveCountry = (country = 'auto', locale) => {
+    const name = typeof country === 'string' ? country.trim() : '';
+    if (name.toLowerCase() === 'auto') return 'auto';
+    if (DATASETS[name.toUpperCase()]) return name.toUpperCase();
+
+    const messages = resolveMessages(locals, locale);
+    throw new EASError(ERROR_CODES.INVALID_OPTION, messages.countryinvalid, { field: 'country', value: country });
+};
+
+/**
+ * Guesses the country of a header from its sender.
+ * @param {string} sender - The sender identification.
+ * @returns {string|null} CA for Canadian senders, otherwise null.
+ */
+const detectCountry = (sender) =>
+    (typeof sender === 'string' && CANADIAN_SENDERS.includes(sender.trim().toUpperCase()) ? 'CA' : null);
+
+/**
+ * Looks up a location code without its subdivision digit.
+ *
+ * In auto mode the US dataset is tried first, since most codes are also valid
+ * US FIPS codes, unless `prefer` names Canada.
+ *
+ * @param {string} code - The 5-digit location code (SSCCC). Example: 06081
+ * @param {string} [country='auto'] - US, CA, or auto to try both.
+ * @param {string|null} [prefer=null] - The country tried first in auto mode.
+ * @returns {{country: string, name: string, marine: object|null}|null} The country, the location name and,
+ * for marine zones, the zone details from marineZone(); null if the code is unknown.
+ */
+const lookupLocation = (code, country = 'auto', prefer = null) => {
+    const order = country !== 'auto'
+        ? [country]
+        : prefer === 'CA' ? ['CA', 'US'] : ['US', 'CA'];
+
+    for (const candidate of order) {
+        const name = DATASETS[candidate][code];
+        if (name) return { country: candidate, name, marine: candidate === 'US' ? marineZone(code) : null };
+    }
+    return null;
+};
+
+/**
+ * Describes a US marine zone. Marine areas use the 57 to 77 and 91 to 98
+ * "state" codes, one for each ocean, gulf or lake.
+ * @param {string} code - The 5-digit location code. Example: 73250
+ * @returns {object|null} The NWS zone ID, zone name, water body and governing office, or null if the code
+ * is not a marine zone.
+ */
+const marineZone = (code) => {
+    const area = MarineData.AREAS[code.slice(0, 2)];
+    const name = EASData.SAME[code];
+    if (!area || !name) return null;
+
+    const number = parseInt(code.slice(2), 10);
+    const office = (MarineData.OFFICES[area.id] ?? []).find(([from, to]) => number >= from && number <= to);
+
+    return {
+        zone: `${area.id}Z${code.slice(2)}`,
+        // Zone names end with the area ID rather than a state. Example: "Lake Erie ..., LE"
+        name: name.endsWith(`, ${area.id}`) ? name.slice(0, -(area.id.length + 2)) : name,
+        waterBody: area.waterBody,
+        office: office?.[2] ?? null
+    };
+};
+
+/**
+ * Finds the IANA time zone of a location. Counties in states split between zones
+ * have their own entries; a statewide code gets the zone most of the state uses,
+ * and Canadian codes the zone of the provincial capital.
+ * @param {string} code - The 5-digit location code (SSCCC). Example: 18089
+ * @param {string} [country='auto'] - US, CA, or auto to try both.
+ * @param {string|null} [prefer=null] - The country tried first in auto mode.
+ * @returns {string|null} The time zone, or null if the code is unknown or covers more than one country.
+ */
+const locationTimeZone = (code, country = 'auto', prefer = null) => {
+    const location = lookupLocation(code, country, prefer);
+    if (!location) return null;
+
+    const stateCode = code.slice(0, 2);
+    if (location.country === 'CA') return TimeZoneData.PROVINCES[stateCode] ?? null;
+
+    // Marine areas that cross a zone line are split by zone number.
+    const number = parseInt(code.slice(2), 10);
+    const range = location.marine ? (TimeZoneData.MARINE[stateCode] ?? []).find(([from, to]) => number >= from && number <= to) : null;
+    return range?.[2] ?? TimeZoneData.COUNTIES[code] ?? TimeZoneData.STATES[stateCode] ?? null;
+};
+
+/**
+ * Finds the postal abbreviation of a state, province or territory.
+ * @param {string} stateCode - The 2-digit state or province code.
+ * @param {string} [country='US'] - US or CA.
+ * @returns {string|null} The abbreviation, or null if it has none (e.g. 00 for the whole country).
+ */
+const regionAbbreviation = (stateCode, country = 'US') => {
+    if (country === 'CA') return CLCData.PROVINCES[stateCode] ?? null;
+
+    const county = Object.entries(EASData.SAME)
+        .find(([code, name]) => code.startsWith(stateCode) && !code.endsWith('000') && name.includes(','));
+    return county ? county[1].split(',').pop().trim() : null;
+};
+
+module.exports = {
+    resolveCountry,
+    detectCountry,
+    lookupLocation,
+    marineZone,
+    locationTimeZone,
+    regionAbbreviation
+};
@@ -0,0 +1,77 @@
+const { resolveCountry, detectCountry, lookupLocation, marineZone, locationTimeZone, regionAbbreviation } = require('./locations');
+const messages = require('./locals/en_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
+const EASData = require('../../EASData.json');
+
+describe('locations', () => {
+    it('should validate the country option', () => {
+        expect(resolveCountry()).toBe('auto');
+        expect(resolveCountry('ca')).toBe('CA');
+        expect(resolveCountry('AUTO')).toBe('auto');
+        expect(() => resolveCountry('MX')).toThrow(messages.countryinvalid);
+        expect(() => resolveCountry(1)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION }));
+    });
+
+    it('should detect Weatheradio Canada senders', () => {
+        expect(detectCountry('EC/GC/CA')).toBe('CA');
+        expect(detectCountry('KFSD/NWS')).toBeNull();
+        expect(detectCountry(undefined)).toBeNull();
+    });
+
+    it('should look codes up in the US first in auto mode', () => {
+        expect(lookupLocation('35000')).toEqual({ country: 'US', name: 'New Mexico', marine: null });
+        expect(lookupLocation('35000', 'auto', 'CA')).toEqual({ country: 'CA', name: 'Ontario', marine: null });
+        expect(lookupLocation('62000')).toEqual({ country: 'CA', name: 'Nunavut', marine: null });
+        expect(lookupLocation('06081', 'CA')).toBeNull();
+    });
+
+    it('should only know province-wide Canadian codes', () => {
+        // Provinces and territories go by their Standard Geographical Classification code.
+        expect(lookupLocation('10000', 'CA')).toEqual({ country: 'CA', name: 'Newfoundland and Labrador', marine: null });
+        expect(lookupLocation('59000', 'CA').name).toBe('British Columbia');
+        expect(regionAbbreviation('48', 'CA')).toBe('AB');
+        expect(regionAbbreviation('62', 'CA')).toBe('NU');
+        // Weatheradio Canada region codes are not in the dataset yet.
+        expect(lookupLocation('35100', 'CA')).toBeNull();
+    });
+
+    it('should find state and province abbreviations', () => {
+        expect(regionAbbreviation('06')).toBe('CA');
+        expect(regionAbbreviation('24', 'CA')).toBe('QC');
+        expect(regionAbbreviation('00')).toBeNull();
+    });
+
+    it('should describe marine zones and leave land codes alone', () => {
+        expect(marineZone('59110')).toEqual(expect.objectContaining({ zone: 'PHZ110', office: 'HFO' }));
+        expect(marineZone('06081')).toBeNull();
+        expect(marineZone('73999')).toBeNull();
+        expect(lookupLocation('73250').marine.zone).toBe('ANZ250');
+        expect(lookupLocation('06081').marine).toBeNull();
+    });
+
+    it('should know the office of every marine zone', () => {
+        const zones = Object.keys(EASData.SAME).map((code) => marineZone(code)).filter(Boolean);
+        expect(zones.length).toBeGreaterThan(500);
+        expect(zones.filter(({ office }) => office === null).map(({ zone }) => zone)).toEqual([]);
+
+        expect(marineZone('77250').office).toBe('CRP');
+        expect(marineZone('92741').office).toBe('LOT');
+        expect(marineZone('77656').office).toBe('MFL');
+        expect(marineZone('58200').office).toBe('AFG');
+    });
+
+    it('should find time zones, down to the county in split states', () => {
+        expect(locationTimeZone('06081')).toBe('America/Los_Angeles');
+        expect(locationTimeZone('18089')).toBe('America/Chicago');
+        expect(locationTimeZone('18097')).toBe('America/Indiana/Indianapolis');
+        expect(locationTimeZone('21227')).toBe('America/Chicago');
+        expect(locationTimeZone('21067')).toBe('America/New_York');
+        expect(locationTimeZone('47093')).toBe('America/New_York');
+        expect(locationTimeZone('47037')).toBe('America/Chicago');
+        expect(locationTimeZone('35000')).toBe('America/Denver');
+        expect(locationTimeZone('35000', 'CA')).toBe('America/Toronto');
+        expect(locationTimeZone('77830')).toBe('America/New_York');
+        expect(locationTimeZone('77250')).toBe('America/Chicago');
+        expect(locationTimeZone('00000')).toBeNull();
+    });
+});
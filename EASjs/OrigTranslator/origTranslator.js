@@ -3,29 +3,42 @@
  * @module origTranslator
  */
 
-const fipsData = require('../../EASData.json');
-const messages = require('./locals/en_us.json');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, getLocaleData } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
 
 /**
  * Translates an Originator code to its corresponding originator information.
  * @param {string} data - The originator code to translate.
+ * @param {Object} [options={}] - Options for translating.
+ * @param {string} [options.locale] - The locale for the name and messages; defaults to the one set with setLocale().
  * @returns {string} Translated originator name.
- * @throws {Error} If the originator code is invalid.
+ * @throws {EASError} If the originator code is invalid.
  */
-const origTranslator = (data) => {
+const origTranslator = (data, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+    const fipsData = getLocaleData(options.locale);
+
     if (typeof data !== 'string' || data.trim() === '') {
-        throw new Error(messages.nodata);
+        throw new EASError(ERROR_CODES.NO_DATA, messages.nodata, { field: 'originator' });
     }
 
     if (data.length !== 3 || !/^[a-zA-Z]{3}$/.test(data)) {
-        throw new Error(data.length !== 3 ? messages.originvalid : messages.invalidcharacters);
+        throw data.length !== 3
+            ? new EASError(ERROR_CODES.UNKNOWN_ORIGINATOR, messages.originvalid, { field: 'originator', value: data })
+            : new EASError(ERROR_CODES.INVALID_CHARACTERS, messages.invalidcharacters, { field: 'originator', position: data.search(/[^a-zA-Z]/), value: data });
     }
 
     const originCode = data.toUpperCase();
     const originResponse = fipsData.ORGS2?.[originCode];
 
     if (!originResponse) {
-        throw new Error(messages.originvalid);
+        throw new EASError(ERROR_CODES.UNKNOWN_ORIGINATOR, messages.originvalid, { field: 'originator', value: data });
     }
 
     return originResponse;
@@ -1,5 +1,7 @@
+const frMessages = require('./locals/fr_ca.json');
 const origTranslator = require('./origTranslator.js');
 const messages = require('./locals/en_us.json');
+const { ERROR_CODES } = require('../EASError/EASError');
 const fipsData = require('../../EASData.json');
 
 describe('origTranslator', () => {
@@ -30,4 +32,14 @@ describe('origTranslator', () => {
         expect(() => origTranslator('xyz')).toThrow(messages.originvalid);
     });
 
-});
\ No newline at end of file
+
+    it('throws errors with stable codes', () => {
+        expect(() => origTranslator('xyz')).toThrow(expect.objectContaining({ code: ERROR_CODES.UNKNOWN_ORIGINATOR }));
+        expect(() => origTranslator('C3M')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_CHARACTERS, position: 1 }));
+    });
+
+    it('translates the originator name in the locale asked for', () => {
+        expect(origTranslator('WXR', { locale: 'es_us' })).toBe('Servicio Meteorológico Nacional');
+        expect(() => origTranslator('xyz', { locale: 'fr_ca' })).toThrow(frMessages.originvalid);
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * Relay filter engine for the EASjs library
+ * @module relayFilter
+ */
+
+const decodeSame = require('../EASText/decodeSame.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * What a station can do with a received alert.
+ * forward relays it automatically, manual holds it for an operator, ignore drops it.
+ */
+const ACTIONS = ['forward', 'manual', 'ignore'];
+
+/**
+ * Days of the week, as accepted in time windows and in the order Date numbers them.
+ */
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Checks whether two location codes cover any of the same area.
+ *
+ * A code is PSSCCC: subdivision, state and county. County 000 covers the whole
+ * state, subdivision 0 covers the whole county, and 000000 covers the whole country.
+ * So 029000 overlaps 029095 and 929095, and 029095 overlaps 929095, but 229095 and
+ * 929095 do not overlap each other.
+ *
+ * @param {string} a - A 6-digit location code. Example: 029095
+ * @param {string} b - Another 6-digit location code.
+ * @returns {boolean} Whether the areas overlap.
+ */
+const locationsOverlap = (a, b) => {
+    const [partA, stateA, countyA] = [a.slice(0, 1), a.slice(1, 3), a.slice(3)];
+    const [partB, stateB, countyB] = [b.slice(0, 1), b.slice(1, 3), b.slice(3)];
+
+    if (stateA === '00' || stateB === '00') return true;
+    if (stateA !== stateB) return false;
+    if (countyA === '000' || countyB === '000') return true;
+    return countyA === countyB && (partA === '0' || partB === '0' || partA === partB);
+};
+
+/**
+ * Creates a relay filter from a station configuration.
+ *
+ * Rules are tried in order, like the filters of an ENDEC, and the first one that
+ * matches decides what happens to the alert. A rule matches when the alert's
+ * originator and event pass its lists, it arrives inside the rule's time window,
+ * and at least one of its locations overlaps one the rule monitors.
+ *
+ * @param {Object} config - The station configuration.
+ * @param {string[]} [config.locations] - The location codes the station monitors; rules without their own use these. Omit to match any location.
+ * @param {object[]} config.rules - The rules, in order.
+ * @param {string} [config.rules[].name] - A name for the rule, returned with the decision.
+ * @param {string} config.rules[].action - forward, manual or ignore.
+ * @param {string[]} [config.rules[].events] - The only event codes the rule matches.
+ * @param {string[]} [config.rules[].excludeEvents] - Event codes the rule never matches.
+ * @param {string[]} [config.rules[].originators] - The only originator codes the rule matches.
+ * @param {string[]} [config.rules[].excludeOriginators] - Originator codes the rule never matches.
+ * @param {string[]} [config.rules[].locations] - The location codes the rule monitors, instead of the station's.
+ * @param {Object} [config.rules[].window] - When the rule applies.
+ * @param {string} config.rules[].window.start - The local start time, HH:MM. Example: 22:00
+ * @param {string} config.rules[].window.end - The local end time, HH:MM; windows may run past midnight, and one ending when it starts lasts all day. Example: 06:00
+ * @param {Array<string|number>} [config.rules[].window.days] - The days the window starts on, as sun-sat or 0-6. Defaults to every day.
+ * @param {string} [config.rules[].window.timeZone] - The IANA time zone of the window, instead of the station's.
+ * @param {string} [config.defaultAction='ignore'] - The action when no rule matches.
+ * @param {string} [config.timeZone] - The station's IANA time zone. Defaults to the system time zone. Example: America/Chicago
+ * @param {Object} [options={}] - Options for the filter.
+ * @param {string} [options.locale] - The locale for messages and decoding; defaults to the one set with setLocale().
+ * @param {string} [options.country='auto'] - Where location codes come from when decoding: US, CA or auto.
+ * @returns {{rules: object[], evaluate: Function}} The filter, with its normalized rules.
+ * @throws {EASError} If the configuration is invalid.
+ */
+const createRelayFilter = (config, options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+
+    if (!config || typeof config !== 'object' || !Array.isArray(config.rules)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.configinvalid, { field: 'rules' });
+    }
+
+    const { defaultAction = 'ignore', timeZone } = config;
+    if (!ACTIONS.includes(defaultAction)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.actioninvalid, { field: 'defaultAction', value: defaultAction });
+    }
+    checkTimeZone(timeZone, 'timeZone', messages);
+    const locations = config.locations === undefined ? null : parseLocations(config.locations, 'locations', messages);
+
+    const rules = Object.freeze(config.rules.map((rule, index) => parseRule(rule, index, { locations, timeZone }, messages)));
+
+    /**
+     * Decides what to do with a received alert.
+     * @param {string} header - The SAME header.
+     * @param {Object} [evaluateOptions={}] - Options for the decision.
+     * @param {Date} [evaluateOptions.date=new Date()] - When the alert was received, for time windows.
+     * @returns {{action: string, rule: object|null, locations: string[], originator: string, event: string}} The action,
+     * the rule that matched (null when the default action applies), and the alert's location codes that the rule monitors.
+     * @throws {EASError} If the header cannot be decoded, or the date is invalid.
+     */
+    const evaluate = (header, evaluateOptions = {}) => {
+        const { date = new Date() } = evaluateOptions;
+        if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.dateinvalid, { field: 'date' });
+        }
+
+        const decoded = decodeSame(header, { structured: true, lenient: true, locale: options.locale, country: options.country });
+        if (decoded.errors.length > 0) throw decoded.errors[0];
+
+        const { originator, event } = decoded;
+        const codes = decoded.locations.map((location) => location.code);
+
+        for (const rule of rules) {
+            if (!matchesList(originator, rule.originators, rule.excludeOriginators)) continue;
+            if (!matchesList(event, rule.events, rule.excludeEvents)) continue;
+            if (rule.window && !inWindow(rule.window, date)) continue;
+
+            const matched = rule.locations === null
+                ? codes
+                : codes.filter((code) => rule.locations.some((monitored) => locationsOverlap(code, monitored)));
+            if (matched.length === 0) continue;
+
+            return { action: rule.action, rule, locations: matched, originator, event };
+        }
+
+        return { action: defaultAction, rule: null, locations: [], originator, event };
+    };
+
+    return Object.freeze({ rules, evaluate });
+};
+
+/**
+ * Validates and normalizes one rule.
+ * @param {object} rule - The rule from the configuration.
+ * @param {number} index - Its position in the rules.
+ * @param {object} defaults - The station's locations and time zone.
+ * @param {object} messages - The messages in the filter's locale.
+ * @returns {object} The frozen rule, with its index and every list as an upper-case array or null.
+ * @throws {EASError} If the rule is invalid.
+ */
+const parseRule = (rule, index, defaults, messages) => {
+    const field = (name) => `rules[${index}]${name ? `.${name}` : ''}`;
+
+    if (!rule || typeof rule !== 'object') {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.ruleinvalid, { field: field() });
+    }
+    if (!ACTIONS.includes(rule.action)) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.actioninvalid, { field: field('action'), value: rule.action });
+    }
+
+    const codes = (name) => {
+        const list = rule[name];
+        if (list === undefined || list === null) return null;
+        if (!Array.isArray(list) || list.some((code) => typeof code !== 'string' || !/^[A-Za-z]{3}$/.test(code.trim()))) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.codesinvalid, { field: field(name), value: list });
+        }
+        return list.map((code) => code.trim().toUpperCase());
+    };
+
+    return Object.freeze({
+        index,
+        name: rule.name ?? null,
+        action: rule.action,
+        events: codes('events'),
+        excludeEvents: codes('excludeEvents'),
+        originators: codes('originators'),
+        excludeOriginators: codes('excludeOriginators'),
+        locations: rule.locations === undefined ? defaults.locations : parseLocations(rule.locations, field('locations'), messages),
+        window: rule.window === undefined ? null : parseWindow(rule.window, defaults.timeZone, field('window'), messages)
+    });
+};
+
+/**
+ * Validates a list of location codes.
+ * @param {string[]} locations - The 6-digit location codes.
+ * @param {string} field - The option name, for errors.
+ * @param {object} messages - The messages in the filter's locale.
+ * @returns {string[]} The frozen codes.
+ * @throws {EASError} If the list is empty or a code is not 6 digits.
+ */
+const parseLocations = (locations, field, messages) => {
+    if (!Array.isArray(locations) || locations.length === 0 || locations.some((code) => !/^\d{6}$/.test(String(code).trim()))) {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.locationsinvalid, { field, value: locations });
+    }
+    return Object.freeze(locations.map((code) => String(code).trim()));
+};
+
+/**
+ * Validates a time window.
+ * @param {object} window - The window from the configuration.
+ * @param {string} [timeZone] - The station's time zone.
+ * @param {string} field - The option name, for errors.
+ * @param {object} messages - The messages in the filter's locale.
+ * @returns {{start: number, end: number, days: number[]|null, timeZone: string|undefined}} The frozen window, with times in minutes after midnight.
+ * @throws {EASError} If a time, day or the time zone is invalid.
+ */
+const parseWindow = (window, timeZone, field, messages) => {
+    const invalid = () => new EASError(ERROR_CODES.INVALID_OPTION, messages.windowinvalid, { field, value: window });
+    if (!window || typeof window !== 'object') throw invalid();
+
+    const minutes = (time) => {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(typeof time === 'string' ? time.trim() : '');
+        if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) throw invalid();
+        return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    };
+
+    let days = null;
+    if (window.days !== undefined) {
+        if (!Array.isArray(window.days) || window.days.length === 0) throw invalid();
+        days = window.days.map((day) => {
+            const number = typeof day === 'string' ? DAYS.indexOf(day.trim().slice(0, 3).toLowerCase()) : day;
+            if (!Number.isInteger(number) || number < 0 || number > 6) throw invalid();
+            return number;
+        });
+    }
+
+    const zone = window.timeZone ?? timeZone;
+    checkTimeZone(zone, `${field}.timeZone`, messages);
+
+    return Object.freeze({ start: minutes(window.start), end: minutes(window.end), days: days && Object.freeze(days), timeZone: zone });
+};
+
+/**
+ * Checks that a time zone is one the runtime knows.
+ * @param {string|undefined} timeZone - The IANA time zone, or undefined for the system one.
+ * @param {string} field - The option name, for errors.
+ * @param {object} messages - The messages in the filter's locale.
+ * @throws {EASError} If the time zone is unknown.
+ */
+const checkTimeZone = (timeZone, field, messages) => {
+    if (timeZone === undefined) return;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+        throw new EASError(ERROR_CODES.INVALID_OPTION, messages.timezoneinvalid, { field, value: timeZone });
+    }
+};
+
+/**
+ * Checks a code against a rule's allowed and blocked lists.
+ * @param {string} code - The originator or event code.
+ * @param {string[]|null} allowed - The only codes allowed, or null for any.
+ * @param {string[]|null} blocked - The codes never allowed, or null for none.
+ * @returns {boolean} Whether the code passes.
+ */
+const matchesList = (code, allowed, blocked) =>
+    (allowed === null || allowed.includes(code)) && (blocked === null || !blocked.includes(code));
+
+/**
+ * Checks whether a time falls inside a window. A window that runs past midnight
+ * belongs to the day it starts on, so a Friday 22:00-06:00 window covers early Saturday.
+ * @param {object} window - The normalized window.
+ * @param {Date} date - The time to check.
+ * @returns {boolean} Whether the time is inside the window.
+ */
+const inWindow = ({ start, end, days, timeZone }, date) => {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .formatToParts(date);
+    const part = (type) => parts.find((entry) => entry.type === type).value;
+    const day = DAYS.indexOf(part('weekday').toLowerCase());
+    const minutes = parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10);
+
+    let startDay;
+    if (start === end) {
+        startDay = day;
+    } else if (start < end) {
+        if (minutes < start || minutes >= end) return false;
+        startDay = day;
+    } else if (minutes >= start) {
+        startDay = day;
+    } else if (minutes < end) {
+        startDay = (day + 6) % 7;
+    } else {
+        return false;
+    }
+
+    return days === null || days.includes(startDay);
+};
+
+module.exports = {
+    ACTIONS,
+    createRelayFilter,
+    locationsOverlap
+};
@@ -0,0 +1,127 @@
+const { createRelayFilter, locationsOverlap } = require('./relayFilter');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const header = (event, locations, originator = 'WXR') => `ZCZC-${originator}-${event}-${locations.join('-')}+0030-3441707-KEAX/NWS-`;
+
+// Tuesday, December 10 2024, 17:07 UTC: 11:07 in Chicago.
+const TUESDAY_MORNING = new Date(Date.UTC(2024, 11, 10, 17, 7));
+
+describe('relayFilter', () => {
+    describe('locationsOverlap', () => {
+        it('should treat county 000 as the whole state', () => {
+            expect(locationsOverlap('029000', '029095')).toBe(true);
+            expect(locationsOverlap('929095', '029000')).toBe(true);
+            expect(locationsOverlap('029000', '020091')).toBe(false);
+        });
+
+        it('should treat subdivision 0 as the whole county', () => {
+            expect(locationsOverlap('029095', '929095')).toBe(true);
+            expect(locationsOverlap('929095', '929095')).toBe(true);
+            expect(locationsOverlap('229095', '929095')).toBe(false);
+            expect(locationsOverlap('029095', '029097')).toBe(false);
+        });
+
+        it('should treat 000000 as the whole country', () => {
+            expect(locationsOverlap('000000', '948001')).toBe(true);
+        });
+    });
+
+    describe('createRelayFilter', () => {
+        const config = {
+            locations: ['029095', '029047', '020091'],
+            timeZone: 'America/Chicago',
+            rules: [
+                { name: 'National', action: 'forward', events: ['EAN', 'NPT'], locations: ['000000'] },
+                { name: 'Statewide tests', action: 'ignore', events: ['RWT'], locations: ['029000'] },
+                { name: 'Overnight watches', action: 'ignore', events: ['TOA', 'SVA'], window: { start: '22:00', end: '06:00' } },
+                { name: 'Weather', action: 'forward', originators: ['WXR'], excludeEvents: ['SPS'] },
+                { name: 'Civil', action: 'manual', excludeOriginators: ['WXR'] }
+            ]
+        };
+        const filter = createRelayFilter(config);
+
+        it('should forward alerts for a monitored county', () => {
+            const decision = filter.evaluate(header('TOR', ['029095', '029037']), { date: TUESDAY_MORNING });
+
+            expect(decision.action).toBe('forward');
+            expect(decision.rule).toEqual(expect.objectContaining({ name: 'Weather', index: 3 }));
+            expect(decision.locations).toEqual(['029095']);
+            expect(decision.originator).toBe('WXR');
+            expect(decision.event).toBe('TOR');
+        });
+
+        it('should match statewide alerts and parts of monitored counties', () => {
+            expect(filter.evaluate(header('TOR', ['029000'])).locations).toEqual(['029000']);
+            expect(filter.evaluate(header('TOR', ['829095'])).locations).toEqual(['829095']);
+        });
+
+        it('should apply the default action when nothing matches', () => {
+            const decision = filter.evaluate(header('TOR', ['006081']));
+            expect(decision).toEqual({ action: 'ignore', rule: null, locations: [], originator: 'WXR', event: 'TOR' });
+        });
+
+        it('should use the first rule that matches', () => {
+            expect(filter.evaluate(header('RWT', ['029095'])).rule.name).toBe('Statewide tests');
+            // Kansas is not covered by the statewide test rule, so the weather rule takes it.
+            expect(filter.evaluate(header('RWT', ['020091'])).rule.name).toBe('Weather');
+            expect(filter.evaluate(header('EAN', ['000000'], 'PEP')).rule.name).toBe('National');
+        });
+
+        it('should check the allowed and blocked codes', () => {
+            expect(filter.evaluate(header('SPS', ['029095'])).action).toBe('ignore');
+            expect(filter.evaluate(header('CAE', ['029095'], 'CIV'))).toEqual(expect.objectContaining({ action: 'manual', rule: expect.objectContaining({ name: 'Civil' }) }));
+        });
+
+        it('should apply time windows in the station time zone', () => {
+            // 04:30 UTC on Wednesday is 22:30 on Tuesday in Chicago.
+            const overnight = new Date(Date.UTC(2024, 11, 11, 4, 30));
+            expect(filter.evaluate(header('TOA', ['029095']), { date: overnight }).rule.name).toBe('Overnight watches');
+            expect(filter.evaluate(header('TOA', ['029095']), { date: TUESDAY_MORNING }).rule.name).toBe('Weather');
+        });
+
+        it('should give overnight windows to the day they start on', () => {
+            const weekend = createRelayFilter({
+                rules: [{ action: 'manual', window: { start: '18:00', end: '08:00', days: ['fri', 'sat'], timeZone: 'UTC' } }],
+                defaultAction: 'forward'
+            });
+            const at = (day, hour) => weekend.evaluate(header('TOR', ['029095']), { date: new Date(Date.UTC(2024, 11, day, hour)) }).action;
+
+            expect(at(13, 19)).toBe('manual'); // Friday evening
+            expect(at(14, 3)).toBe('manual'); // Early Saturday, in Friday's window
+            expect(at(15, 3)).toBe('manual'); // Early Sunday, in Saturday's window
+            expect(at(16, 3)).toBe('forward'); // Early Monday, in Sunday's window
+            expect(at(14, 12)).toBe('forward'); // Saturday midday
+        });
+
+        it('should match any location when none are configured', () => {
+            const any = createRelayFilter({ rules: [{ action: 'forward', events: ['tor'] }] });
+            expect(any.evaluate(header('TOR', ['006081'])).locations).toEqual(['006081']);
+            expect(any.rules[0].events).toEqual(['TOR']);
+        });
+
+        it('should throw for headers that cannot be decoded', () => {
+            expect(() => filter.evaluate(header('XYZ', ['029095']))).toThrow(expect.objectContaining({ code: ERROR_CODES.UNKNOWN_EVENT }));
+            expect(() => filter.evaluate(header('TOR', ['029095']), { date: new Date('soon') }))
+                .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'date' }));
+        });
+
+        it('should reject invalid configurations', () => {
+            const invalid = [
+                [undefined, 'rules'],
+                [{ rules: [{ action: 'relay' }] }, 'rules[0].action'],
+                [{ rules: [{ action: 'forward' }, null] }, 'rules[1]'],
+                [{ rules: [{ action: 'forward', events: 'TOR' }] }, 'rules[0].events'],
+                [{ rules: [{ action: 'forward', locations: ['29095'] }] }, 'rules[0].locations'],
+                [{ rules: [{ action: 'forward', window: { start: '25:00', end: '06:00' } }] }, 'rules[0].window'],
+                [{ rules: [{ action: 'forward', window: { start: '22:00', end: '06:00', days: ['someday'] } }] }, 'rules[0].window'],
+                [{ rules: [{ action: 'forward', window: { start: '22:00', end: '06:00', timeZone: 'Mars/Olympus' } }] }, 'rules[0].window.timeZone'],
+                [{ rules: [], locations: [] }, 'locations'],
+                [{ rules: [], defaultAction: 'drop' }, 'defaultAction'],
+                [{ rules: [], timeZone: 'Nowhere' }, 'timeZone']
+            ];
+            for (const [invalidConfig, field] of invalid) {
+                expect(() => createRelayFilter(invalidConfig)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field }));
+            }
+        });
+    });
+});
@@ -0,0 +1,373 @@
+/**
+ * HTTP API server for the EASjs library
+ * @module EASServer
+ */
+
+const http = require('http');
+const decodeSame = require('../EASText/decodeSame.js');
+const translateFips = require('../FIPSTranslator/translateFips.js');
+const eventTranslator = require('../EventTranslator/eventTranslator.js');
+const origTranslator = require('../OrigTranslator/origTranslator.js');
+const { generateEASAlert } = require('../EASGenerator/EASGenerator.js');
+const { CODECS } = require('../Audio/encodeAudio.js');
+const { EASError, ERROR_CODES } = require('../EASError/EASError.js');
+const { resolveMessages, formatMessage } = require('../Locale/locale.js');
+
+const locals = {
+    en_us: require('./locals/en_us.json'),
+    es_us: require('./locals/es_us.json'),
+    fr_ca: require('./locals/fr_ca.json')
+};
+
+/**
+ * Default limits: request body size in bytes, message audio size in bytes, and ffmpeg jobs running and waiting.
+ */
+const DEFAULTS = {
+    maxBodySize: 64 * 1024,
+    maxAudioSize: 10 * 1024 * 1024,
+    maxJobs: 2,
+    maxQueuedJobs: 16
+};
+
+/**
+ * HTTP status for each error code; other EASErrors are the client's fault (400).
+ */
+const STATUS = {
+    [ERROR_CODES.REQUEST_TOO_LARGE]: 413,
+    [ERROR_CODES.NOT_FOUND]: 404,
+    [ERROR_CODES.METHOD_NOT_ALLOWED]: 405,
+    [ERROR_CODES.SERVER_BUSY]: 503,
+    [ERROR_CODES.CONVERSION_FAILED]: 500
+};
+
+/**
+ * Content type for each codec.
+ */
+const CONTENT_TYPES = {
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    flac: 'audio/flac',
+    ogg: 'audio/ogg',
+    raw: 'application/octet-stream'
+};
+
+/**
+ * The fields each JSON endpoint accepts.
+ */
+const DECODE_FIELDS = ['header', 'structured', 'lenient', 'referenceDate', 'locale', 'country', 'timeZone'];
+const GENERATE_FIELDS = [
+    'header', 'audio', 'mode', 'attentionTone', 'codec', 'format', 'sampleRate', 'bitDepth', 'channels', 'bitrate',
+    'normalize', 'normalizeTarget', 'trimSilence', 'fadeIn', 'fadeOut', 'maxMessageLength', 'overlength', 'validate', 'locale'
+];
+
+/**
+ * Creates an HTTP server for the EASjs API. Call listen() on it to start serving.
+ *
+ * - `POST /decode` takes `{ header, structured, lenient, referenceDate, locale, country, timeZone }` and returns decodeSame()'s result.
+ * - `GET /fips/:code`, `GET /event/:code` and `GET /orig/:code` translate a code; `locale` and `country` go in the query string.
+ * - `POST /generate` takes the header, generateEASAlert() options and base64 message `audio`, and returns the encoded alert.
+ *   Headers are checked with validateSameHeader() unless the request sets `validate: false`.
+ *
+ * Errors are returned as `{ error }`, with the EASError's code, message, field, position and value.
+ *
+ * @param {Object} [options={}] - Server options.
+ * @param {number} [options.maxBodySize=65536] - The largest request body in bytes, not counting message audio.
+ * @param {number} [options.maxAudioSize=10485760] - The largest message audio in bytes, once decoded from base64.
+ * @param {number} [options.maxJobs=2] - How many alerts can be encoded or converted with ffmpeg at once.
+ * @param {number} [options.maxQueuedJobs=16] - How many ffmpeg jobs can wait for a turn before requests are turned away with 503.
+ * @param {string} [options.locale] - The locale used when a request does not give one; defaults to the one set with setLocale().
+ * @param {string} [options.country] - The location dataset used when a request does not give one: US, CA or auto.
+ * @param {string} [options.timeZone] - The time zone decoded times are shown in when a request does not give one: an IANA name or auto.
+ * @returns {import('http').Server} The server, not yet listening.
+ * @throws {EASError} If an option is invalid.
+ */
+const createEASServer = (options = {}) => {
+    const messages = resolveMessages(locals, options.locale);
+    const settings = {};
+    for (const key of Object.keys(DEFAULTS)) {
+        const value = options[key] ?? DEFAULTS[key];
+        const minimum = key === 'maxQueuedJobs' ? 0 : 1;
+        if (!Number.isInteger(value) || value < minimum) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, formatMessage(messages.limitinvalid, { option: key, minimum }), { field: key, value });
+        }
+        settings[key] = value;
+    }
+
+    const context = {
+        ...settings,
+        locale: options.locale,
+        country: options.country,
+        timeZone: options.timeZone,
+        jobs: createJobLimiter(settings.maxJobs, settings.maxQueuedJobs)
+    };
+    return http.createServer((request, response) => {
+        handleRequest(request, response, context);
+    });
+};
+
+/**
+ * Limits how many jobs run at once, queueing the rest in order.
+ * @param {number} maxJobs - How many jobs can run at once.
+ * @param {number} maxQueued - How many jobs can wait.
+ * @returns {{run: function(function(): Promise<*>, object): Promise<*>, active: function(): number, queued: function(): number}}
+ * The limiter. run() takes the job and the messages to report a full queue in.
+ */
+const createJobLimiter = (maxJobs, maxQueued) => {
+    let active = 0;
+    const waiting = [];
+
+    const release = () => {
+        const next = waiting.shift();
+        // Hand the slot straight to the next job, so a new arrival cannot take it first.
+        if (next) next();
+        else active -= 1;
+    };
+
+    const run = async (job, messages) => {
+        if (active >= maxJobs) {
+            if (waiting.length >= maxQueued) throw new EASError(ERROR_CODES.SERVER_BUSY, messages.serverbusy);
+            await new Promise((resolve) => waiting.push(resolve));
+        } else {
+            active += 1;
+        }
+
+        try {
+            return await job();
+        } finally {
+            release();
+        }
+    };
+
+    return { run, active: () => active, queued: () => waiting.length };
+};
+
+/**
+ * Routes a request and writes the response, turning errors into JSON.
+ * @param {import('http').IncomingMessage} request - The request.
+ * @param {import('http').ServerResponse} response - The response.
+ * @param {object} context - The server settings and job limiter.
+ */
+const handleRequest = async (request, response, context) => {
+    const url = new URL(request.url, 'http://localhost');
+    let messages = resolveMessages(locals, context.locale);
+
+    try {
+        const queryLocale = url.searchParams.get('locale') ?? undefined;
+        if (queryLocale !== undefined) messages = resolveMessages(locals, queryLocale);
+
+        const [, route, code, ...extra] = url.pathname.split('/');
+        const lookup = ['fips', 'event', 'orig'].includes(route) && code && extra.length === 0;
+        const post = ['decode', 'generate'].includes(route) && code === undefined;
+        if (!lookup && !post) {
+            throw new EASError(ERROR_CODES.NOT_FOUND, formatMessage(messages.notfound, { path: url.pathname }), { value: url.pathname });
+        }
+
+        const method = lookup ? 'GET' : 'POST';
+        if (request.method !== method) {
+            response.setHeader('Allow', method);
+            throw new EASError(ERROR_CODES.METHOD_NOT_ALLOWED, formatMessage(messages.methodnotallowed, { method: request.method, allowed: method }), { value: request.method });
+        }
+
+        if (lookup) {
+            const locale = queryLocale ?? context.locale;
+            const country = url.searchParams.get('country') ?? context.country;
+            sendJson(response, 200, translate(route, code, { locale, country }));
+            return;
+        }
+
+        const fields = route === 'decode' ? DECODE_FIELDS : GENERATE_FIELDS;
+        // Base64 takes 4 bytes for every 3, so the body limit grows with the audio limit.
+        const limit = context.maxBodySize + (route === 'generate' ? Math.ceil(context.maxAudioSize / 3) * 4 : 0);
+        const body = await readJson(request, limit, fields, messages);
+        if (body.locale !== undefined) messages = resolveMessages(locals, body.locale);
+
+        if (route === 'decode') {
+            sendJson(response, 200, decode(body, context, messages));
+        } else {
+            const { audio, contentType } = await generate(body, context, messages);
+            response.writeHead(200, { 'Content-Type': contentType, 'Content-Length': audio.length });
+            response.end(audio);
+        }
+    } catch (error) {
+        // Drain any body that was not read, so the connection can be reused.
+        request.resume();
+        sendError(response, error, messages);
+    }
+};
+
+/**
+ * Translates a location, event or originator code.
+ * @param {string} route - fips, event or orig.
+ * @param {string} code - The code.
+ * @param {{locale: string, country: string}} options - The locale and location dataset.
+ * @returns {object} The location, the event details, or the originator code and name.
+ * @throws {EASError} If the code or an option is invalid.
+ */
+const translate = (route, code, { locale, country }) => {
+    switch (route) {
+        case 'fips':
+            return translateFips(code, { locale, country });
+        case 'event':
+            return eventTranslator(code, { locale, detailed: true });
+        default:
+            return { code, name: origTranslator(code, { locale }) };
+    }
+};
+
+/**
+ * Decodes the header in a /decode request.
+ * @param {object} body - The request body.
+ * @param {object} context - The server settings.
+ * @param {object} messages - The server messages in the request's locale.
+ * @returns {object} The decoded header, from decodeSame().
+ * @throws {EASError} If the header or an option is invalid.
+ */
+const decode = (body, context, messages) => {
+    let referenceDate;
+    if (body.referenceDate !== undefined) {
+        referenceDate = typeof body.referenceDate === 'string' ? new Date(body.referenceDate) : new Date(NaN);
+        if (Number.isNaN(referenceDate.getTime())) {
+            throw new EASError(ERROR_CODES.INVALID_OPTION, messages.referencedateinvalid, { field: 'referenceDate', value: body.referenceDate });
+        }
+    }
+
+    return decodeSame(body.header, {
+        structured: body.structured === true,
+        lenient: body.lenient === true,
+        referenceDate,
+        locale: body.locale ?? context.locale,
+        country: body.country ?? context.country,
+        timeZone: body.timeZone ?? context.timeZone
+    });
+};
+
+/**
+ * Encodes the alert in a /generate request, waiting for a turn when it needs ffmpeg.
+ * @param {object} body - The request body.
+ * @param {object} context - The server settings and job limiter.
+ * @param {object} messages - The server messages in the request's locale.
+ * @returns {Promise<{audio: Buffer, contentType: string}>} The encoded alert and its content type.
+ * @throws {EASError} If the header, audio or an option is invalid, the server is busy, or ffmpeg fails.
+ */
+const generate = async (body, context, messages) => {
+    const { header, audio: encodedAudio, validate, ...options } = body;
+    if (typeof header !== 'string' || !header.trim().startsWith('ZCZC-')) {
+        throw new EASError(ERROR_CODES.INVALID_REQUEST, messages.headerinvalid, { field: 'header', value: header });
+    }
+
+    let audio = null;
+    if (encodedAudio !== undefined && encodedAudio !== null) {
+        if (typeof encodedAudio !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(encodedAudio)) {
+            throw new EASError(ERROR_CODES.INVALID_REQUEST, messages.audioinvalid, { field: 'audio' });
+        }
+        audio = Buffer.from(encodedAudio, 'base64');
+        if (audio.length > context.maxAudioSize) {
+            throw new EASError(ERROR_CODES.REQUEST_TOO_LARGE, formatMessage(messages.audiotoolarge, { limit: context.maxAudioSize }), { field: 'audio' });
+        }
+        if (audio.length === 0) audio = null;
+    }
+
+    const codec = String(options.codec ?? options.format ?? 'wav').toLowerCase();
+    const encode = () => generateEASAlert(header, {
+        ...options,
+        locale: options.locale ?? context.locale,
+        validate: validate !== false,
+        audio,
+        output: 'buffer'
+    });
+
+    // WAV and raw output are encoded in-process; message audio and other codecs go through ffmpeg.
+    const needsFfmpeg = audio !== null || (Object.hasOwn(CODECS, codec) && CODECS[codec] !== null);
+    const encoded = needsFfmpeg ? await context.jobs.run(encode, messages) : await encode();
+    return { audio: encoded, contentType: CONTENT_TYPES[codec] };
+};
+
+/**
+ * Reads a JSON request body, checking its size, type and fields.
+ * @param {import('http').IncomingMessage} request - The request.
+ * @param {number} limit - The largest body allowed, in bytes.
+ * @param {string[]} fields - The fields the endpoint accepts.
+ * @param {object} messages - The server messages in the request's locale.
+ * @returns {Promise<object>} The parsed body.
+ * @throws {EASError} If the body is too large, not JSON, not an object, or has a field the endpoint does not accept.
+ */
+const readJson = async (request, limit, fields, messages) => {
+    const tooLarge = () => new EASError(ERROR_CODES.REQUEST_TOO_LARGE, formatMessage(messages.bodytoolarge, { limit }));
+
+    if (!/^application\/json\s*(;|$)/i.test(request.headers['content-type'] ?? '')) {
+        throw new EASError(ERROR_CODES.INVALID_REQUEST, messages.contenttypeinvalid, { field: 'content-type', value: request.headers['content-type'] });
+    }
+    if (Number(request.headers['content-length']) > limit) {
+        request.resume();
+        throw tooLarge();
+    }
+
+    const chunks = await new Promise((resolve, reject) => {
+        const received = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            // Past the limit the rest is read and dropped, so the error response can still be delivered.
+            if (size > limit) reject(tooLarge());
+            else received.push(chunk);
+        });
+        request.on('end', () => resolve(received));
+        request.on('error', reject);
+    });
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw new EASError(ERROR_CODES.INVALID_REQUEST, messages.jsoninvalid);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new EASError(ERROR_CODES.INVALID_REQUEST, messages.jsoninvalid);
+    }
+
+    const unknown = Object.keys(body).find((field) => !fields.includes(field));
+    if (unknown !== undefined) {
+        throw new EASError(ERROR_CODES.INVALID_REQUEST, formatMessage(messages.fieldinvalid, { field: unknown }), { field: unknown });
+    }
+    return body;
+};
+
+/**
+ * Writes a JSON response.
+ * @param {import('http').ServerResponse} response - The response.
+ * @param {number} status - The HTTP status.
+ * @param {*} value - The value to send.
+ */
+const sendJson = (response, status, value) => {
+    const json = JSON.stringify(value);
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+    response.end(json);
+};
+
+/**
+ * Writes an error response. Errors that are not EASErrors, and ffmpeg failures, are reported without their details.
+ * @param {import('http').ServerResponse} response - The response.
+ * @param {Error} error - The error.
+ * @param {object} messages - The server messages in the request's locale.
+ */
+const sendError = (response, error, messages) => {
+    if (response.headersSent) {
+        response.destroy(error);
+        return;
+    }
+
+    if (!(error instanceof EASError)) {
+        sendJson(response, 500, { error: { code: 'INTERNAL_ERROR', message: messages.internalerror } });
+        return;
+    }
+    if (error.code === ERROR_CODES.SERVER_BUSY) response.setHeader('Retry-After', '1');
+    if (error.code === ERROR_CODES.REQUEST_TOO_LARGE) response.setHeader('Connection', 'close');
+    // ffmpeg's own error can name paths on the server.
+    const reported = error.code === ERROR_CODES.CONVERSION_FAILED ? new EASError(error.code, messages.conversionfailed) : error;
+    sendJson(response, STATUS[error.code] ?? 400, { error: reported });
+};
+
+module.exports = {
+    createEASServer,
+    createJobLimiter
+};
@@ -0,0 +1,157 @@
+const { WaveFile } = require('wavefile');
+const { createEASServer, createJobLimiter } = require('./EASServer');
+const { ERROR_CODES } = require('../EASError/EASError');
+
+const TORNADO = 'ZCZC-WXR-TOR-029095-029047+0030-3441707-KEAX/NWS-';
+
+describe('EASServer', () => {
+    let server;
+    let baseUrl;
+
+    const start = async (options) => {
+        server = createEASServer(options);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    };
+
+    const post = (route, body) => fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    afterEach(async () => {
+        if (server) await new Promise((resolve) => server.close(resolve));
+        server = null;
+    });
+
+    describe('endpoints', () => {
+        beforeEach(() => start({ maxBodySize: 1024, maxAudioSize: 300 }));
+
+        it('should decode headers', async () => {
+            const response = await post('/decode', { header: TORNADO, structured: true, referenceDate: '2024-12-09T17:10:00Z' });
+            expect(response.status).toBe(200);
+            expect(response.headers.get('content-type')).toMatch(/^application\/json/);
+            expect(await response.json()).toEqual(expect.objectContaining({
+                originator: 'WXR',
+                event: 'TOR',
+                start: '2024-12-09T17:07:00.000Z',
+                locations: [expect.objectContaining({ code: '029095' }), expect.objectContaining({ code: '029047' })]
+            }));
+
+            const local = await (await post('/decode', { header: TORNADO, timeZone: 'America/Chicago', referenceDate: '2024-12-09T17:10:00Z' })).json();
+            expect(local.timing.start).toMatch(/^11:07\sAM CST on December 9$/);
+
+            const lenient = await (await post('/decode', { header: TORNADO.replace('TOR', 'XYZ'), lenient: true, structured: true })).json();
+            expect(lenient.errors).toEqual([expect.objectContaining({ code: ERROR_CODES.UNKNOWN_EVENT, field: 'event' })]);
+        });
+
+        it('should translate codes', async () => {
+            expect(await (await fetch(`${baseUrl}/fips/029095`)).json()).toEqual(expect.objectContaining({ county: 'Jackson', region: 'MO' }));
+            expect(await (await fetch(`${baseUrl}/event/TOR`)).json()).toEqual(expect.objectContaining({ code: 'TOR', name: 'Tornado Warning' }));
+            expect(await (await fetch(`${baseUrl}/orig/WXR?locale=es_us`)).json()).toEqual({ code: 'WXR', name: 'Servicio Meteorológico Nacional' });
+        });
+
+        it('should return generated alerts as audio', async () => {
+            const response = await post('/generate', { header: TORNADO, mode: 'SAGE', sampleRate: 8000, attentionTone: false });
+            expect(response.status).toBe(200);
+            expect(response.headers.get('content-type')).toBe('audio/wav');
+
+            const wav = new WaveFile(Buffer.from(await response.arrayBuffer()));
+            expect(wav.fmt.sampleRate).toBe(8000);
+        });
+
+        it('should report invalid input as JSON errors', async () => {
+            const cases = [
+                [post('/decode', { header: TORNADO.replace('TOR', 'XYZ') }), 400, ERROR_CODES.UNKNOWN_EVENT],
+                [fetch(`${baseUrl}/fips/12345`), 400, ERROR_CODES.INVALID_FIPS],
+                [post('/generate', { header: TORNADO, sampleRate: 1 }), 400, ERROR_CODES.INVALID_OPTION],
+                [post('/generate', { header: TORNADO, outputFile: '/etc/passwd' }), 400, ERROR_CODES.INVALID_REQUEST],
+                [post('/generate', { header: TORNADO, audio: 'not base64!' }), 400, ERROR_CODES.INVALID_REQUEST],
+                [post('/generate', {}), 400, ERROR_CODES.INVALID_REQUEST],
+                [post('/generate', { header: 'hello' }), 400, ERROR_CODES.INVALID_REQUEST],
+                [post('/generate', { header: 42 }), 400, ERROR_CODES.INVALID_REQUEST],
+                [post('/generate', { header: TORNADO.replace('029047', '02904') }), 400, ERROR_CODES.INVALID_FIPS],
+                [post('/decode', '{"header":'), 400, ERROR_CODES.INVALID_REQUEST],
+                [post('/decode', '[]'), 400, ERROR_CODES.INVALID_REQUEST],
+                [fetch(`${baseUrl}/decode`, { method: 'POST', body: TORNADO }), 400, ERROR_CODES.INVALID_REQUEST],
+                [post('/decode', { header: TORNADO, referenceDate: 'tomorrow' }), 400, ERROR_CODES.INVALID_OPTION],
+                [post('/decode', { header: TORNADO, locale: 'tlh' }), 400, ERROR_CODES.INVALID_OPTION],
+                [fetch(`${baseUrl}/alerts`), 404, ERROR_CODES.NOT_FOUND],
+                [fetch(`${baseUrl}/decode`), 405, ERROR_CODES.METHOD_NOT_ALLOWED]
+            ];
+            for (const [request, status, code] of cases) {
+                const response = await request;
+                expect({ status: response.status, code: (await response.json()).error.code }).toEqual({ status, code });
+            }
+        });
+
+        it('should validate headers unless asked not to', async () => {
+            const shortSender = 'ZCZC-CIV-ADR-020173+0100-3441707-ERN/LB-';
+            const rejected = await post('/generate', { header: shortSender, attentionTone: false });
+            expect(rejected.status).toBe(400);
+            expect((await rejected.json()).error).toEqual(expect.objectContaining({ code: ERROR_CODES.INVALID_SENDER, field: 'sender' }));
+
+            const accepted = await post('/generate', { header: shortSender, attentionTone: false, sampleRate: 8000, validate: false });
+            expect(accepted.status).toBe(200);
+            expect(accepted.headers.get('content-type')).toBe('audio/wav');
+        });
+
+        it('should not reveal ffmpeg errors', async () => {
+            const response = await post('/generate', { header: TORNADO, audio: Buffer.from('not audio at all').toString('base64') });
+            expect(response.status).toBe(500);
+            expect((await response.json()).error).toEqual({
+                code: ERROR_CODES.CONVERSION_FAILED,
+                message: 'The alert could not be encoded or its message audio converted by ffmpeg.'
+            });
+        });
+
+        it('should limit the size of requests and message audio', async () => {
+            const body = await post('/decode', { header: TORNADO, country: 'x'.repeat(2000) });
+            expect(body.status).toBe(413);
+            expect((await body.json()).error.code).toBe(ERROR_CODES.REQUEST_TOO_LARGE);
+
+            const audio = await post('/generate', { header: TORNADO, audio: Buffer.alloc(301).toString('base64') });
+            expect(audio.status).toBe(413);
+            expect((await audio.json()).error).toEqual(expect.objectContaining({ code: ERROR_CODES.REQUEST_TOO_LARGE, field: 'audio' }));
+        });
+    });
+
+    it('should reject invalid limits', () => {
+        expect(() => createEASServer({ maxJobs: 0 })).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_OPTION, field: 'maxJobs' }));
+        expect(() => createEASServer({ maxAudioSize: '10MB' })).toThrow(expect.objectContaining({ field: 'maxAudioSize' }));
+    });
+
+    describe('createJobLimiter', () => {
+        const messages = { serverbusy: 'Busy' };
+        const deferred = () => {
+            let resolve;
+            const promise = new Promise((done) => { resolve = done; });
+            return { promise, resolve };
+        };
+
+        it('should run jobs in order within the limit and turn away the overflow', async () => {
+            const limiter = createJobLimiter(1, 1);
+            const first = deferred();
+            const started = [];
+
+            const running = limiter.run(() => { started.push(1); return first.promise; }, messages);
+            const waiting = limiter.run(async () => { started.push(2); return 'second'; }, messages);
+            await expect(limiter.run(async () => 'third', messages)).rejects.toEqual(expect.objectContaining({ code: ERROR_CODES.SERVER_BUSY }));
+
+            expect(started).toEqual([1]);
+            expect(limiter.queued()).toBe(1);
+            first.resolve('first');
+            await expect(running).resolves.toBe('first');
+            await expect(waiting).resolves.toBe('second');
+            expect(started).toEqual([1, 2]);
+            expect(limiter.active()).toBe(0);
+        });
+
+        it('should free the slot when a job fails', async () => {
+            const limiter = createJobLimiter(1, 0);
+            await expect(limiter.run(async () => { throw new Error('ffmpeg'); }, messages)).rejects.toThrow('ffmpeg');
+            await expect(limiter.run(async () => 'next', messages)).resolves.toBe('next');
+        });
+    });
+});
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * The easjs command.
+ */
+const { run } = require('../EASjs/CLI/cli.js');
+
+run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -0,0 +1,15 @@
+/**
+ * Modules to be exported from the EASjs library in browsers.
+ */
+const core = require('./core.js');
+const { generateEASAlert, playEASAlert } = require('./EASjs/Browser/browserAlert.js');
+
+/**
+ * Exports the platform-neutral core, with alerts generated as WAV Blobs or played through Web Audio.
+ * @module browser
+ */
+module.exports = {
+    ...core,
+    generateEASAlert,
+    playEASAlert
+}
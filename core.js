@@ -0,0 +1,64 @@
+/**
+ * Modules of the EASjs library that run anywhere JavaScript does:
+ * no files, ffmpeg or Node built-ins.
+ */
+const translateFips = require('./EASjs/FIPSTranslator/translateFips.js');
+const decodeSame = require('./EASjs/EASText/decodeSame.js');
+const eventTranslator = require('./EASjs/EventTranslator/eventTranslator.js');
+const origTranslator = require('./EASjs/OrigTranslator/origTranslator.js');
+const { getEventDetails, listEvents } = require('./EASjs/EventTranslator/eventRegistry.js');
+const { MODES, registerMode } = require('./EASjs/EASGenerator/profiles.js');
+const { renderEASAlert } = require('./EASjs/EASGenerator/renderAlert.js');
+const { impairAudio } = require('./EASjs/Impairments/impairments.js');
+const buildSameHeader = require('./EASjs/EASBuilder/buildSameHeader.js');
+const validateSameHeader = require('./EASjs/EASValidator/validateSameHeader.js');
+const { EASError, ERROR_CODES } = require('./EASjs/EASError/EASError.js');
+const sameToCap = require('./EASjs/CAP/sameToCap.js');
+const capToSame = require('./EASjs/CAP/capToSame.js');
+const { setLocale, getLocale, getLocales } = require('./EASjs/Locale/locale.js');
+const { createRelayFilter, locationsOverlap } = require('./EASjs/RelayFilter/relayFilter.js');
+const {
+    findLocations,
+    getStates,
+    getLocationsByState,
+    getStateCode,
+    expandState,
+    expandSubdivisions
+} = require('./EASjs/Locations/locationQuery.js');
+const { locationsAtPoint, alertAreaGeoJSON } = require('./EASjs/Locations/locationGeometry.js');
+
+/**
+ * Exports the platform-neutral core of the EASjs library.
+ * @module core
+ */
+module.exports = {
+    translateFips,
+    decodeSame,
+    eventTranslator,
+    origTranslator,
+    getEventDetails,
+    listEvents,
+    MODES,
+    registerMode,
+    renderEASAlert,
+    impairAudio,
+    buildSameHeader,
+    validateSameHeader,
+    EASError,
+    ERROR_CODES,
+    sameToCap,
+    capToSame,
+    setLocale,
+    getLocale,
+    getLocales,
+    createRelayFilter,
+    locationsOverlap,
+    findLocations,
+    getStates,
+    getLocationsByState,
+    getStateCode,
+    expandState,
+    expandSubdivisions,
+    locationsAtPoint,
+    alertAreaGeoJSON
+}
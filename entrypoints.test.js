@@ -0,0 +1,69 @@
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { WaveFile } = require('wavefile');
+
+const TORNADO = 'ZCZC-WXR-TOR-029095-029047+0030-3441707-KEAX/NWS-';
+const core = require('./core.js');
+
+const ENTRY_POINTS = [
+    ['index', require('./index.js')],
+    ['browser', require('./browser.js')]
+];
+
+describe.each(ENTRY_POINTS)('%s entry point', (name, easjs) => {
+    it('should export the whole core', () => {
+        for (const [key, value] of Object.entries(core)) expect(easjs[key]).toBe(value);
+    });
+
+    it('should decode and translate', () => {
+        const decoded = easjs.decodeSame(TORNADO, { structured: true, referenceDate: new Date('2024-12-09T17:10:00Z') });
+        expect(decoded).toEqual(expect.objectContaining({ originator: 'WXR', event: 'TOR', start: '2024-12-09T17:07:00.000Z' }));
+        expect(easjs.translateFips('029095').formatted).toBe('All Jackson, MO');
+        expect(easjs.eventTranslator('TOR', { locale: 'fr_ca' })).toBe('Avertissement de tornade');
+        expect(easjs.origTranslator('WXR')).toBe('National Weather Service');
+        expect(easjs.findLocations('jackson', { state: 'MO' })[0].code).toBe('029095');
+    });
+
+    it('should build, check and convert headers', () => {
+        const header = easjs.buildSameHeader({
+            originator: 'WXR', event: 'TOR', locations: ['029095', '029047'], duration: 30, issued: '3441707', sender: 'KEAX/NWS'
+        });
+        expect(header).toBe(TORNADO);
+        expect(easjs.validateSameHeader(header)).toEqual([]);
+        expect(easjs.capToSame(easjs.sameToCap(header, { referenceDate: new Date('2024-12-09T17:10:00Z') })).header).toBe(header);
+        expect(easjs.createRelayFilter({ rules: [{ action: 'forward', events: ['TOR'] }] }).evaluate(header).action).toBe('forward');
+        expect(() => easjs.decodeSame(header.replace('TOR', 'XYZ'))).toThrow(easjs.EASError);
+    });
+
+    it('should encode the rendered alert as WAV', async () => {
+        const samples = easjs.renderEASAlert(TORNADO, { mode: easjs.MODES.SAGE, sampleRate: 8000 });
+        const wav = new WaveFile(await easjs.generateEASAlert(TORNADO, { mode: easjs.MODES.SAGE, sampleRate: 8000, output: 'buffer' }));
+
+        expect(wav.fmt.sampleRate).toBe(8000);
+        expect(wav.getSamples()).toHaveLength(samples.length);
+        expect(wav.getSamples()[40000]).toBe(Math.round(samples[40000] * 32767));
+    });
+});
+
+describe('browser entry point', () => {
+    it('should load and encode without Node built-ins, ffmpeg or Buffer', () => {
+        // Blocks every Node built-in and Node-only package, then generates a WAV.
+        const script = `
+            const Module = require('module');
+            const load = Module._load;
+            const blocked = new Set([...Module.builtinModules, 'ffmpeg-static']);
+            Module._load = function (request, ...rest) {
+                if (blocked.has(request.replace(/^node:/, ''))) throw new Error('required ' + request);
+                return load.call(this, request, ...rest);
+            };
+            delete globalThis.Buffer;
+            require(${JSON.stringify(path.join(__dirname, 'browser.js'))})
+                .generateEASAlert(${JSON.stringify(TORNADO)}, { sampleRate: 8000 })
+                .then((blob) => console.log(blob.type));
+        `;
+        const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8' });
+
+        expect(result.stderr).toBe('');
+        expect(result.stdout).toBe('audio/wav\n');
+    });
+});
@@ -1,21 +1,23 @@
 /**
  * Modules to be exported from the EASjs library.
  */
-const translateFips = require('./EASjs/FIPSTranslator/translateFips.js');
-const decodeSame = require('./EASjs/EASText/decodeSame.js');
-const eventTranslator = require('./EASjs/EventTranslator/eventTranslator.js');
-const origTranslator = require('./EASjs/OrigTranslator/origTranslator.js');
-const { generateEASAlert, MODES } = require('./EASjs/EASGenerator/EASGenerator');
+const core = require('./core.js');
+const { generateEASAlert } = require('./EASjs/EASGenerator/EASGenerator');
+const decodeSameAudio = require('./EASjs/EASDecoder/decodeSameAudio.js');
+const { SameStreamDecoder } = require('./EASjs/EASDecoder/SameStreamDecoder.js');
+const { AlertLog } = require('./EASjs/AlertLog/AlertLog.js');
+const { createEASServer } = require('./EASjs/Server/EASServer.js');
 
 /**
- * Exports all functions from the EASjs library.
+ * Exports all functions from the EASjs library: the platform-neutral core, and the
+ * Node modules that read and write files, run ffmpeg or listen on the network.
  * @module index
  */
 module.exports = {
-    translateFips,
-    decodeSame,
-    eventTranslator,
-    origTranslator,
+    ...core,
     generateEASAlert,
-    MODES
-}
\ No newline at end of file
+    decodeSameAudio,
+    SameStreamDecoder,
+    AlertLog,
+    createEASServer
+}
@@ -0,0 +1,36 @@
+/**
+ * Suites for the Node layer, which the browser entry point leaves out, and suites that
+ * read fixtures or check their results with it (generateEASAlert and decodeSameAudio).
+ */
+const NODE_SUITES = [
+    '/node_modules/',
+    '<rootDir>/entrypoints.test.js',
+    '<rootDir>/EASjs/AlertLog/',
+    '<rootDir>/EASjs/CLI/',
+    '<rootDir>/EASjs/Server/',
+    '<rootDir>/EASjs/EASDecoder/',
+    '<rootDir>/EASjs/Browser/',
+    '<rootDir>/EASjs/EASGenerator/EASGenerator.test.js',
+    '<rootDir>/EASjs/EASGenerator/profiles.test.js',
+    '<rootDir>/EASjs/EASGenerator/renderAlert.test.js',
+    '<rootDir>/EASjs/EASValidator/validateSameHeader.test.js',
+    '<rootDir>/EASjs/Impairments/impairments.test.js',
+    '<rootDir>/EASjs/CAP/capToSame.test.js'
+];
+
+/**
+ * Every suite runs under Node, as index.js does. The core suites run again the way browser.js
+ * loads the core: any Node built-in or Node-only package they reach throws, and there is no Buffer.
+ */
+module.exports = {
+    projects: [
+        {
+            displayName: 'node'
+        },
+        {
+            displayName: 'browser',
+            testPathIgnorePatterns: NODE_SUITES,
+            setupFiles: ['<rootDir>/EASjs/Browser/blockNodeModules.js']
+        }
+    ]
+};